@@ -0,0 +1,79 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Where the participants of an interaction stand. A slot is { x, z, rotation } (rotation as scene.rotation.y).
+//   facing     two avatars face each other along the axis (more than two: circle)
+//   circle     evenly spaced around the center, facing in
+//   line       side by side across the axis, all facing along it
+//   audience   slot 0 performs at the front, facing back at the others standing in rows
+//
+// center: { x, z }, axis: direction (radians, as rotation.y) the formation is laid out along,
+// spacing: distance between neighbours
+export function formationSlots(type, count, center, axis = 0, spacing = 0.8) {
+  const forwardX = Math.sin(axis);
+  const forwardZ = Math.cos(axis);
+  const slot = (x, z, lookX, lookZ) => ({ x, z, rotation: Math.atan2(lookX - x, lookZ - z) });
+
+  if (count <= 1) {
+    return [{ x: center.x, z: center.z, rotation: axis }];
+  }
+
+  switch (type) {
+    case 'line': {
+      // Right of the axis is (forwardZ, -forwardX)
+      const slots = [];
+      for (let i = 0; i < count; i++) {
+        const offset = (i - (count - 1) / 2) * spacing;
+        const x = center.x + forwardZ * offset;
+        const z = center.z - forwardX * offset;
+        slots.push({ x, z, rotation: axis });
+      }
+      return slots;
+    }
+
+    case 'audience': {
+      const depth = spacing * 2; // Performer to the first row
+      const perRow = 5;
+      const performerX = center.x + forwardX * depth / 2;
+      const performerZ = center.z + forwardZ * depth / 2;
+      const slots = [slot(performerX, performerZ, center.x, center.z)];
+
+      // Rows behind the center, each one a little wider and further back, all watching the performer
+      for (let i = 0; i < count - 1; i++) {
+        const row = Math.floor(i / perRow);
+        const inRow = Math.min(perRow, count - 1 - row * perRow);
+        const offset = (i % perRow - (inRow - 1) / 2) * spacing;
+        const back = depth / 2 + row * spacing;
+        const x = center.x - forwardX * back + forwardZ * offset;
+        const z = center.z - forwardZ * back - forwardX * offset;
+        slots.push(slot(x, z, performerX, performerZ));
+      }
+      return slots;
+    }
+
+    case 'facing':
+      if (count === 2) {
+        const half = spacing / 2;
+        return [
+          slot(center.x - forwardX * half, center.z - forwardZ * half, center.x, center.z),
+          slot(center.x + forwardX * half, center.z + forwardZ * half, center.x, center.z)
+        ];
+      }
+      // Falls through
+
+    case 'circle':
+    default: {
+      // Neighbours `spacing` apart (at least half of it from the center)
+      const radius = Math.max(spacing / (2 * Math.sin(Math.PI / count)), spacing / 2);
+      const slots = [];
+      for (let i = 0; i < count; i++) {
+        const angle = axis + Math.PI + i * Math.PI * 2 / count; // Slot 0 on the near side of the axis
+        const x = center.x + Math.sin(angle) * radius;
+        const z = center.z + Math.cos(angle) * radius;
+        slots.push(slot(x, z, center.x, center.z));
+      }
+      return slots;
+    }
+  }
+}
@@ -2,184 +2,307 @@
 // Licensed under the MIT License. See LICENSE file in the project root for full license information.
 
 import * as THREE from 'three';
+import { formationSlots } from './formation.js';
+import { random } from './core/random.js';
 
 // Base Interaction class
+// Participants are { index, gvrm, walker, role, slot }. Pair interactions use the gvrm1/gvrm2, walker1/walker2
+// and index1/index2 shortcuts; group interactions set a formation and roles, and avatars can join or leave
+// while they are going on.
 export class Interaction {
-  constructor(gvrm1, gvrm2, walker1, walker2, context) {
-    this.gvrm1 = gvrm1;
-    this.gvrm2 = gvrm2;
-    this.walker1 = walker1;
-    this.walker2 = walker2;
-    this.context = context; // { timeOfDay, centerHouse, camera }
+  // participants: [{ index, gvrm, walker }]
+  constructor(participants, context) {
+    this.participants = [];
+    this.context = context; // { timeOfDay, centerHouse, camera, showSpeechBubble } (the manager's, kept up to date)
+    this.name = this.constructor.name; // Shown in the timeline and interaction display
 
     this.isActive = false;
-    this.startTime = 0;
+    this.isGathered = false; // Everyone arrived at the formation (joiners are accepted from then on)
     // Virtual 3 hours duration
     // App runs 24 hours in 1 real minute (60 seconds)
-    // So 3 virtual hours = (3/24) * 60 = 7.5 real seconds = 450 frames at 60fps
-    this.duration = 7.5 * 60; // 7.5 seconds at 60fps = 3 virtual hours
-    this.frameCount = 0;
+    // So 3 virtual hours = (3/24) * 60 = 7.5 seconds
+    this.duration = 7.5; // Seconds
+    this.elapsed = 0; // Seconds since start()
+    this.delta = 0; // Seconds of the current step (for movement in onUpdate)
+    this.waits = []; // { time, resolve } of wait()
 
-    // Target distance for interaction (can be overridden in subclasses)
+    // Target distance for interaction (spacing between neighbours in the formation, can be overridden in subclasses)
     this.interactionDistance = 0.8;
 
-    this.originalWalkerStates = {
-      walker1: { isWalking: false },
-      walker2: { isWalking: false }
-    };
+    // Group settings (override in subclasses)
+    this.minParticipants = 2; // Ends when fewer remain
+    this.maxParticipants = 2;
+    this.formation = 'facing'; // 'facing', 'circle', 'line' or 'audience' (see formation.js)
+    // Assigned in order: { name, count (omit for everyone left), animation (played on start and when joining) }
+    this.roles = [{ name: 'member' }];
+
+    // Formation center and axis, fixed when the avatars gather
+    this.center = null;
+    this.axis = 0;
+
+    participants.forEach(participant => this.addParticipant(participant));
+  }
+
+  // Shortcuts for pair interactions
+  get gvrm1() { return this.participants[0].gvrm; }
+  get gvrm2() { return this.participants[1].gvrm; }
+  get walker1() { return this.participants[0].walker; }
+  get walker2() { return this.participants[1].walker; }
+  get index1() { return this.participants[0].index; }
+  get index2() { return this.participants[1].index; }
+
+  get indices() {
+    return this.participants.map(participant => participant.index);
+  }
+
+  // Before start: one more avatar taking part from the beginning
+  addParticipant({ index, gvrm, walker }) {
+    this.participants.push({ index, gvrm, walker, role: null, slot: null });
+  }
+
+  canJoin() {
+    return this.isActive && this.isGathered && this.participants.length < this.maxParticipants;
+  }
+
+  // Participants with a role
+  members(role) {
+    return this.participants.filter(participant => participant.role === role);
+  }
+
+  // First participant with a role (the first participant when nobody has it any more)
+  member(role) {
+    return this.members(role)[0] ?? this.participants[0];
+  }
+
+  // First role that still has room
+  nextRole() {
+    for (const role of this.roles) {
+      if (role.count === undefined || this.members(role.name).length < role.count) return role.name;
+    }
+    return this.roles[this.roles.length - 1].name;
+  }
+
+  assignRoles() {
+    this.participants.forEach(participant => { participant.role = null; });
+    this.participants.forEach(participant => { participant.role = this.nextRole(); });
   }
 
   // Called when interaction starts
   async start() {
     this.isActive = true;
-    this.startTime = performance.now();
-    this.frameCount = 0;
+    this.elapsed = 0;
+    this.assignRoles();
 
-    // Save original walker states
-    this.originalWalkerStates.walker1.isWalking = this.walker1.isWalking;
-    this.originalWalkerStates.walker2.isWalking = this.walker2.isWalking;
-
-    // Move avatars close to each other before starting interaction
-    await this.moveAvatarsTogether();
+    // Move avatars into formation before starting interaction
+    await this.gather();
+    if (!this.isActive) return; // Ended on the way
 
     // Now pause walkers during interaction animation (prevent walker from updating)
-    this.walker1.isWalking = false;
-    this.walker2.isWalking = false;
-    this.walker1.shouldWalk = false;
-    this.walker2.shouldWalk = false;
-    this.walker1.inInteraction = true;
-    this.walker2.inInteraction = true;
+    this.participants.forEach(participant => participant.walker.state.transition('acting'));
+    this.isGathered = true;
 
     await this.onStart();
   }
 
-  // Move avatars towards each other until they reach interaction distance
-  async moveAvatarsTogether() {
-    // Always make avatars walk towards each other, even if they're already close
-    const pos1 = this.gvrm1.character.currentVrm.scene.position;
-    const pos2 = this.gvrm2.character.currentVrm.scene.position;
+  // Formation slots for the current participants. The center and axis are taken from where the
+  // avatars stand when they gather (the axis points from the first to the second) and kept afterwards.
+  layout() {
+    const positionOf = (participant) => participant.gvrm.character.currentVrm.scene.position;
 
-    const currentDistance = this.getDistance();
-
-    // If already very close, move them apart slightly first so they walk towards each other
-    let midpoint, target1, target2;
-
-    if (currentDistance < this.interactionDistance * 2) {
-      // Too close - make them walk at least 3 units to meet
-      const direction = new THREE.Vector3().subVectors(pos2, pos1).normalize();
-      const walkDistance = 3; // Minimum distance to walk
-
-      midpoint = new THREE.Vector3(
-        (pos1.x + pos2.x) / 2,
-        0,
-        (pos1.z + pos2.z) / 2
-      );
-
-      target1 = new THREE.Vector3().copy(midpoint).sub(direction.clone().multiplyScalar(this.interactionDistance / 2));
-      target2 = new THREE.Vector3().copy(midpoint).add(direction.clone().multiplyScalar(this.interactionDistance / 2));
-    } else {
-      // Far apart - meet at midpoint
-      midpoint = new THREE.Vector3(
-        (pos1.x + pos2.x) / 2,
-        0,
-        (pos1.z + pos2.z) / 2
-      );
-
-      // Calculate target positions for each avatar (distance from midpoint)
-      const direction = new THREE.Vector3().subVectors(pos2, pos1).normalize();
-      const halfDistance = this.interactionDistance / 2;
-
-      target1 = new THREE.Vector3().copy(midpoint).sub(direction.clone().multiplyScalar(halfDistance));
-      target2 = new THREE.Vector3().copy(midpoint).add(direction.clone().multiplyScalar(halfDistance));
+    if (!this.center) {
+      const center = { x: 0, z: 0 };
+      this.participants.forEach(participant => {
+        center.x += positionOf(participant).x / this.participants.length;
+        center.z += positionOf(participant).z / this.participants.length;
+      });
+      const pos1 = positionOf(this.participants[0]);
+      const pos2 = positionOf(this.participants[1] ?? this.participants[0]);
+      this.center = center;
+      this.axis = Math.atan2(pos2.x - pos1.x, pos2.z - pos1.z);
     }
 
-    // Use Walker to move avatars to temporary targets
-    return new Promise((resolve) => {
-      let walker1Arrived = false;
-      let walker2Arrived = false;
-
-      const checkBothArrived = () => {
-        if (walker1Arrived && walker2Arrived) {
-          console.log('Both avatars arrived for interaction');
+    const slots = formationSlots(this.formation, this.participants.length, this.center, this.axis, this.interactionDistance);
+
+    // The first participant (leader, performer, speaker) takes slot 0, the others the nearest free slot
+    const free = [...this.participants.slice(1)];
+    this.participants[0].slot = slots[0];
+    for (const slot of slots.slice(1)) {
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      free.forEach((participant, i) => {
+        const position = positionOf(participant);
+        const distance = Math.hypot(position.x - slot.x, position.z - slot.z);
+        if (distance < nearestDistance) {
+          nearest = i;
+          nearestDistance = distance;
+        }
+      });
+      free.splice(nearest, 1)[0].slot = slot;
+    }
+  }
 
-          // Wait a bit to ensure they're fully stopped
-          setTimeout(() => {
-            // Both arrived, face each other
-            const currentPos1 = this.gvrm1.character.currentVrm.scene.position;
-            const currentPos2 = this.gvrm2.character.currentVrm.scene.position;
-            const finalDistance = currentPos1.distanceTo(currentPos2);
+  // Walk everyone to their slots, then settle exactly on them
+  async gather() {
+    this.layout();
+    console.log(`Gathering ${this.participants.length} avatars (${this.formation})`);
 
-            console.log(`Final distance before interaction: ${finalDistance.toFixed(2)}m`);
+    await Promise.all(this.participants.map(participant => this.walkToSlot(participant)));
+    if (!this.isActive) return; // Ended on the way
+    console.log('All avatars arrived for interaction');
 
-            const dir = new THREE.Vector3().subVectors(currentPos2, currentPos1).normalize();
+    // Wait a bit to ensure they're fully stopped
+    await this.wait(0.1);
 
-            this.gvrm1.character.currentVrm.scene.rotation.y = Math.atan2(dir.x, dir.z);
-            this.gvrm2.character.currentVrm.scene.rotation.y = Math.atan2(-dir.x, -dir.z);
+    // Arrival is only within a threshold
+    this.participants.forEach(participant => this.settle(participant));
+  }
 
-            resolve();
-          }, 100); // Wait 100ms to ensure walkers have fully stopped
-        }
+  // Resolves on arrival (or when the participant is released on the way)
+  walkToSlot(participant) {
+    return new Promise((resolve) => {
+      participant.onArrive = () => {
+        participant.onArrive = null;
+        resolve();
       };
+      // Group members don't steer around each other (other avatars are still avoided)
+      participant.walker.group = this;
+      participant.walker.setTemporaryTarget(participant.slot.x, participant.slot.z, participant.onArrive);
+    });
+  }
 
-      console.log(`Moving avatars together. Current distance: ${this.getDistance().toFixed(2)}m`);
+  settle(participant) {
+    const scene = participant.gvrm.character.currentVrm.scene;
+    scene.position.x = participant.slot.x;
+    scene.position.z = participant.slot.z;
+    scene.rotation.y = participant.slot.rotation;
+  }
 
-      // Set temporary targets for both walkers (with stricter threshold)
-      this.walker1.setTemporaryTarget(target1.x, target1.z, () => {
-        console.log('Walker1 arrived at target');
-        walker1Arrived = true;
-        checkBothArrived();
-      });
+  // Join an ongoing interaction: walk to a free slot, then act along. Returns false when not possible now.
+  join({ index, gvrm, walker }) {
+    if (!this.canJoin()) return false;
 
-      this.walker2.setTemporaryTarget(target2.x, target2.z, () => {
-        console.log('Walker2 arrived at target');
-        walker2Arrived = true;
-        checkBothArrived();
-      });
+    const member = { index, gvrm, walker, role: this.nextRole(), slot: null, joining: true };
+    this.participants.push(member);
+    this.relayout();
+
+    this.walkToSlot(member).then(() => {
+      if (!this.isActive || !this.participants.includes(member)) return; // Left or ended on the way
+      member.joining = false;
+      this.settle(member);
+      walker.state.transition('acting');
+      this.onJoin(member);
+    });
+    return true;
+  }
+
+  // An avatar goes back to walking; the interaction ends when too few remain. Returns false for non-participants.
+  leave(index) {
+    const member = this.participants.find(participant => participant.index === index);
+    if (!member) return false;
+
+    if (this.participants.length - 1 < this.minParticipants) {
+      this.end();
+      return true;
+    }
+
+    this.participants = this.participants.filter(participant => participant !== member);
+    this.release(member);
+    this.onLeave(member);
+    if (this.isGathered) this.relayout();
+    return true;
+  }
+
+  // New slots after a join or leave: acting members shuffle over, joiners on the way are redirected
+  relayout() {
+    this.layout();
+    this.participants.forEach(participant => {
+      if (participant.joining) {
+        participant.walker.setTemporaryTarget(participant.slot.x, participant.slot.z, participant.onArrive);
+      } else {
+        participant.shuffling = true;
+      }
     });
   }
 
-  // Called every frame while active
-  update() {
+  // Back to normal walking (crossfades to Idle), also if still on the way to the formation
+  release(participant) {
+    participant.walker.clearTemporaryTarget();
+    participant.walker.state.transition('idle');
+    participant.walker.group = null;
+    if (participant.onArrive) participant.onArrive();
+  }
+
+  // Called every simulation step (`delta` seconds) while active
+  update(delta) {
     if (!this.isActive) return;
 
-    this.frameCount++;
+    this.delta = delta;
+    this.elapsed += delta;
+    this.waits = this.waits.filter(wait => {
+      if (wait.time > this.elapsed) return true;
+      wait.resolve();
+      return false;
+    });
 
     // Check if interaction should end
-    if (this.frameCount >= this.duration) {
+    if (this.elapsed >= this.duration) {
       this.end();
       return;
     }
 
+    this.shuffle();
     this.onUpdate();
   }
 
+  // Acting members slide to their new slots after a relayout
+  shuffle() {
+    this.participants.forEach(participant => {
+      if (!participant.shuffling) return;
+      const target = new THREE.Vector3(participant.slot.x, 0, participant.slot.z);
+      const position = participant.gvrm.character.currentVrm.scene.position;
+      if (Math.hypot(position.x - target.x, position.z - target.z) > 0.1) {
+        this.moveCharacterTowards(participant.gvrm, target, 1.2);
+      } else {
+        this.settle(participant);
+        participant.shuffling = false;
+      }
+    });
+  }
+
   // Called when interaction ends
   end() {
     this.isActive = false;
-
-    // Restore walker states
-    this.walker1.isWalking = this.originalWalkerStates.walker1.isWalking;
-    this.walker2.isWalking = this.originalWalkerStates.walker2.isWalking;
-    this.walker1.inInteraction = false;
-    this.walker2.inInteraction = false;
-
+    this.participants.forEach(participant => this.release(participant));
+    this.waits.forEach(wait => wait.resolve()); // Waiters check isActive
+    this.waits = [];
     this.onEnd();
   }
 
+  // Resolves after `seconds` of simulated time (counted by update(), so it keeps pace with the simulation)
+  wait(seconds) {
+    if (!this.isActive) return Promise.resolve(); // Nothing would resolve it after end()
+    return new Promise(resolve => this.waits.push({ time: this.elapsed + seconds, resolve }));
+  }
+
   // Override these in subclasses
   async onStart() {}
   onUpdate() {}
   onEnd() {}
+  // A joiner arrived (plays its role's animation by default)
+  async onJoin(member) {
+    await this.playRoleAnimation(member);
+  }
+  onLeave(member) {}
 
-  // Helper: Get distance between two characters
+  // Helper: Get distance between the first two participants
   getDistance() {
     const pos1 = this.gvrm1.character.currentVrm.scene.position;
     const pos2 = this.gvrm2.character.currentVrm.scene.position;
     return pos1.distanceTo(pos2);
   }
 
-  // Helper: Move character to target position
-  moveCharacterTowards(gvrm, targetPos, speed = 0.05) {
+  // Helper: Move character towards target position at `speed` meters per second (for the current step)
+  moveCharacterTowards(gvrm, targetPos, speed = 3) {
     if (!targetPos || !gvrm || !gvrm.character || !gvrm.character.currentVrm) {
       return; // Safety check
     }
@@ -190,7 +313,7 @@ export class Interaction {
 
     if (distance > 0.1) {
       direction.normalize();
-      currentPos.add(direction.multiplyScalar(speed));
+      currentPos.add(direction.multiplyScalar(Math.min(speed * this.delta, distance)));
 
       // Rotate to face target
       const angle = Math.atan2(direction.x, direction.z);
@@ -200,473 +323,228 @@ export class Interaction {
 
   // Helper: Change animation
   async changeAnimation(gvrm, animationPath) {
-    if (gvrm && gvrm.isReady && !gvrm.character.isLoading()) {
-      await gvrm.changeFBX(animationPath);
+    const participant = this.participants.find(p => p.gvrm === gvrm);
+    if (participant && gvrm.isReady) {
+      // Crossfade using the walker's cached clips
+      await participant.walker.animations.play(animationPath);
     }
   }
 
-  // Helper: Show speech bubble
-  showSpeech(index, text) {
-    // This will be called from InteractionManager
-    if (this.context.showSpeechBubble) {
-      this.context.showSpeechBubble(index, text);
-    }
-  }
-}
-
-// 1. Greeting - Two characters acknowledge each other
-export class GreetingInteraction extends Interaction {
-  async onStart() {
-    // Face each other
-    const pos1 = this.gvrm1.character.currentVrm.scene.position;
-    const pos2 = this.gvrm2.character.currentVrm.scene.position;
-
-    const angle1 = Math.atan2(pos2.x - pos1.x, pos2.z - pos1.z);
-    const angle2 = Math.atan2(pos1.x - pos2.x, pos1.z - pos2.z);
-
-    this.gvrm1.character.currentVrm.scene.rotation.y = angle1;
-    this.gvrm2.character.currentVrm.scene.rotation.y = angle2;
-
-    // Play acknowledging animation
-    await this.changeAnimation(this.gvrm1, '../assets/Acknowledging.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Acknowledging.fbx');
-
-    // Show greetings
-    this.showSpeech(this.context.index1, 'こんにちは！');
-    setTimeout(() => this.showSpeech(this.context.index2, 'やっほー！'), 1000);
-  }
-
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
-
-// 2. Dance Party - Two characters dance together
-export class DancePartyInteraction extends Interaction {
-  async onStart() {
-    const greetings = ['踊ろう！', 'レッツダンス！', '一緒に♪'];
-    this.showSpeech(this.context.index1, greetings[Math.floor(Math.random() * greetings.length)]);
-
-    // Both do Gangnam Style dance
-    await this.changeAnimation(this.gvrm1, '../assets/Gangnam Style.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Gangnam Style.fbx');
-  }
-
-  async onEnd() {
-    this.showSpeech(this.context.index1, '楽しかった！');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
-
-// 3. Chicken Dance - Silly dance together
-export class ChickenDanceInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, 'チキンダンス！');
-    await this.changeAnimation(this.gvrm1, '../assets/Chicken Dance.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Chicken Dance.fbx');
-  }
-
-  async onEnd() {
-    this.showSpeech(this.context.index2, 'わーい');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
-
-// 4. Listening Session - One talks, one listens
-export class ListeningInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, 'あのね...');
-    await this.changeAnimation(this.gvrm1, '../assets/Happy Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Listening.fbx');
-
-    setTimeout(() => this.showSpeech(this.context.index2, 'うんうん'), 2000);
-  }
-
-  async onEnd() {
-    this.showSpeech(this.context.index1, 'ありがとう！');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
+  // Helper: Same animation for everyone
+  async changeAllAnimations(animationPath) {
+    await Promise.all(this.participants.map(participant => this.changeAnimation(participant.gvrm, animationPath)));
   }
-}
-
-// 5. Pointing Game - One points, other looks
-export class PointingInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, 'あれ見て！');
-    await this.changeAnimation(this.gvrm1, '../assets/Pointing.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Happy Idle.fbx');
 
-    setTimeout(() => this.showSpeech(this.context.index2, 'わー！'), 1500);
-  }
-
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
-
-// 6. Warrior Pose Challenge
-export class WarriorPoseInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, 'ポーズ対決！');
-    await this.changeAnimation(this.gvrm1, '../assets/Warrior.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Warrior.fbx');
+  // Helper: Animation of the participant's role (see this.roles)
+  async playRoleAnimation(participant) {
+    const role = this.roles.find(r => r.name === participant.role);
+    if (role && role.animation) {
+      await this.changeAnimation(participant.gvrm, role.animation);
+    }
   }
 
-  async onEnd() {
-    this.showSpeech(this.context.index2, '引き分けだね');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
+  async playRoleAnimations() {
+    await Promise.all(this.participants.map(participant => this.playRoleAnimation(participant)));
   }
-}
 
-// 7. Dizzy Spin - Both get dizzy
-export class DizzySpinInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, 'ぐるぐる〜');
-    await this.changeAnimation(this.gvrm1, '../assets/Around.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Around.fbx');
-
-    setTimeout(async () => {
-      await this.changeAnimation(this.gvrm1, '../assets/Dizzy Idle.fbx');
-      await this.changeAnimation(this.gvrm2, '../assets/Dizzy Idle.fbx');
-      this.showSpeech(this.context.index2, 'めまいが...');
-    }, 3000);
-  }
-
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
+  // Helper: Show speech bubble
+  showSpeech(index, text) {
+    // This will be called from InteractionManager
+    if (this.context.showSpeechBubble) {
+      this.context.showSpeechBubble(index, text);
+    }
   }
 }
 
-// 8. Flying Dream - Pretend to fly together
-export class FlyingDreamInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, '空を飛ぼう！');
-    await this.changeAnimation(this.gvrm1, '../assets/Flying.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Flying.fbx');
-  }
-
-  async onEnd() {
-    this.showSpeech(this.context.index2, '楽しかった');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
+// Where the house stands (conditions with nearHouse)
+const HOUSE_POSITION = { x: 0, z: -10 };
+
+// Default roles of pair interactions
+const PAIR_ROLES = [{ name: 'first', count: 1 }, { name: 'second' }];
+
+// What conditions are checked against:
+// { timeOfDay, distance, affinity, familiarity (between the first two), houseDistances }
+// relationships: RelationshipGraph (optional)
+export function describeSituation(participants, timeOfDay, relationships = null) {
+  const positions = participants.map(participant => participant.gvrm.character.currentVrm.scene.position);
+  const pair = relationships && participants.length >= 2
+    ? relationships.get(participants[0].index, participants[1].index)
+    : { affinity: 0, familiarity: 0 };
+  return {
+    timeOfDay,
+    distance: positions.length >= 2 ? positions[0].distanceTo(positions[1]) : 0,
+    affinity: pair.affinity,
+    familiarity: pair.familiarity,
+    houseDistances: positions.map(position => Math.hypot(position.x - HOUSE_POSITION.x, position.z - HOUSE_POSITION.z))
+  };
 }
 
-// 9. Shrug Together - Both confused
-export class ShrugInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, 'わかんない');
-    await this.changeAnimation(this.gvrm1, '../assets/Shrugging.fbx');
-
-    setTimeout(async () => {
-      this.showSpeech(this.context.index2, '私も...');
-      await this.changeAnimation(this.gvrm2, '../assets/Shrugging.fbx');
-    }, 1000);
-  }
-
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
+// Condition (all given keys must hold):
+//   time: [from, to]          from <= hour < to, wrapping past midnight when from > to ([18, 6] is night)
+//   distance: { min, max }    between the first two participants (exclusive)
+//   affinity: { min, max }    how much the first two like each other (-1..1, see relationships.js)
+//   familiarity: { min, max } how well they know each other (0..1)
+//   nearHouse: meters         someone is closer than this to the house
+//   not: condition
+export function matchesCondition(condition, situation) {
+  if (condition.time) {
+    const [from, to] = condition.time;
+    const hour = situation.timeOfDay;
+    const inRange = from <= to ? (hour >= from && hour < to) : (hour >= from || hour < to);
+    if (!inRange) return false;
+  }
+  for (const key of ['distance', 'affinity', 'familiarity']) {
+    if (!condition[key]) continue;
+    const { min, max } = condition[key];
+    if (min !== undefined && !(situation[key] > min)) return false;
+    if (max !== undefined && !(situation[key] < max)) return false;
+  }
+  if (condition.nearHouse !== undefined) {
+    if (!situation.houseDistances.some(distance => distance < condition.nearHouse)) return false;
+  }
+  if (condition.not && matchesCondition(condition.not, situation)) return false;
+  return true;
 }
 
-// 10. Combat Training - Practice fighting moves
-export class CombatTrainingInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, '練習しよう！');
-    await this.changeAnimation(this.gvrm1, '../assets/Jab Cross.fbx');
+// Selection weight of a definition in a situation (0 = not possible)
+export function definitionWeight(definition, situation) {
+  if (definition.requires && !matchesCondition(definition.requires, situation)) return 0;
 
-    setTimeout(async () => {
-      await this.changeAnimation(this.gvrm2, '../assets/Jab Cross.fbx');
-    }, 500);
-  }
-
-  async onEnd() {
-    this.showSpeech(this.context.index2, 'いい運動！');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
+  let weight = definition.weight ?? 1;
+  for (const rule of definition.conditions ?? []) {
+    weight *= matchesCondition(rule.when, situation) ? (rule.weight ?? 1) : (rule.otherwise ?? 1);
   }
+  return weight;
 }
 
-// 11. Happy Meeting - Both are happy to see each other
-export class HappyMeetingInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, '久しぶり！');
-    this.showSpeech(this.context.index2, '会いたかった！');
-    await this.changeAnimation(this.gvrm1, '../assets/Happy Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Happy Idle.fbx');
-  }
-
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
+// A line, or one at random from a list
+function pickLine(say) {
+  return Array.isArray(say) ? say[Math.floor(random() * say.length)] : say;
 }
 
-// 12. Breathing Exercise - Relax together
-export class BreathingExerciseInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, 'リラックス');
-    await this.changeAnimation(this.gvrm1, '../assets/Breathing.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Breathing.fbx');
-  }
-
-  async onEnd() {
-    this.showSpeech(this.context.index2, 'すっきり');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
+// Interaction described by a definition from interactions.json:
+// {
+//   name: 'Greeting',
+//   participants: { min, max },              // default 2 and 2; groups take joiners up to max
+//   formation: 'facing',                     // 'facing', 'circle', 'line' or 'audience' (formation.js)
+//   distance: 0.8,                           // spacing between neighbours in the formation (approach distance)
+//   duration: 7.5,                           // seconds (7.5 = 3 virtual hours)
+//   roles: [{ name, count, animation }],     // default first (1) and second; role animations play on start and join
+//   weight: 1,                               // base selection weight
+//   conditions: [{ when, weight, otherwise }], // weight multipliers: `weight` when the condition holds, else `otherwise`
+//   requires: condition,                     // never selected otherwise
+//   cooldown: 6,                             // virtual hours before it can start again (manager default otherwise)
+//   relationship: { affinity, familiarity }, // change between every two participants when it ends
+//                                            // (numbers or [min, max] ranges, manager default otherwise)
+//   timeline: [{
+//     at: 0,                                 // seconds after everyone arrived, 'end' when it ends, 'join' for joiners
+//     role: 'first',                         // members the action is for (omit for everyone)
+//     who: 'all' | 'first' | 'random',       // which of them (default: 'first' for say, 'all' otherwise)
+//     say: 'こんにちは！' | ['…', '…'],        // speech bubble (a list picks one at random)
+//     animation: 'Acknowledging',            // clip name or path
+//     move: { range, speed, for, offset },   // walk (speed in m/s) to a random spot (shared by the interaction) for
+//                                            // a fraction of the duration, offset [x, z] from it
+//     when: condition                        // skipped unless it holds (see matchesCondition)
+//   }]
+// }
+export class DataInteraction extends Interaction {
+  constructor(definition, participants, context) {
+    super(participants, context);
+    this.definition = definition;
+    this.name = definition.name;
+
+    const group = definition.participants ?? {};
+    this.minParticipants = group.min ?? 2;
+    this.maxParticipants = group.max ?? this.minParticipants;
+    this.formation = definition.formation ?? this.formation;
+    this.interactionDistance = definition.distance ?? this.interactionDistance;
+    if (definition.duration !== undefined) this.duration = definition.duration;
+    this.roles = definition.roles ?? PAIR_ROLES;
+
+    this.scheduled = []; // { action, time } timed actions, dropped when the interaction ends
+    this.moves = []; // { member, target, speed, until (seconds) }
+    this.moveTarget = null;
+  }
+
+  actions(at) {
+    return (this.definition.timeline ?? []).filter(action => (action.at ?? 0) === at);
   }
-}
 
-// 13. Walk Together - Side by side walking
-export class WalkTogetherInteraction extends Interaction {
   async onStart() {
-    this.showSpeech(this.context.index1, '散歩しよう');
-    await this.changeAnimation(this.gvrm1, '../assets/Walking.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Walking.fbx');
+    for (const action of this.definition.timeline ?? []) {
+      const at = action.at ?? 0;
+      if (at === 'end' || at === 'join') continue;
+
+      if (at > 0) {
+        this.scheduled.push({ action, time: this.elapsed + at });
+      } else {
+        this.perform(action);
+      }
+    }
 
-    this.targetPos = new THREE.Vector3(
-      (Math.random() - 0.5) * 10,
-      0,
-      (Math.random() - 0.5) * 10
-    );
+    await this.playRoleAnimations();
   }
 
   onUpdate() {
-    if (!this.targetPos) return; // Safety check
-
-    if (this.frameCount < this.duration / 2) {
-      this.moveCharacterTowards(this.gvrm1, this.targetPos, 0.02);
-      const offset = new THREE.Vector3(1.5, 0, 0);
-      const targetPos2 = this.targetPos.clone().add(offset);
-      this.moveCharacterTowards(this.gvrm2, targetPos2, 0.02);
-    }
-  }
-
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
+    this.scheduled = this.scheduled.filter(({ action, time }) => {
+      if (time > this.elapsed) return true;
+      this.perform(action);
+      return false;
+    });
 
-// 14. Morning Greeting
-export class MorningGreetingInteraction extends Interaction {
-  async onStart() {
-    const timeOfDay = this.context.timeOfDay;
-    if (timeOfDay >= 6 && timeOfDay < 12) {
-      this.showSpeech(this.context.index1, 'おはよう！');
-      this.showSpeech(this.context.index2, 'おはよー！');
-    } else {
-      this.showSpeech(this.context.index1, 'やっほー');
-      this.showSpeech(this.context.index2, 'こんにちは');
+    for (const move of this.moves) {
+      if (this.elapsed < move.until && this.participants.includes(move.member)) {
+        this.moveCharacterTowards(move.member.gvrm, move.target, move.speed);
+      }
     }
-
-    await this.changeAnimation(this.gvrm1, '../assets/Acknowledging.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Happy Idle.fbx');
   }
 
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
+  onEnd() {
+    this.scheduled = [];
+    this.actions('end').forEach(action => this.perform(action));
   }
-}
-
-// 15. Evening Goodbye
-export class EveningGoodbyeInteraction extends Interaction {
-  async onStart() {
-    const timeOfDay = this.context.timeOfDay;
-    if (timeOfDay >= 18 || timeOfDay < 6) {
-      this.showSpeech(this.context.index1, 'おやすみ');
-      this.showSpeech(this.context.index2, 'またね');
-    } else {
-      this.showSpeech(this.context.index1, 'じゃあね');
-      this.showSpeech(this.context.index2, 'バイバイ');
-    }
 
-    await this.changeAnimation(this.gvrm1, '../assets/Acknowledging.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Acknowledging.fbx');
+  async onJoin(member) {
+    this.actions('join').forEach(action => this.perform(action, [member]));
+    await super.onJoin(member);
   }
 
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
+  // Members an action applies to
+  targets(action) {
+    const members = action.role ? this.members(action.role) : this.participants;
+    const who = action.who ?? (action.say !== undefined ? 'first' : 'all');
 
-// 16. Near House Meeting
-export class NearHouseMeetingInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, '家の前だね');
-    this.showSpeech(this.context.index2, 'いい家だね');
-
-    await this.changeAnimation(this.gvrm1, '../assets/Pointing.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Listening.fbx');
-  }
-
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
+    if (who === 'first') return [members[0] ?? this.participants[0]]; // Someone still says it
+    if (members.length === 0) return [];
+    if (who === 'random') return [members[Math.floor(random() * members.length)]];
+    return members;
   }
-}
 
-// 17. Far Distance Wave
-export class FarDistanceWaveInteraction extends Interaction {
-  async onStart() {
-    const distance = this.getDistance();
-    if (distance > 5) {
-      this.showSpeech(this.context.index1, 'おーい！');
-      await this.changeAnimation(this.gvrm1, '../assets/Acknowledging.fbx');
-
-      setTimeout(() => {
-        this.showSpeech(this.context.index2, 'おーい！');
-        this.changeAnimation(this.gvrm2, '../assets/Acknowledging.fbx');
-      }, 1000);
+  perform(action, targets = this.targets(action)) {
+    if (action.when) {
+      const situation = describeSituation(this.participants, this.context.timeOfDay, this.context.relationships);
+      if (!matchesCondition(action.when, situation)) return;
     }
-  }
 
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
-
-// 18. Circle Dance
-export class CircleDanceInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, '回ろう！');
-    await this.changeAnimation(this.gvrm1, '../assets/Around.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Around.fbx');
-  }
-
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
-
-// 19. Mutual Pointing
-export class MutualPointingInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, 'あっちだよ');
-    this.showSpeech(this.context.index2, 'こっちだよ');
-    await this.changeAnimation(this.gvrm1, '../assets/Pointing.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Pointing.fbx');
-  }
-
-  async onEnd() {
-    this.showSpeech(this.context.index1, 'わかんない笑');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
-
-// 20. Night Sky Gazing
-export class NightSkyGazingInteraction extends Interaction {
-  async onStart() {
-    const timeOfDay = this.context.timeOfDay;
-    if ((timeOfDay >= 18 && timeOfDay <= 24) || (timeOfDay >= 0 && timeOfDay < 6)) {
-      this.showSpeech(this.context.index1, '星きれい');
-      this.showSpeech(this.context.index2, 'ほんとだね');
-    } else {
-      this.showSpeech(this.context.index1, '空きれい');
-      this.showSpeech(this.context.index2, 'うんうん');
+    for (const member of targets) {
+      if (action.say !== undefined) this.showSpeech(member.index, pickLine(action.say));
+      if (action.animation) this.changeAnimation(member.gvrm, action.animation);
+      if (action.move) this.startMove(member, action.move);
     }
-
-    await this.changeAnimation(this.gvrm1, '../assets/Breathing.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Breathing.fbx');
-  }
-
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
-
-// 21. Flying Show - One performs flying, other watches
-export class FlyingShowInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, '飛んでるみたい！');
-    await this.changeAnimation(this.gvrm1, '../assets/Flying.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Happy Idle.fbx');
-
-    setTimeout(() => this.showSpeech(this.context.index2, 'すごい！'), 2000);
-  }
-
-  async onEnd() {
-    this.showSpeech(this.context.index1, 'どう？');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
   }
-}
-
-// 22. Listening Circle - Both listen carefully
-export class ListeningCircleInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, '静かに聞こう');
-    this.showSpeech(this.context.index2, 'うん');
-    await this.changeAnimation(this.gvrm1, '../assets/Listening.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Listening.fbx');
-  }
-
-  async onEnd() {
-    this.showSpeech(this.context.index1, '聞こえた？');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
-
-// 23. Warrior vs Combat - Warrior pose vs jab cross
-export class WarriorCombatInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, '技披露！');
-    await this.changeAnimation(this.gvrm1, '../assets/Warrior.fbx');
-
-    setTimeout(async () => {
-      this.showSpeech(this.context.index2, '負けない！');
-      await this.changeAnimation(this.gvrm2, '../assets/Jab Cross.fbx');
-    }, 1000);
-  }
-
-  async onEnd() {
-    this.showSpeech(this.context.index1, 'いい勝負！');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
-
-// 24. Relax Break - One acknowledges, one relaxes
-export class RelaxBreakInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, 'ちょっと休憩');
-    await this.changeAnimation(this.gvrm1, '../assets/Acknowledging.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Breathing.fbx');
 
-    setTimeout(() => this.showSpeech(this.context.index2, 'のんびり'), 2000);
-  }
-
-  async onEnd() {
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
-  }
-}
-
-// 25. Mixed Dance Party - Different dances together
-export class MixedDancePartyInteraction extends Interaction {
-  async onStart() {
-    this.showSpeech(this.context.index1, 'ダンスバトル！');
-    await this.changeAnimation(this.gvrm1, '../assets/Chicken Dance.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Gangnam Style.fbx');
-  }
-
-  async onEnd() {
-    this.showSpeech(this.context.index2, '楽しい！');
-    await this.changeAnimation(this.gvrm1, '../assets/Idle.fbx');
-    await this.changeAnimation(this.gvrm2, '../assets/Idle.fbx');
+  startMove(member, move) {
+    // One destination per interaction, so members walk together
+    if (!this.moveTarget) {
+      const range = move.range ?? 10;
+      this.moveTarget = { x: (random() - 0.5) * range, z: (random() - 0.5) * range };
+    }
+    const [offsetX, offsetZ] = move.offset ?? [0, 0];
+    this.moves.push({
+      member,
+      target: new THREE.Vector3(this.moveTarget.x + offsetX, 0, this.moveTarget.z + offsetZ),
+      speed: move.speed ?? 1.2,
+      until: (move.for ?? 1) * this.duration
+    });
   }
 }
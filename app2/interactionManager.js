@@ -1,322 +1,400 @@
 // Copyright (c) 2025 naruya
 // Licensed under the MIT License. See LICENSE file in the project root for full license information.
 
-import {
-  GreetingInteraction,
-  DancePartyInteraction,
-  ChickenDanceInteraction,
-  ListeningInteraction,
-  PointingInteraction,
-  WarriorPoseInteraction,
-  DizzySpinInteraction,
-  FlyingDreamInteraction,
-  ShrugInteraction,
-  CombatTrainingInteraction,
-  HappyMeetingInteraction,
-  BreathingExerciseInteraction,
-  WalkTogetherInteraction,
-  MorningGreetingInteraction,
-  EveningGoodbyeInteraction,
-  NearHouseMeetingInteraction,
-  FarDistanceWaveInteraction,
-  CircleDanceInteraction,
-  MutualPointingInteraction,
-  NightSkyGazingInteraction,
-  FlyingShowInteraction,
-  ListeningCircleInteraction,
-  WarriorCombatInteraction,
-  RelaxBreakInteraction,
-  MixedDancePartyInteraction
-} from './interaction.js';
+import * as THREE from 'three';
+import { DataInteraction, describeSituation, definitionWeight } from './interaction.js';
+import { random } from './core/random.js';
 
+// Runs several interactions at once, described in interactions.json (see DataInteraction).
+// Every avatar is reserved by at most one of them, from being picked until the interaction ends (or the avatar leaves it).
 export class InteractionManager {
-  constructor(gvrms, walkers, context) {
+  // options: {
+  //   definitions      interaction definitions, or the URL of a JSON file with them (default ./interactions.json)
+  //   maxConcurrent    interactions running at the same time (default: one per two avatars)
+  //   interval         virtual hours between two starts
+  //   cooldown         virtual hours before the same kind of interaction can start again after it ended
+  //   cooldowns        per interaction name, e.g. { 'Circle Dance': 12 } (a definition's own cooldown comes first)
+  //   relationships    RelationshipGraph: biases who meets whom and which interaction, updated by outcomes
+  //   relationship     default outcome of an interaction, { affinity, familiarity } (see interactions.json)
+  //   joinDistance     free avatars this close to a group interaction may join it
+  //   joinChance       per second, while a group interaction has room
+  //   leaveChance      per second, one member of a group interaction wanders off (never below its minimum)
+  // }
+  constructor(gvrms, walkers, context, options = {}) {
     this.gvrms = gvrms;
     this.walkers = walkers;
     this.context = context; // { timeOfDay, centerHouse, camera, showSpeechBubble }
 
-    this.activeInteraction = null; // Single interaction
-    this.lastInteractionHour = -1;
-
-    // All available interaction types
-    this.interactionTypes = [
-      GreetingInteraction,
-      DancePartyInteraction,
-      ChickenDanceInteraction,
-      ListeningInteraction,
-      PointingInteraction,
-      WarriorPoseInteraction,
-      DizzySpinInteraction,
-      FlyingDreamInteraction,
-      ShrugInteraction,
-      CombatTrainingInteraction,
-      HappyMeetingInteraction,
-      BreathingExerciseInteraction,
-      WalkTogetherInteraction,
-      MorningGreetingInteraction,
-      EveningGoodbyeInteraction,
-      NearHouseMeetingInteraction,
-      FarDistanceWaveInteraction,
-      CircleDanceInteraction,
-      MutualPointingInteraction,
-      NightSkyGazingInteraction,
-      FlyingShowInteraction,
-      ListeningCircleInteraction,
-      WarriorCombatInteraction,
-      RelaxBreakInteraction,
-      MixedDancePartyInteraction
-    ];
+    this.maxConcurrent = options.maxConcurrent ?? Math.max(1, Math.floor(gvrms.length / 2));
+    this.interval = options.interval ?? 1;
+    this.cooldown = options.cooldown ?? 6;
+    this.cooldowns = options.cooldowns ?? {};
+    this.relationships = options.relationships ?? null;
+    this.relationship = options.relationship ?? { affinity: 0.02, familiarity: 0.05 };
+    this.context.relationships = this.relationships; // Conditions inside interactions
+    this.joinDistance = options.joinDistance ?? 4;
+    this.joinChance = options.joinChance ?? 0.6;
+    this.leaveChance = options.leaveChance ?? 0.03;
+
+    this.activeInteractions = [];
+    this.elapsed = 0; // Virtual hours since the manager started (does not wrap at midnight)
+    this.lastVirtualTime = null;
+    this.lastStartAt = -Infinity; // this.elapsed at the last start
+    this.lastEndedAt = new Map(); // Interaction name -> this.elapsed when one last ended
+
+    // All available interactions (nothing starts until they are loaded)
+    this.definitions = [];
+    this.loaded = false;
+    this.ready = this.loadDefinitions(options.definitions ?? './interactions.json');
   }
 
-  // Update context (called every frame)
+  // Resolves to the usable definitions; invalid ones are skipped with a warning
+  loadDefinitions(source) {
+    const loading = typeof source === 'string'
+      ? fetch(source).then(response => response.json())
+      : Promise.resolve(source);
+
+    return loading.then(definitions => {
+      this.definitions = definitions.filter(definition => {
+        if (!definition.name || !Array.isArray(definition.timeline)) {
+          console.warn('Skipping interaction definition without name or timeline:', definition);
+          return false;
+        }
+        return true;
+      });
+      console.log(`Loaded ${this.definitions.length} interaction definitions`);
+      this.loaded = true;
+      return this.definitions;
+    }).catch(error => {
+      console.error('Failed to load interaction definitions:', error);
+      this.loaded = true;
+      return this.definitions;
+    });
+  }
+
+  // Update context (called every step)
   updateContext(timeOfDay) {
     this.context.timeOfDay = timeOfDay;
   }
 
-  // Select two random avatars
-  selectTwoRandomAvatars() {
-    if (this.gvrms.length < 2) return null;
+  // Participant entry for an avatar
+  participant(index) {
+    return { index, gvrm: this.gvrms[index], walker: this.walkers[index] };
+  }
+
+  // Interaction an avatar is reserved by, or null
+  reservedBy(index) {
+    return this.activeInteractions.find(interaction => interaction.indices.includes(index)) ?? null;
+  }
 
-    const index1 = Math.floor(Math.random() * this.gvrms.length);
-    let index2 = Math.floor(Math.random() * this.gvrms.length);
+  // Ready and not reserved by an interaction
+  isFree(index) {
+    const gvrm = this.gvrms[index];
+    return !!(gvrm && gvrm.isReady && this.walkers[index] && !this.reservedBy(index));
+  }
 
-    // Ensure different avatars
-    while (index2 === index1) {
-      index2 = Math.floor(Math.random() * this.gvrms.length);
+  // Select `count` different random free avatars
+  selectRandomAvatars(count = 2) {
+    const indices = this.gvrms.map((gvrm, index) => index).filter(index => this.isFree(index));
+    if (indices.length < count) return null;
+
+    // Partial Fisher-Yates shuffle
+    for (let i = 0; i < count; i++) {
+      const j = i + Math.floor(random() * (indices.length - i));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
     }
+    return indices.slice(0, count).map(index => this.participant(index));
+  }
 
-    return {
-      index1,
-      index2,
-      gvrm1: this.gvrms[index1],
-      gvrm2: this.gvrms[index2],
-      walker1: this.walkers[index1],
-      walker2: this.walkers[index2]
-    };
+  // Two free avatars: the first at random, the second weighted by how well they get along
+  selectPair() {
+    if (!this.relationships) return this.selectRandomAvatars(2);
+
+    const [first] = this.selectRandomAvatars(1) ?? [];
+    if (!first) return null;
+
+    const candidates = this.gvrms
+      .map((gvrm, index) => index)
+      .filter(index => index !== first.index && this.isFree(index))
+      .map(index => ({ index, weight: this.relationships.pairWeight(first.index, index) }));
+    if (candidates.length === 0) return null;
+
+    const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    let roll = random() * totalWeight;
+    let second = candidates[candidates.length - 1];
+    for (const candidate of candidates) {
+      roll -= candidate.weight;
+      if (roll <= 0) {
+        second = candidate;
+        break;
+      }
+    }
+    return [first, this.participant(second.index)];
   }
 
-  // Calculate distance between two avatars
-  getDistance(gvrm1, gvrm2) {
-    if (!gvrm1 || !gvrm2 || !gvrm1.isReady || !gvrm2.isReady) return Infinity;
-    const pos1 = gvrm1.character.currentVrm.scene.position;
-    const pos2 = gvrm2.character.currentVrm.scene.position;
-    return pos1.distanceTo(pos2);
+  // Free avatars nearest to a point, closest first
+  nearestFreeAvatars(position, exclude = []) {
+    return this.gvrms
+      .map((gvrm, index) => index)
+      .filter(index => this.isFree(index) && !exclude.includes(index))
+      .map(index => ({ index, distance: this.gvrms[index].character.currentVrm.scene.position.distanceTo(position) }))
+      .sort((a, b) => a.distance - b.distance);
   }
 
-  // Calculate distance from house (at x=0, z=-10)
-  getDistanceFromHouse(gvrm) {
-    if (!gvrm || !gvrm.isReady) return Infinity;
-    const pos = gvrm.character.currentVrm.scene.position;
-    const dx = pos.x - 0;
-    const dz = pos.z - (-10);
-    return Math.sqrt(dx * dx + dz * dz);
+  // Not running and past its cooldown
+  isAvailable(definition) {
+    if (this.activeInteractions.some(interaction => interaction.definition === definition)) return false;
+    const endedAt = this.lastEndedAt.get(definition.name);
+    if (endedAt === undefined) return true;
+    const cooldown = definition.cooldown ?? this.cooldowns[definition.name] ?? this.cooldown;
+    return this.elapsed - endedAt >= cooldown;
   }
 
-  // Select appropriate interaction based on context
+  // Select appropriate interaction based on context (time of day, where the first two avatars are, how they get along)
   selectInteraction(avatars) {
-    const { gvrm1, gvrm2, index1, index2 } = avatars;
-    const timeOfDay = this.context.timeOfDay;
-    const distance = this.getDistance(gvrm1, gvrm2);
-    const distanceFromHouse1 = this.getDistanceFromHouse(gvrm1);
-    const distanceFromHouse2 = this.getDistanceFromHouse(gvrm2);
+    const situation = describeSituation(avatars, this.context.timeOfDay, this.relationships);
 
     // Create weighted list based on context
-    const weights = [];
-
-    this.interactionTypes.forEach((InteractionClass) => {
-      let weight = 1.0; // Base weight
-
-      // Time-based weights
-      if (InteractionClass === MorningGreetingInteraction) {
-        weight = (timeOfDay >= 6 && timeOfDay < 12) ? 3.0 : 0.5;
-      } else if (InteractionClass === EveningGoodbyeInteraction) {
-        weight = (timeOfDay >= 18 || timeOfDay < 6) ? 3.0 : 0.5;
-      } else if (InteractionClass === NightSkyGazingInteraction) {
-        weight = ((timeOfDay >= 18 && timeOfDay <= 24) || (timeOfDay >= 0 && timeOfDay < 6)) ? 3.0 : 0.3;
-      }
+    const weights = this.definitions
+      .filter(definition => this.isAvailable(definition))
+      .map(definition => ({ definition, weight: definitionWeight(definition, situation) }))
+      .filter(item => item.weight > 0);
 
-      // Distance-based weights
-      if (InteractionClass === FarDistanceWaveInteraction) {
-        weight = distance > 7 ? 3.0 : 0.3;
-      } else if (InteractionClass === WalkTogetherInteraction) {
-        weight = distance < 3 ? 2.0 : 0.5;
-      }
+    // Everything is running, cooling down or impossible here
+    if (weights.length === 0) return null;
 
-      // House proximity-based weights
-      if (InteractionClass === NearHouseMeetingInteraction) {
-        const nearHouse = distanceFromHouse1 < 5 || distanceFromHouse2 < 5;
-        weight = nearHouse ? 3.0 : 0.3;
-      }
+    // Weighted random selection
+    const totalWeight = weights.reduce((sum, item) => sum + item.weight, 0);
+    let roll = random() * totalWeight;
 
-      // Activity-based weights (some are more common)
-      if (InteractionClass === GreetingInteraction || InteractionClass === HappyMeetingInteraction) {
-        weight *= 1.5; // Greetings are common
-      } else if (InteractionClass === DancePartyInteraction || InteractionClass === ChickenDanceInteraction) {
-        weight *= 0.8; // Dances are less common
+    let selected = weights[weights.length - 1]; // Fallback (rounding)
+    for (const item of weights) {
+      roll -= item.weight;
+      if (roll <= 0) {
+        selected = item;
+        break;
       }
+    }
+    return new DataInteraction(selected.definition, avatars, this.context); // Shared, so timeOfDay stays current
+  }
 
-      weights.push({ InteractionClass, weight });
-    });
+  // Group interactions start with a random number of participants: the nearest free avatars are added
+  fillParticipants(interaction) {
+    const extra = Math.floor(random() * (interaction.maxParticipants - interaction.participants.length + 1));
+    if (extra === 0) return;
 
-    // Weighted random selection
-    const totalWeight = weights.reduce((sum, item) => sum + item.weight, 0);
-    let random = Math.random() * totalWeight;
+    const first = interaction.gvrm1.character.currentVrm.scene.position;
+    const second = interaction.gvrm2.character.currentVrm.scene.position;
+    const midpoint = first.clone().add(second).multiplyScalar(0.5);
 
-    for (const item of weights) {
-      random -= item.weight;
-      if (random <= 0) {
-        // Create interaction with context including avatar indices
-        const interactionContext = {
-          ...this.context,
-          index1,
-          index2
-        };
-        return new item.InteractionClass(
-          gvrm1,
-          gvrm2,
-          avatars.walker1,
-          avatars.walker2,
-          interactionContext
-        );
+    this.nearestFreeAvatars(midpoint, interaction.indices)
+      .slice(0, extra)
+      .forEach(({ index }) => interaction.addParticipant(this.participant(index)));
+  }
+
+  // Group interaction with room nearest to an avatar, or null
+  nearestOpenInteraction(index) {
+    const position = this.gvrms[index].character.currentVrm.scene.position;
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const interaction of this.activeInteractions) {
+      if (!interaction.canJoin()) continue;
+      const distance = Math.hypot(position.x - interaction.center.x, position.z - interaction.center.z);
+      if (distance < nearestDistance) {
+        nearest = interaction;
+        nearestDistance = distance;
       }
     }
+    return nearest;
+  }
 
-    // Fallback to greeting
-    const interactionContext = {
-      ...this.context,
-      index1,
-      index2
-    };
-    return new GreetingInteraction(gvrm1, gvrm2, avatars.walker1, avatars.walker2, interactionContext);
+  // Let a free avatar join an interaction (by default the nearest one with room).
+  // False when it is full, not a group, still gathering or the avatar is reserved.
+  joinInteraction(index, interaction = this.nearestOpenInteraction(index)) {
+    if (!interaction || !this.isFree(index) || !interaction.join(this.participant(index))) return false;
+
+    console.log(`Avatar ${index} joined ${interaction.name}`);
+    if (this.context.addTimelineEvent) {
+      this.context.addTimelineEvent(this.context.timeOfDay, `Avatar ${index + 1} joined ${interaction.name}`);
+    }
+    return true;
   }
 
-  // Check if should start new interaction (once every 4 hours)
-  shouldStartInteraction(currentHour) {
-    // Already have an active interaction
-    if (this.activeInteraction && this.activeInteraction.isActive) {
-      return false;
+  // Let an avatar leave its interaction (ends it when too few remain)
+  leaveInteraction(index) {
+    const interaction = this.reservedBy(index);
+    if (!interaction || !interaction.leave(index)) return false;
+
+    console.log(`Avatar ${index} left ${interaction.name}`);
+    if (this.context.addTimelineEvent) {
+      this.context.addTimelineEvent(this.context.timeOfDay, `Avatar ${index + 1} left ${interaction.name}`);
     }
+    return true;
+  }
 
-    // Check if 4 hours have passed since last interaction
-    if (this.lastInteractionHour !== -1) {
-      const hoursPassed = currentHour - this.lastInteractionHour;
-      if (hoursPassed < 4 && hoursPassed >= 0) {
-        return false;
-      }
-      // Handle day wrap-around (24 -> 0)
-      if (currentHour < this.lastInteractionHour && (24 - this.lastInteractionHour + currentHour) < 4) {
-        return false;
+  // Passers-by join group interactions with room; members sometimes wander off (chances over `delta` seconds)
+  updateGroup(interaction, delta) {
+    if (interaction.canJoin() && random() < this.joinChance * delta) {
+      const center = new THREE.Vector3(interaction.center.x, 0, interaction.center.z);
+      const [nearest] = this.nearestFreeAvatars(center);
+      if (nearest && nearest.distance < this.joinDistance) {
+        this.joinInteraction(nearest.index, interaction);
       }
     }
 
-    // Need at least 2 avatars
-    if (this.gvrms.length < 2) {
+    if (interaction.isGathered && interaction.participants.length > interaction.minParticipants &&
+        random() < this.leaveChance * delta) {
+      const members = interaction.participants.filter(participant => !participant.joining);
+      const member = members[Math.floor(random() * members.length)];
+      if (member) this.leaveInteraction(member.index);
+    }
+  }
+
+  // Definitions loaded, room for another interaction and `interval` hours since the last start
+  shouldStartInteraction() {
+    // Before the definitions are there, picking avatars would only use up random draws
+    if (!this.loaded) {
+      return false;
+    }
+    if (this.activeInteractions.length >= this.maxConcurrent) {
+      return false;
+    }
+    if (this.elapsed - this.lastStartAt < this.interval) {
       return false;
     }
 
-    return true;
+    // Need at least 2 free avatars
+    return this.gvrms.filter((gvrm, index) => this.isFree(index)).length >= 2;
   }
 
   // Start new interaction
-  async startNewInteraction(currentHour) {
-    if (!this.shouldStartInteraction(currentHour)) {
+  async startNewInteraction() {
+    if (!this.shouldStartInteraction()) {
       return;
     }
 
-    this.lastInteractionHour = currentHour;
-
-    // Select two random avatars
-    const avatars = this.selectTwoRandomAvatars();
+    // Select two avatars to start it
+    const avatars = this.selectPair();
     if (!avatars) return;
 
-    // Check if both avatars are ready
-    if (!avatars.gvrm1.isReady || !avatars.gvrm2.isReady) {
-      return;
-    }
-
-    // Select appropriate interaction
+    // Select appropriate interaction, group interactions gather more avatars
     const interaction = this.selectInteraction(avatars);
+    if (!interaction) return;
+    this.fillParticipants(interaction);
 
-    // Start interaction
-    this.activeInteraction = interaction;
-    await interaction.start();
-
-    console.log(`Started interaction: ${interaction.constructor.name} between avatars ${avatars.index1} and ${avatars.index2}`);
+    // Reserve the participants, then start interaction
+    this.lastStartAt = this.elapsed;
+    this.activeInteractions.push(interaction);
+    console.log(`Starting interaction: ${interaction.name} between avatars ${interaction.indices.join(', ')}`);
 
     // Add timeline event
     if (this.context.addTimelineEvent) {
-      const readableName = interaction.constructor.name.replace('Interaction', '').replace(/([A-Z])/g, ' $1').trim();
       this.context.addTimelineEvent(
         this.context.timeOfDay,
-        `${readableName} (Avatar ${avatars.index1 + 1} & ${avatars.index2 + 1})`
+        `${interaction.name} (Avatar ${interaction.indices.map(index => index + 1).join(' & ')})`
       );
     }
 
-    // Update interaction display
-    if (this.context.updateInteractionDisplay) {
-      this.context.updateInteractionDisplay(
-        interaction.constructor.name,
-        avatars.index1,
-        avatars.index2,
-        interaction.duration,
-        interaction.duration
-      );
+    await interaction.start();
+  }
+
+  // Virtual hours since the last update (the clock wraps at midnight)
+  advance(virtualTime) {
+    if (this.lastVirtualTime !== null) {
+      let delta = virtualTime - this.lastVirtualTime;
+      if (delta < 0) delta += 24;
+      this.elapsed += delta;
+      if (this.relationships) this.relationships.advance(delta);
     }
+    this.lastVirtualTime = virtualTime;
   }
 
-  // Update active interaction
-  update(virtualTime) {
-    const currentHour = Math.floor(virtualTime);
+  // Everyone still taking part when it ended gets to know each other
+  recordOutcome(interaction) {
+    if (!this.relationships || interaction.participants.length < 2) return;
+    const change = interaction.definition?.relationship ?? this.relationship;
+    this.relationships.record(interaction.indices, change);
+  }
 
+  // Update active interactions over a step of `delta` seconds
+  update(virtualTime, delta) {
     // Update context
     this.updateContext(virtualTime);
+    this.advance(virtualTime);
 
     // Try to start new interaction if appropriate
-    this.startNewInteraction(currentHour);
-
-    // Update active interaction
-    if (this.activeInteraction && this.activeInteraction.isActive) {
-      this.activeInteraction.update();
-
-      // Update interaction display with remaining time
-      if (this.context.updateInteractionDisplay) {
-        const remaining = this.activeInteraction.duration - this.activeInteraction.frameCount;
-        const index1 = this.activeInteraction.context.index1;
-        const index2 = this.activeInteraction.context.index2;
-
-        this.context.updateInteractionDisplay(
-          this.activeInteraction.constructor.name,
-          index1,
-          index2,
-          remaining,
-          this.activeInteraction.duration
-        );
-      }
+    this.startNewInteraction();
 
-      // Check if interaction ended
-      if (!this.activeInteraction.isActive) {
-        console.log(`Ended interaction: ${this.activeInteraction.constructor.name}`);
+    for (const interaction of this.activeInteractions) {
+      if (interaction.isActive) {
+        interaction.update(delta);
+      }
+      if (interaction.isActive) {
+        this.updateGroup(interaction, delta);
+      }
+    }
 
-        // Hide interaction display
-        if (this.context.hideInteractionDisplay) {
-          this.context.hideInteractionDisplay();
-        }
+    // Ended interactions free their avatars and start cooling down
+    this.activeInteractions = this.activeInteractions.filter(interaction => {
+      if (interaction.isActive) return true;
+      console.log(`Ended interaction: ${interaction.name}`);
+      this.lastEndedAt.set(interaction.name, this.elapsed);
+      this.recordOutcome(interaction);
+      return false;
+    });
 
-        this.activeInteraction = null;
+    // Update interaction display with remaining time
+    if (this.activeInteractions.length === 0) {
+      if (this.context.hideInteractionDisplay) {
+        this.context.hideInteractionDisplay();
       }
+    } else if (this.context.updateInteractionDisplay) {
+      this.context.updateInteractionDisplay(this.activeInteractions.map(interaction => ({
+        name: interaction.name,
+        indices: interaction.indices,
+        remaining: interaction.duration - interaction.elapsed,
+        duration: interaction.duration
+      })));
     }
   }
 
+  // Snapshot state: cooldowns (as hours ago) and the running interactions, which start over when restored
+  saveState() {
+    return {
+      sinceStart: Number.isFinite(this.lastStartAt) ? this.elapsed - this.lastStartAt : null,
+      sinceEnded: Object.fromEntries([...this.lastEndedAt].map(([name, endedAt]) => [name, this.elapsed - endedAt])),
+      active: this.activeInteractions.map(interaction => ({ name: interaction.name, indices: interaction.indices }))
+    };
+  }
+
+  restoreState(state) {
+    this.lastStartAt = state.sinceStart === null ? -Infinity : this.elapsed - state.sinceStart;
+    this.lastEndedAt = new Map(Object.entries(state.sinceEnded ?? {}).map(([name, ago]) => [name, this.elapsed - ago]));
+
+    // Resume once the definitions are there (nothing new starts before that)
+    return this.ready.then(() => {
+      for (const { name, indices } of state.active ?? []) {
+        const definition = this.definitions.find(candidate => candidate.name === name);
+        if (!definition || !indices.every(index => this.isFree(index))) continue;
+
+        const interaction = new DataInteraction(definition, indices.map(index => this.participant(index)), this.context);
+        this.activeInteractions.push(interaction);
+        console.log(`Resuming interaction: ${interaction.name} between avatars ${indices.join(', ')}`);
+        interaction.start();
+      }
+    });
+  }
+
   // Get current interaction status (for debugging)
   getStatus() {
-    if (this.activeInteraction && this.activeInteraction.isActive) {
-      return {
-        active: true,
-        type: this.activeInteraction.constructor.name,
-        duration: this.activeInteraction.frameCount,
-        remaining: this.activeInteraction.duration - this.activeInteraction.frameCount
-      };
-    }
-    return { active: false };
+    return {
+      active: this.activeInteractions.length > 0,
+      interactions: this.activeInteractions.map(interaction => ({
+        type: interaction.name,
+        participants: interaction.participants.map(({ index, role }) => ({ index, role })),
+        duration: interaction.elapsed,
+        remaining: interaction.duration - interaction.elapsed
+      }))
+    };
   }
 }
@@ -2,643 +2,167 @@
 // Licensed under the MIT License. See LICENSE file in the project root for full license information.
 
 
-import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { TrackballControls } from 'three/addons/controls/TrackballControls.js';
-import { GVRM, GVRMUtils } from 'gvrm';
-import { FPSCounter } from './utils/fps.js';
-import { createSky, createHouses, createCenterHouse, updateSky } from './scene.js';
-import { Walker } from './walker.js';
+import { World } from './core/world.js';
+import { Behavior } from './core/behavior.js';
+import { random } from './core/random.js';
+import { NeedsBehavior, shelterGoals } from './core/needs.js';
+import { isEditableTarget } from './core/ui.js';
 import { InteractionManager } from './interactionManager.js';
-
-// UI
-const container = document.getElementById('threejs-container');
-let width = window.innerWidth;
-let height = window.innerHeight;
-
-// params
-const params = new URL(window.location.href).searchParams;
-
-// renderer
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-container.appendChild(renderer.domElement);
-renderer.setSize(width, height);
-
-// camera
-const camera = new THREE.PerspectiveCamera(65.0, width / height, 0.01, 2000.0);
-camera.position.set(2.0, 6.0, 12.0);
-camera.aspect = width / height;
-camera.updateProjectionMatrix();
-
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.screenSpacePanning = true;
-controls.target.set(0.0, 0.8, 0.0);
-controls.minDistance = 0.1;
-controls.maxDistance = 50;
-controls.enableDamping = true;
-controls.enableZoom = false;
-controls.enablePan = false;
-controls.update();
-
-const controls2 = new TrackballControls(camera, renderer.domElement);
-controls2.noRotate = true;
-controls2.target.set(0.0, 0.4, 0.0);
-controls2.noPan = false;
-controls2.noZoom = false;
-controls2.zoomSpeed = 0.25;
-controls2.useDummyMouseWheel = true;
-controls2.update();
-
-// scene
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(0x000000);
-
-// Ambient light (constant illumination)
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-scene.add(ambientLight);
-
-// Directional light
-const light = new THREE.DirectionalLight(0xffffff, Math.PI);
-light.position.set(10.0, 10.0, 10.0);
-scene.add(light);
-
-// Scene management
-let currentScene = 2; // Default is Scene 2 (dark)
-let gridHelper = new THREE.GridHelper(300, 60, 0x808080, 0x808080); // Dark scene grid
-scene.add(gridHelper);
-const axesHelper = new THREE.AxesHelper(0.5);
-scene.add(axesHelper);
-let sky = createSky(scene);
-createHouses(scene);
-
-// Add center house
-const centerHouse = createCenterHouse(scene);
-
-// Time system (accelerated time, 24 hours in 1 real minute)
-let virtualTime = 8; // Start at 8:00 AM (in hours, 0-24)
-const timeSpeed = 24 / 60; // 60 real seconds = 24 virtual hours, so 1 second = 0.4 hours = 24 minutes
-
-const fbxFiles = [
-  '../assets/Breathing.fbx',
-  '../assets/Capoeira.fbx',
-  '../assets/Listening.fbx',
-  '../assets/Shrugging.fbx',
-  '../assets/Texting.fbx',
-  '../assets/Warrior.fbx',
-  '../assets/Around.fbx'
-];
-
-const gvrmFiles = [
-  '../assets/sample1.gvrm',
-  '../assets/sample2.gvrm',
-  '../assets/sample3.gvrm',
-  '../assets/sample4.gvrm',
-  '../assets/sample5.gvrm',
-  // '../assets/sample6.gvrm',
-  // '../assets/sample7.gvrm',
-  '../assets/sample8.gvrm'
-  // '../assets/sample9.gvrm'
-];
-
-// Limit avatar count to not exceed gvrmFiles length
-const requestedN = parseInt(params.get('n')) || 6;
-let N = Math.min(requestedN, 6); // Max 6 avatars
-
-// Track current animation state for each model
-const modelAnimations = [];
-
-const gvrms = [];
-const walkers = [];
-let loadCount = 0;
-let totalLoadCount = N;
-window.gvrms = gvrms;
-
-let allModelsReady = false;
-
-const loadDisplay = document.getElementById('loaddisplay');
-
-// Speech bubble system
-const speechBubbles = [];
-let lastHour = 8; // Start at 8:00 AM (same as virtualTime)
-let commentsData = null;
-
-// Interaction system
-let interactionManager = null;
-
-// Load comments from JSON file
-fetch('./comments.json')
-  .then(response => response.json())
-  .then(data => {
-    commentsData = data;
-    console.log('Comments loaded successfully');
-  })
-  .catch(error => {
-    console.error('Failed to load comments:', error);
-    commentsData = {}; // Fallback to empty object
-  });
-
-function createSpeechBubble(index) {
-  const bubble = document.createElement('div');
-  bubble.className = 'speech-bubble';
-  bubble.textContent = 'やっほー';
-  document.getElementById('speech-bubbles-container').appendChild(bubble);
-  speechBubbles[index] = bubble;
-  return bubble;
-}
-
-function getRandomComment(hour) {
-  if (!commentsData) {
-    return 'やっほー'; // Default fallback
-  }
-
-  const hourKey = String(hour);
-  const comments = commentsData[hourKey];
-
-  if (!comments || comments.length === 0) {
-    return 'やっほー'; // Fallback
-  }
-
-  // Select random comment from the hour's comments
-  const randomIndex = Math.floor(Math.random() * comments.length);
-  return comments[randomIndex];
-}
-
-function showSpeechBubble(index, comment) {
-  if (!gvrms[index] || !gvrms[index].isReady) return;
-
-  const bubble = speechBubbles[index];
-  const character = gvrms[index].character.currentVrm.scene;
-
-  // Set the comment text
-  bubble.textContent = comment;
-
-  // Convert 3D position to 2D screen position
-  const pos3D = character.position.clone();
-  pos3D.y += 3; // Position above character's head
-  pos3D.project(camera);
-
-  const x = (pos3D.x * 0.5 + 0.5) * width;
-  const y = (-(pos3D.y * 0.5) + 0.5) * height;
-
-  bubble.style.left = `${x}px`;
-  bubble.style.top = `${y}px`;
-  bubble.style.transform = 'translate(-50%, -100%)';
-  bubble.classList.add('show');
-
-  // Hide after 3 seconds
-  setTimeout(() => {
-    bubble.classList.remove('show');
-  }, 3000);
-}
-
-// Make showSpeechBubble accessible globally for interactions
-window.showSpeechBubble = showSpeechBubble;
+import { RelationshipGraph, RelationshipOverlay } from './relationships.js';
 
 // Interaction display functions
-function updateInteractionDisplay(interactionName, index1, index2, remaining, duration) {
-  const displayElement = document.getElementById('interaction-display');
-  const nameElement = document.getElementById('interaction-name');
-  const participantsElement = document.getElementById('interaction-participants');
-  const remainingElement = document.getElementById('interaction-remaining');
-
-  if (!displayElement || !nameElement || !participantsElement || !remainingElement) return;
-
-  // Convert camelCase class name to readable format
-  // e.g., "GreetingInteraction" -> "Greeting"
-  const readableName = interactionName.replace('Interaction', '').replace(/([A-Z])/g, ' $1').trim();
-
-  nameElement.textContent = readableName;
-  participantsElement.textContent = `Avatar ${index1 + 1} & Avatar ${index2 + 1}`;
+// 残り 1時間20分 (40%) (remaining and duration in seconds)
+function formatRemaining(remaining, duration) {
+  const percentComplete = ((duration - remaining) / duration * 100).toFixed(0);
 
   // Calculate remaining time in virtual hours and minutes
-  const remainingFrames = remaining;
-  const totalFrames = duration;
-  const percentComplete = ((totalFrames - remainingFrames) / totalFrames * 100).toFixed(0);
-
-  const remainingVirtualSeconds = remainingFrames / 60; // Assuming 60fps
-  const remainingVirtualMinutes = Math.floor(remainingVirtualSeconds / 60);
+  const remainingVirtualMinutes = Math.floor(remaining * world.clock.timeSpeed * 60);
   const remainingVirtualHours = Math.floor(remainingVirtualMinutes / 60);
 
   if (remainingVirtualHours > 0) {
-    remainingElement.textContent = `残り ${remainingVirtualHours}時間${remainingVirtualMinutes % 60}分 (${percentComplete}%)`;
-  } else {
-    remainingElement.textContent = `残り ${remainingVirtualMinutes}分 (${percentComplete}%)`;
+    return `残り ${remainingVirtualHours}時間${remainingVirtualMinutes % 60}分 (${percentComplete}%)`;
   }
-
-  displayElement.classList.add('active');
+  return `残り ${remainingVirtualMinutes}分 (${percentComplete}%)`;
 }
 
-function hideInteractionDisplay() {
-  const displayElement = document.getElementById('interaction-display');
-  if (displayElement) {
-    displayElement.classList.remove('active');
-  }
-}
-
-// Timeline functions
-function formatTimeHM(virtualTime) {
-  const hours = Math.floor(virtualTime);
-  const minutes = Math.floor((virtualTime - hours) * 60);
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-}
-
-function addTimelineEvent(virtualTime, eventText) {
-  const timelineEntries = document.getElementById('timeline-entries');
-  if (!timelineEntries) return;
-
+function createInteractionEntry() {
   const entry = document.createElement('div');
-  entry.className = 'timeline-entry';
-
-  const timeSpan = document.createElement('div');
-  timeSpan.className = 'timeline-time';
-  timeSpan.textContent = formatTimeHM(virtualTime);
-
-  const eventSpan = document.createElement('div');
-  eventSpan.className = 'timeline-event';
-  eventSpan.textContent = eventText;
-
-  entry.appendChild(timeSpan);
-  entry.appendChild(eventSpan);
-
-  // Add to the top (prepend)
-  timelineEntries.insertBefore(entry, timelineEntries.firstChild);
-
-  // Limit to 50 entries
-  while (timelineEntries.children.length > 50) {
-    timelineEntries.removeChild(timelineEntries.lastChild);
-  }
-}
-
-// Initialize InteractionManager
-function initializeInteractionManager() {
-  if (!interactionManager && gvrms.length >= 2) {
-    const context = {
-      timeOfDay: virtualTime,
-      centerHouse: centerHouse,
-      camera: camera,
-      showSpeechBubble: showSpeechBubble,
-      updateInteractionDisplay: updateInteractionDisplay,
-      hideInteractionDisplay: hideInteractionDisplay,
-      addTimelineEvent: addTimelineEvent
-    };
-
-    interactionManager = new InteractionManager(gvrms, walkers, context);
-    console.log('InteractionManager initialized');
-  }
-}
-
-function updateSpeechBubbles() {
-  const currentHour = Math.floor(virtualTime);
-
-  // Check if hour has changed
-  if (currentHour !== lastHour && gvrms.length > 0) {
-    // Random character speaks
-    const randomIndex = Math.floor(Math.random() * gvrms.length);
-
-    // Get random comment for current hour
-    const comment = getRandomComment(currentHour);
-
-    showSpeechBubble(randomIndex, comment);
-    lastHour = currentHour;
-  }
-
-  // Update speech bubble positions for all visible bubbles
-  for (let i = 0; i < speechBubbles.length; i++) {
-    if (speechBubbles[i] && speechBubbles[i].classList.contains('show')) {
-      if (gvrms[i] && gvrms[i].isReady) {
-        const character = gvrms[i].character.currentVrm.scene;
-        const pos3D = character.position.clone();
-        pos3D.y += 3;
-        pos3D.project(camera);
-
-        const x = (pos3D.x * 0.5 + 0.5) * width;
-        const y = (-(pos3D.y * 0.5) + 0.5) * height;
-
-        speechBubbles[i].style.left = `${x}px`;
-        speechBubbles[i].style.top = `${y}px`;
-      }
-    }
+  entry.className = 'interaction-entry';
+  for (const className of ['interaction-title', 'interaction-participants', 'interaction-time']) {
+    const line = document.createElement('div');
+    line.className = className;
+    entry.appendChild(line);
   }
+  return entry;
 }
 
-// Function to shuffle and assign animations without duplicates
-function shuffleAnimations() {
-  const indices = [...Array(fbxFiles.length).keys()];
-
-  // Shuffle indices using Fisher-Yates algorithm
-  for (let i = indices.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [indices[i], indices[j]] = [indices[j], indices[i]];
-  }
-
-  return indices;
-}
-
-// Generate random position avoiding center house
-function generateRandomPosition(boundary, houseRadius) {
-  let validPosition = false;
-  let attempts = 0;
-  const maxAttempts = 50;
-  let x, z;
-
-  while (!validPosition && attempts < maxAttempts) {
-    x = (Math.random() - 0.5) * boundary * 2;
-    z = (Math.random() - 0.5) * boundary * 2;
-
-    // Check if position is outside house exclusion zone
-    const distanceFromCenter = Math.sqrt(x * x + z * z);
-
-    if (distanceFromCenter > houseRadius) {
-      validPosition = true;
-    }
+// One entry per running interaction: [{ name, indices, remaining, duration }]
+function updateInteractionDisplay(interactions) {
+  const displayElement = document.getElementById('interaction-display');
+  if (!displayElement) return;
 
-    attempts++;
+  // Reuse the entries from the last frame
+  while (displayElement.children.length < interactions.length) {
+    displayElement.appendChild(createInteractionEntry());
   }
-
-  // Fallback: place at boundary edge if no valid position found
-  if (!validPosition) {
-    const angle = Math.random() * Math.PI * 2;
-    const radius = boundary * 0.8;
-    x = Math.cos(angle) * radius;
-    z = Math.sin(angle) * radius;
+  while (displayElement.children.length > interactions.length) {
+    displayElement.removeChild(displayElement.lastChild);
   }
 
-  return { x, z };
-}
-
-async function loadAllModels() {
-  const boundary = 11.25; // 1.5x larger boundary (same as walker)
-  const houseRadius = 3.5; // Exclusion zone around center house
-
-  for (let i = 0; i < N; i++) {
-    const fileName = gvrmFiles[i].split('/').pop();
-    const promise = GVRM.load(gvrmFiles[i], scene, camera, renderer, fileName);
-
-    promise.then((gvrm) => {
-      // Generate random initial position (avoiding center house)
-      const pos = generateRandomPosition(boundary, houseRadius);
-      const randomX = pos.x;
-      const randomZ = pos.z;
-      const randomY = 0;
+  interactions.forEach((interaction, i) => {
+    const [nameElement, participantsElement, remainingElement] = displayElement.children[i].children;
 
-      // Generate random initial rotation
-      const randomRotationY = (Math.random() - 0.5) * Math.PI * 2; // -π to π
-
-      gvrm.character.currentVrm.scene.position.set(randomX, randomY, randomZ);
-      gvrm.character.currentVrm.scene.rotation.y = randomRotationY;
-
-      gvrms.push(gvrm);
-      // Set initial animation to Idle
-      modelAnimations.push(0);
-
-      // Create speech bubble for this character
-      createSpeechBubble(gvrms.length - 1);
-
-      // Create Walker
-      const walker = new Walker(gvrm, i);
-      walkers.push(walker);
-
-      // Load Idle.fbx then initialize Walker
-      gvrm.changeFBX('../assets/Idle.fbx').then(() => {
-        loadCount++;
-        updateLoadingDisplay();
-
-        // Initialize Walker animations
-        walker.initAnimations();
-
-        if (loadCount === totalLoadCount) {
-          allModelsReady = true;
-          // Initialize InteractionManager once all models are ready
-          initializeInteractionManager();
-        }
-      });
-    });
-    await promise;
-  }
-}
+    nameElement.textContent = interaction.name;
+    participantsElement.textContent = interaction.indices.map(index => `Avatar ${index + 1}`).join(' & ');
+    remainingElement.textContent = formatRemaining(interaction.remaining, interaction.duration);
+  });
 
-function updateLoadingDisplay() {
-  const percentage = Math.floor((loadCount / totalLoadCount) * 100);
-  loadDisplay.textContent = percentage + '%';
+  displayElement.classList.add('active');
 }
 
-// Function to set animation for individual model
-async function setModelAnimation(gvrm, animationIndex) {
-  if (gvrm && gvrm.isReady && !gvrm.character.isLoading()) {
-    await gvrm.changeFBX(fbxFiles[animationIndex]);
+function hideInteractionDisplay() {
+  const displayElement = document.getElementById('interaction-display');
+  if (displayElement) {
+    displayElement.classList.remove('active');
   }
 }
 
-loadAllModels();
-
-const fpsc = new FPSCounter();
-
-let stateAnim = "play";
-
-window.addEventListener('resize', function (event) {
-  width = window.innerWidth;
-  height = window.innerHeight;
-  renderer.setSize(width, height);
-  camera.aspect = width / height;
-  camera.updateProjectionMatrix();
-  renderer.render(scene, camera);
-});
-
-window.addEventListener('keydown', function (event) {
-  if (event.code === "Space") {
-    if (stateAnim === "play") {
-      stateAnim = "pause";
-      for (const gvrm of gvrms) {
-        if (gvrm && gvrm.character && gvrm.character.action) {
-          // Stop animation
-          gvrm.character.action.stop();
-          // Reset to default pose
-          GVRMUtils.resetPose(gvrm.character, gvrm.boneOperations);
-        }
-      }
-    } else {
-      stateAnim = "play";
-      for (const gvrm of gvrms) {
-        if (gvrm && gvrm.character && gvrm.character.action) {
-          // Resume animation
-          gvrm.character.action.reset();
-          gvrm.character.action.play();
-        }
-      }
-    }
+// Hourly comments (comments.json is keyed by hour, served through world.dialogue)
+class HourlyCommentBehavior extends Behavior {
+  setup(world) {
+    this.lastHour = world.clock.hour; // Start time (8:00 or ?time=)
   }
 
-  // Enable debug features only when N=1
-  if (N === 1 && gvrms.length > 0) {
-    const gvrm = gvrms[0];
-    if (!gvrm || !gvrm.isReady) return;
+  update(world) {
+    const currentHour = world.clock.hour;
 
-    if (event.code === "KeyX") {
-      // Toggle VRM mesh visibility
-      GVRMUtils.visualizeVRM(gvrm.character, null);
+    // Check if hour has changed
+    if (currentHour !== this.lastHour && world.gvrms.length > 0) {
+      // Random character speaks a comment for the current hour
+      const randomIndex = Math.floor(random() * world.gvrms.length);
+      world.speak(randomIndex, { topic: 'hourly', key: currentHour });
+      this.lastHour = currentHour;
     }
-    if (event.code === "KeyZ") {
-      // Toggle bone axes visibility
-      GVRMUtils.visualizeBoneAxes(gvrm, null);
-    }
-  }
-});
-
-// Drag and drop implementation
-container.addEventListener('dragover', (event) => {
-  event.preventDefault();
-  event.stopPropagation();
-
-  const file = event.dataTransfer.items[0];
-  if (file && file.type === '' && event.dataTransfer.items[0].getAsFile()?.name.endsWith('.gvrm')) {
-    container.style.backgroundColor = 'rgba(100, 100, 100, 0.2)';
   }
-});
-
-container.addEventListener('dragleave', (event) => {
-  event.preventDefault();
-  event.stopPropagation();
-  container.style.backgroundColor = '';
-});
-
-container.addEventListener('drop', async (event) => {
-  event.preventDefault();
-  event.stopPropagation();
-  container.style.backgroundColor = '';
-
-  const files = event.dataTransfer.files;
-  if (files.length === 0) return;
-
-  const file = files[0];
-  if (!file.name.endsWith('.gvrm')) {
-    console.error('Not a .gvrm file');
-    return;
-  }
-
-  // Get center character (index 0)
-  const centerGVRM = gvrms[0];
-  if (!centerGVRM || !centerGVRM.isReady) {
-    console.error('Center character not ready');
-    return;
-  }
-
-  try {
-    // Read file as Blob
-    const blob = new Blob([file], { type: file.type });
-    const url = URL.createObjectURL(blob);
-
-    // Save current animation index
-    const currentAnimIndex = modelAnimations[0];
-
-    // Remove existing GVRM
-    await centerGVRM.remove(scene);
-
-    // Load new GVRM
-    const newGVRM = await GVRM.load(url, scene, camera, renderer, file.name);
-
-    // Set position (center position)
-    newGVRM.character.currentVrm.scene.position.set(0, 0, 1);
-
-    // Update gvrms array
-    gvrms[0] = newGVRM;
-
-    // Apply current animation
-    await newGVRM.changeFBX(fbxFiles[currentAnimIndex]);
-
-    // Release URL
-    URL.revokeObjectURL(url);
+}
 
-    console.log(`Replaced center character with: ${file.name}`);
-  } catch (error) {
-    console.error('Failed to load dropped GVRM:', error);
+// Pair and group interactions from interactions.json driven by InteractionManager, several at a time
+class InteractionBehavior extends Behavior {
+  // options: InteractionManager options (maxConcurrent, interval, cooldown, ...)
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.interactionManager = null;
+    this.relationships = null;
+    this.relationshipOverlay = null;
   }
-});
-
-function updateRenderOrder() {
-  if (!allModelsReady || gvrms.length === 0) return;
-
-  const cameraPosition = camera.position.clone();
-
-  const modelDistances = gvrms.map((gvrm, index) => {
-    if (!gvrm || !gvrm.isReady || !gvrm.character || !gvrm.character.currentVrm) {
-      return { index, distance: Infinity };
-    }
-    const modelPosition = gvrm.character.currentVrm.scene.position.clone();
-    const distance = modelPosition.distanceTo(cameraPosition);
-    return { index, distance };
-  });
-
-  modelDistances.sort((a, b) => b.distance - a.distance);
 
-  modelDistances.forEach((model, sortedIndex) => {
-    const { index } = model;
-    const gvrm = gvrms[index];
+  // Relationships persist across reloads (keyed by avatar name); the overlay toggles with ?relationships or R.
+  // Seeded runs start from strangers and keep nothing, so they repeat.
+  setup(world) {
+    this.relationships = new RelationshipGraph({
+      key: (index) => world.avatarName(index),
+      ...(world.deterministic ? { storage: null } : {})
+    });
+    this.relationshipOverlay = new RelationshipOverlay(world.scene, this.relationships);
+    this.relationshipOverlay.visible = world.params.has('relationships');
 
-    if (gvrm && gvrm.isReady && gvrm.gs && gvrm.gs.viewer && gvrm.gs.viewer.viewer && gvrm.gs.viewer.viewer.splatMesh) {
-      gvrm.gs.viewer.viewer.splatMesh.renderOrder = sortedIndex;
+    window.addEventListener('keydown', (event) => {
+      if (event.code === 'KeyR' && !isEditableTarget(event.target)) this.relationshipOverlay.toggle();
+    });
+    window.clearRelationships = () => this.relationships.clear();
+  }
+
+  // Initialize InteractionManager once all models are ready
+  onReady(world) {
+    if (!this.interactionManager && world.gvrms.length >= 2) {
+      const context = {
+        timeOfDay: world.virtualTime,
+        centerHouse: world.centerHouse,
+        camera: world.camera,
+        showSpeechBubble: world.showSpeechBubble,
+        updateInteractionDisplay: updateInteractionDisplay,
+        hideInteractionDisplay: hideInteractionDisplay,
+        addTimelineEvent: world.addTimelineEvent
+      };
+
+      this.interactionManager = new InteractionManager(world.gvrms, world.walkers, context, {
+        ...this.options,
+        relationships: this.relationships
+      });
+      world.preload(this.interactionManager.ready);
+      console.log('InteractionManager initialized');
     }
-  });
-}
-
-function animate() {
-  if (!allModelsReady) {
-    requestAnimationFrame(animate);
-    return;
-  }
-
-  // Update virtual time (1 frame ≈ 0.016s at 60fps, so time advances by ~0.016 * timeSpeed per frame)
-  virtualTime += timeSpeed / 60; // timeSpeed is per second, so divide by 60 for per-frame
-  if (virtualTime >= 24) {
-    virtualTime -= 24; // Wrap around to 0 after 24 hours
   }
 
-  // Update sky based on time
-  updateSky(sky, virtualTime);
-
-  // Update analog clock
-  const hours = Math.floor(virtualTime) % 12; // 12-hour format (integer part only)
-  const minutes = (virtualTime - Math.floor(virtualTime)) * 60;
-
-  const hourHand = document.getElementById('hour-hand');
-  const minuteHand = document.getElementById('minute-hand');
-
-  if (hourHand && minuteHand) {
-    // Hour hand: 30 degrees per hour + 0.5 degrees per minute
-    const hourDegrees = (hours * 30) + (minutes * 0.5);
-    // Minute hand: 6 degrees per minute
-    const minuteDegrees = minutes * 6;
-
-    hourHand.style.transform = `rotate(${hourDegrees}deg)`;
-    minuteHand.style.transform = `rotate(${minuteDegrees}deg)`;
+  saveState(world) {
+    return this.interactionManager ? this.interactionManager.saveState() : undefined;
   }
 
-  // Update speech bubbles
-  updateSpeechBubbles();
-
-  // Update interactions
-  if (interactionManager) {
-    interactionManager.update(virtualTime);
+  restoreState(world, state) {
+    if (this.interactionManager) this.interactionManager.restoreState(state);
   }
 
-  for (let i = 0; i < gvrms.length; i++) {
-    const gvrm = gvrms[i];
-    if (gvrm && gvrm.isReady) {
-      // Update Walker (skip if in interaction)
-      if (walkers[i] && !walkers[i].inInteraction) {
-        walkers[i].update();
-      }
-
-      // Update entire GVRM (includes character.update() and updateByBones())
-      gvrm.update();
+  update(world) {
+    // Update interactions
+    if (this.interactionManager) {
+      this.interactionManager.update(world.virtualTime, world.delta);
     }
+    this.relationshipOverlay.update(world.gvrms);
   }
-
-  updateRenderOrder();
-  controls.update();
-  controls2.update();
-  renderer.render(scene, camera);
-  fpsc.update();
-  requestAnimationFrame(animate);
 }
 
-animate();
+const world = new World({
+  defaultAvatarCount: 6,
+  maxAvatars: 6, // Max 6 avatars
+  speechDuration: 3000,
+  dialogue: { hourly: './comments.json' }
+});
+
+world.use(new NeedsBehavior({ needs: {}, goals: shelterGoals })); // Out of the rain at the center house
+world.use(new HourlyCommentBehavior());
+world.use(new InteractionBehavior({
+  interval: 1, // Virtual hours between starts
+  cooldown: 6 // Virtual hours before the same interaction again
+}));
+world.start();
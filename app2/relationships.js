@@ -0,0 +1,196 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+import { random } from './core/random.js';
+
+const STORAGE_KEY = 'app2-relationships';
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// A number, or a random number in [min, max]
+function amount(value) {
+  if (Array.isArray(value)) {
+    const [min, max] = value;
+    return min + random() * (max - min);
+  }
+  return value ?? 0;
+}
+
+// How every pair of avatars gets along. Pairs are keyed by avatar names, so the graph survives reloads
+// (and changes of the avatar order) in localStorage.
+//   affinity      -1 (dislike) .. 1 (like), changed by how interactions went
+//   familiarity    0 (strangers) .. 1, grows with every interaction
+// Both fade towards 0 over virtual days without interactions.
+export class RelationshipGraph {
+  // options: {
+  //   key(index)           name of an avatar (e.g. world.avatarName)
+  //   affinityDecay        fraction lost per virtual day
+  //   familiarityDecay
+  //   affinityBias         how much affinity and familiarity raise the chance of being paired
+  //   familiarityBias
+  //   storage              Storage to persist in (default localStorage, null to keep it in memory)
+  // }
+  constructor(options = {}) {
+    this.key = options.key ?? (index => String(index));
+    this.affinityDecay = options.affinityDecay ?? 0.1;
+    this.familiarityDecay = options.familiarityDecay ?? 0.05;
+    this.affinityBias = options.affinityBias ?? 1.5;
+    this.familiarityBias = options.familiarityBias ?? 0.5;
+    this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    this.time = 0; // Virtual hours the graph has been running (across reloads)
+    this.pairs = new Map(); // 'name|name' -> { affinity, familiarity, updatedAt (this.time) }
+    this.load();
+  }
+
+  pairKey(a, b) {
+    const names = [this.key(a), this.key(b)].sort();
+    return names.join('|');
+  }
+
+  advance(hours) {
+    this.time += hours;
+  }
+
+  // Current { affinity, familiarity } of two avatars (decayed since the last change)
+  get(a, b) {
+    const pair = this.pairs.get(this.pairKey(a, b));
+    if (!pair) return { affinity: 0, familiarity: 0 };
+
+    const days = (this.time - pair.updatedAt) / 24;
+    return {
+      affinity: pair.affinity * Math.pow(1 - this.affinityDecay, days),
+      familiarity: pair.familiarity * Math.pow(1 - this.familiarityDecay, days)
+    };
+  }
+
+  // change: { affinity, familiarity } (numbers or [min, max] ranges)
+  change(a, b, change) {
+    const current = this.get(a, b);
+    const updated = {
+      affinity: clamp(current.affinity + amount(change.affinity), -1, 1),
+      familiarity: clamp(current.familiarity + amount(change.familiarity), 0, 1),
+      updatedAt: this.time
+    };
+    this.pairs.set(this.pairKey(a, b), updated);
+    return updated;
+  }
+
+  // Apply an interaction outcome to every pair among the avatars
+  record(indices, change) {
+    for (let i = 0; i < indices.length; i++) {
+      for (let j = i + 1; j < indices.length; j++) {
+        this.change(indices[i], indices[j], change);
+      }
+    }
+    this.save();
+  }
+
+  // Relative chance of `a` being paired with `b`
+  pairWeight(a, b) {
+    const { affinity, familiarity } = this.get(a, b);
+    return Math.max(0.1, 1 + this.affinityBias * affinity + this.familiarityBias * familiarity);
+  }
+
+  load() {
+    if (!this.storage) return;
+    try {
+      const data = JSON.parse(this.storage.getItem(STORAGE_KEY) ?? 'null');
+      if (!data) return;
+      this.time = data.time ?? 0;
+      this.pairs = new Map(Object.entries(data.pairs ?? {}));
+      console.log(`Loaded ${this.pairs.size} relationships`);
+    } catch (error) {
+      console.warn('Ignoring unreadable relationships:', error.message);
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify({ time: this.time, pairs: Object.fromEntries(this.pairs) }));
+    } catch (error) {
+      console.warn('Failed to save relationships:', error.message);
+    }
+  }
+
+  clear() {
+    this.time = 0;
+    this.pairs.clear();
+    this.save();
+  }
+}
+
+const LINE_HEIGHT = 2.0; // Above the heads
+const DISLIKE_COLOR = new THREE.Color(0xff4444);
+const NEUTRAL_COLOR = new THREE.Color(0xcccccc);
+const LIKE_COLOR = new THREE.Color(0x44ff66);
+
+// Lines between the avatars that know each other: green (like) to red (dislike), fainter when less familiar.
+// Toggle with ?relationships or the R key.
+export class RelationshipOverlay {
+  constructor(scene, graph, maxAvatars = 16) {
+    this.graph = graph;
+
+    const maxPairs = maxAvatars * (maxAvatars - 1) / 2;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxPairs * 6), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(maxPairs * 6), 3));
+    geometry.setDrawRange(0, 0);
+
+    this.lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false }));
+    this.lines.renderOrder = 1;
+    this.lines.frustumCulled = false;
+    this.lines.visible = false;
+    scene.add(this.lines);
+  }
+
+  get visible() {
+    return this.lines.visible;
+  }
+
+  set visible(value) {
+    this.lines.visible = value;
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+  }
+
+  update(gvrms) {
+    if (!this.visible) return;
+
+    const positions = this.lines.geometry.attributes.position;
+    const colors = this.lines.geometry.attributes.color;
+    const color = new THREE.Color();
+    const maxSegments = positions.count / 2;
+    let segment = 0;
+
+    for (let a = 0; a < gvrms.length; a++) {
+      for (let b = a + 1; b < gvrms.length && segment < maxSegments; b++) {
+        if (!gvrms[a] || !gvrms[a].isReady || !gvrms[b] || !gvrms[b].isReady) continue;
+        const { affinity, familiarity } = this.graph.get(a, b);
+        if (familiarity < 0.01) continue; // Strangers
+
+        color.copy(NEUTRAL_COLOR).lerp(affinity >= 0 ? LIKE_COLOR : DISLIKE_COLOR, Math.min(1, Math.abs(affinity)));
+        color.multiplyScalar(0.3 + 0.7 * familiarity);
+
+        const posA = gvrms[a].character.currentVrm.scene.position;
+        const posB = gvrms[b].character.currentVrm.scene.position;
+        positions.setXYZ(segment * 2, posA.x, LINE_HEIGHT, posA.z);
+        positions.setXYZ(segment * 2 + 1, posB.x, LINE_HEIGHT, posB.z);
+        colors.setXYZ(segment * 2, color.r, color.g, color.b);
+        colors.setXYZ(segment * 2 + 1, color.r, color.g, color.b);
+        segment++;
+      }
+    }
+
+    this.lines.geometry.setDrawRange(0, segment * 2);
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+  }
+}
@@ -0,0 +1,185 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { Behavior } from './core/behavior.js';
+import { StateMachine } from './core/stateMachine.js';
+import { random } from './core/random.js';
+
+const WALK_SPEED = 3; // Meters per second
+const GRAVITY = 72; // Gravity acceleration (m/s^2)
+export const SPEECH_DURATION = 5000; // 5 seconds
+
+// Performer states
+//   watching              stand in the audience row
+//   stage
+//     walking_to_center   walk from z=-10 to the center
+//     performing          random animation and a gag for SPEECH_DURATION
+//     falling             free fall off the stage
+const performerStates = {
+  initial: 'watching',
+  states: {
+    watching: {
+      animation: 'Idle',
+      onEnter(performer) {
+        performer.behavior.placeWatching(performer.world, performer.character, performer.index);
+      }
+    },
+    stage: { initial: 'walking_to_center' },
+    walking_to_center: {
+      parent: 'stage',
+      animation: 'Walking',
+      onEnter(performer) {
+        // Set initial position at z=-10
+        performer.character.position.set(0, 0, -10);
+      }
+    },
+    performing: {
+      parent: 'stage',
+      // Random performance animation
+      animation: (performer) => {
+        const fbxFiles = performer.world.fbxFiles;
+        return fbxFiles[Math.floor(random() * fbxFiles.length)];
+      },
+      onEnter(performer) {
+        performer.character.position.z = 0;
+
+        // Show speech bubble with a gag (no repeats until all gags were told)
+        performer.world.speak(performer.index, { topic: 'gag' });
+
+        // Start timer (simulated seconds)
+        performer.performanceStart = performer.world.simulation.time;
+      }
+    },
+    falling: {
+      parent: 'stage',
+      onEnter(performer) {
+        performer.fallVelocity = 0; // Reset fall velocity for free fall
+      }
+    }
+  },
+  transitions: [
+    { from: 'watching', to: 'stage' },
+    { from: 'walking_to_center', to: 'performing' },
+    { from: 'performing', to: 'falling' },
+    { from: 'falling', to: 'watching' }
+  ]
+};
+
+// Performance system: avatars take turns walking on stage, telling a gag and falling off
+export class PerformanceBehavior extends Behavior {
+  setup(world) {
+    this.performers = []; // { state (StateMachine), character, fallVelocity, ... } per avatar
+    this.currentPerformerIndex = 0;
+  }
+
+  // Position at z=5 (watching position), evenly spaced on x-axis
+  placeWatching(world, character, index) {
+    const spacing = 10 / Math.max(world.N - 1, 1); // Space between -5 and 5
+    const xPos = -5 + (index * spacing);
+    character.position.set(xPos, 0, 5);
+
+    // Face z- direction (towards origin)
+    character.rotation.y = Math.PI;
+  }
+
+  onAvatarLoaded(world, gvrm, index) {
+    const performer = {
+      world,
+      behavior: this,
+      index,
+      character: gvrm.character.currentVrm.scene,
+      fallVelocity: 0,
+      performanceStart: 0
+    };
+    performer.state = new StateMachine(performerStates, {
+      animations: world.animations[index],
+      context: performer,
+      now: () => world.virtualTime
+    });
+    this.performers[index] = performer;
+    world.stateMachines[index] = performer.state;
+
+    // Start watching
+    performer.state.start();
+  }
+
+  onReady(world) {
+    // Start first performance after a short delay
+    world.simulation.after(2, () => this.startNextPerformer(world));
+  }
+
+  // Start next performer
+  startNextPerformer(world) {
+    if (this.currentPerformerIndex >= world.gvrms.length) {
+      // All performed, restart from beginning
+      this.currentPerformerIndex = 0;
+    }
+
+    const gvrm = world.gvrms[this.currentPerformerIndex];
+    const performer = this.performers[this.currentPerformerIndex];
+    if (!gvrm || !gvrm.isReady || !performer) return;
+
+    // Walk on stage
+    performer.state.transition('stage');
+  }
+
+  // The performer on stage goes again (or the next one, if it was already falling off)
+  saveState(world) {
+    const onStage = this.performers.findIndex(performer => performer && performer.state.is('stage'));
+    if (onStage === -1) return { next: this.currentPerformerIndex };
+    return { next: this.performers[onStage].state.is('falling') ? onStage + 1 : onStage };
+  }
+
+  restoreState(world, state) {
+    this.currentPerformerIndex = state.next;
+  }
+
+  // Update performance system
+  update(world) {
+    for (let i = 0; i < world.gvrms.length; i++) {
+      const gvrm = world.gvrms[i];
+      const performer = this.performers[i];
+      if (!gvrm || !gvrm.isReady || !performer) continue;
+
+      const character = performer.character;
+      const state = performer.state;
+
+      if (state.is('walking_to_center')) {
+        // Walk towards origin (0, 0, 0)
+        const targetZ = 0;
+        const dz = targetZ - character.position.z;
+
+        if (Math.abs(dz) > 0.1) {
+          // Still walking
+          character.position.z += Math.sign(dz) * Math.min(WALK_SPEED * world.delta, Math.abs(dz));
+
+          // Face forward (z+ direction) - facing towards the audience
+          character.rotation.y = Math.PI;
+        } else {
+          // Reached center, start performing
+          state.transition('performing');
+        }
+      } else if (state.is('performing')) {
+        // Check if performance duration has elapsed
+        if ((world.simulation.time - performer.performanceStart) * 1000 >= SPEECH_DURATION) {
+          // Start falling
+          state.transition('falling');
+        }
+      } else if (state.is('falling')) {
+        // Free fall with gravity
+        performer.fallVelocity += GRAVITY * world.delta; // Add gravity to velocity
+        character.position.y -= performer.fallVelocity * world.delta; // Update position
+
+        if (character.position.y <= -100) {
+          // Finished falling, move back to the watching position
+          state.transition('watching');
+
+          // Start next performer
+          this.currentPerformerIndex++;
+          world.simulation.after(1, () => this.startNextPerformer(world)); // 1 second delay
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,33 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+
+const EYE_OFFSET = new THREE.Vector3(0, 1.5, -0.3); // Eye-level position, slightly forward
+const _offset = new THREE.Vector3();
+
+// Character 1 first-person view camera (shared by the recorder and object detection)
+export function createCharacterCamera() {
+  return new THREE.PerspectiveCamera(75.0, 1.0, 0.1, 100.0);
+}
+
+// Position camera at the eye level of avatar `index` (Character 1 by default) and match its rotation
+export function updateCharacterCamera(camera, world, aspect, index = 0) {
+  const gvrm = world.gvrms[index];
+  if (!gvrm || !gvrm.isReady || !gvrm.character || !gvrm.character.currentVrm) return false;
+
+  const character = gvrm.character.currentVrm.scene;
+
+  camera.position.copy(character.position).add(
+    _offset.copy(EYE_OFFSET).applyQuaternion(character.quaternion)
+  );
+  camera.quaternion.copy(character.quaternion);
+
+  if (camera.aspect !== aspect) {
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+  }
+  camera.updateMatrixWorld();
+  return true;
+}
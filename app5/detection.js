@@ -0,0 +1,224 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+import { Behavior } from './core/behavior.js';
+import { createCharacterCamera, updateCharacterCamera } from './characterView.js';
+import { VisibilityTester } from './visibility.js';
+import { EPISODE_SIGHTING, EPISODE_ENCOUNTER, EPISODE_SPEECH } from './memory.js';
+
+const DETECTION_COOLDOWN = 5000; // 5 seconds cooldown per object
+const DETECTION_CHECK_INTERVAL = 1 / 6; // Check 6 times per second (seconds)
+const DETECTION_MAX_DISTANCE = 15;
+const DETECTION_MIN_VISIBILITY = 0.25; // Fraction of the bounding box that must be visible
+
+// Rough check if object is in character's view using position and direction (no occlusion)
+export function isObjectInCharacterView(character, object3D, maxDistance = 15, minDotProduct = 0.5) {
+  // Get character's position and forward direction
+  const characterPos = character.position.clone();
+  const characterForward = new THREE.Vector3(0, 0, -1); // Default forward is -Z
+  characterForward.applyQuaternion(character.quaternion);
+
+  // Get object position
+  const objectPos = object3D.position.clone();
+
+  // Calculate vector from character to object
+  const toObject = objectPos.clone().sub(characterPos);
+  const distance = toObject.length();
+
+  // Check if within max distance
+  if (distance > maxDistance) {
+    return false;
+  }
+
+  // Normalize the vector
+  toObject.normalize();
+
+  // Check if object is in front of character (dot product > threshold)
+  // dot product of 1 = directly ahead, 0.5 ≈ 60 degree cone
+  const dotProduct = characterForward.dot(toObject);
+
+  return dotProduct > minDotProduct;
+}
+
+// Openers of detection lines in weather worth mentioning ("あ、…だ" otherwise)
+const WEATHER_OPENERS = {
+  rain: (name) => `雨の中に${name}だ`,
+  snow: (name) => `雪の中に${name}だ`,
+  fog: (name) => `霧の向こうに${name}が見える`
+};
+
+// Dialogue sources (World option `dialogue`): detection_comments.json has lines per object and per animation,
+// weather_comments.json per weather type (said when it changes).
+// The JSON detection line is the memory/greeting opener plus the object's comment.
+export const detectionDialogue = {
+  detection: {
+    url: './detection_comments.json',
+    pick: (comments, request) => {
+      const comment = comments[request.key] || '';
+      const weatherOpener = WEATHER_OPENERS[request.weather];
+      const opener = request.memory || (weatherOpener ? weatherOpener(request.key) : `あ、${request.key}だ`);
+      return comment ? `${opener}。${comment}` : opener;
+    }
+  },
+  animation: './detection_comments.json',
+  weather: './weather_comments.json'
+};
+
+// Object detection system for Character 1
+export class DetectionBehavior extends Behavior {
+  // options: { minVisibility, memory (MemoryBehavior) }
+  constructor(characterNames = {}, options = {}) {
+    super();
+    this.characterNames = characterNames; // sample filename -> display name
+    this.memory = options.memory ?? null; // Remembers sightings and lines, and recalls them in comments
+
+    // Line-of-sight visibility from Character 1's eyes
+    this.minVisibility = options.minVisibility ?? DETECTION_MIN_VISIBILITY;
+    this.viewCamera = createCharacterCamera();
+    this.visibility = new VisibilityTester({ maxDistance: DETECTION_MAX_DISTANCE });
+
+    this.detectableObjects = [];
+    this.detectionCooldowns = new Map(); // Track when we last detected each object
+    this.visibleNow = []; // { name, isAvatar, visibility } seen in the last check
+
+    // Object detection timer (check every DETECTION_CHECK_INTERVAL seconds for performance)
+    this.detectionTimer = 0; // Seconds since the last check
+  }
+
+  // Function to register detectable objects
+  registerDetectableObject(name, object3D, isAvatar = false) {
+    this.detectableObjects.push({ name, object: object3D, isAvatar });
+  }
+
+  setup(world) {
+    // Houses, trees and flowers block the view
+    for (const obstacle of world.navGrid.obstacles) {
+      this.visibility.addOccluder(obstacle.object);
+    }
+  }
+
+  onAvatarLoaded(world, gvrm, characterIndex, fileName) {
+    // Avatars block the view too
+    this.visibility.addProxyOccluder(gvrm.character.currentVrm.scene);
+
+    // Register as detectable object (except Character 1 at index 0)
+    if (characterIndex > 0) {
+      // Use mapped character name if available, otherwise use generic name
+      const characterName = this.characterNames[fileName] || `キャラクター${characterIndex + 1}`;
+      this.registerDetectableObject(characterName, gvrm.character.currentVrm.scene, true);
+    }
+  }
+
+  // Character 1 remarks on the new weather
+  onWeatherChange(world, change) {
+    if (!world.gvrms[0] || !world.gvrms[0].isReady) return;
+    world.generateLine(0, { topic: 'weather', key: change.to }).then(comment => {
+      if (!comment) return;
+      world.showSpeechBubble(0, comment);
+      world.addTimelineEvent(world.virtualTime, `しゅり: ${comment}`);
+      if (this.memory) {
+        this.memory.record(EPISODE_SPEECH, change.to, { text: comment });
+      }
+    });
+  }
+
+  update(world) {
+    // Check for visible objects (Character 1's view) every DETECTION_CHECK_INTERVAL seconds
+    this.detectionTimer += world.delta;
+    if (this.detectionTimer >= DETECTION_CHECK_INTERVAL - 1e-9) {
+      this.checkVisibleObjects(world);
+      this.detectionTimer = 0;
+    }
+  }
+
+  // Function to check visible objects and make Character 1 comment
+  checkVisibleObjects(world) {
+    const gvrms = world.gvrms;
+    if (!gvrms[0] || !gvrms[0].isReady || !gvrms[0].character || !gvrms[0].character.currentVrm) return;
+    if (!world.walkers[0]) return; // Wait for walker to be initialized
+
+    const character1 = gvrms[0].character.currentVrm.scene;
+    if (!updateCharacterCamera(this.viewCamera, world, 640 / 480)) return;
+    const now = world.simulation.time * 1000; // Simulated ms
+    const walker = world.walkers[0];
+
+    // Check if playing special animation (not idle or walk)
+    if (walker.isPlayingSpecial && walker.currentSpecialAnimation) {
+      // Comment on the animation instead of object detection (once per cooldown)
+      const animation = walker.currentSpecialAnimation;
+      const lastDetection = this.detectionCooldowns.get(`anim_${animation}`);
+      if (!lastDetection || (now - lastDetection) > DETECTION_COOLDOWN) {
+        this.detectionCooldowns.set(`anim_${animation}`, now);
+        world.generateLine(0, {
+          topic: 'animation',
+          key: animation,
+          visibleObjects: this.visibleNow.map(v => v.name)
+        }).then(animComment => {
+          if (!animComment) return;
+          world.showSpeechBubble(0, animComment);
+          world.addTimelineEvent(world.virtualTime, `しゅり: ${animComment}`);
+          if (this.memory) {
+            this.memory.record(EPISODE_SPEECH, animation, { text: animComment });
+          }
+        });
+      }
+      return; // Don't check objects while playing special animation
+    }
+
+    // Cheap distance/direction check first, then line of sight (partial visibility score).
+    // Fog and precipitation shorten the view.
+    const maxDistance = DETECTION_MAX_DISTANCE * (world.weather ? world.weather.state.visibility : 1);
+    this.visibleNow = [];
+    for (const detectable of this.detectableObjects) {
+      const { name, object, isAvatar } = detectable;
+
+      // Skip if object doesn't exist
+      if (!object) continue;
+
+      if (!isObjectInCharacterView(character1, object, maxDistance, 0)) continue;
+      const visibility = this.getVisibility(object, character1);
+      if (visibility >= this.minVisibility && !this.visibleNow.some(v => v.name === name)) {
+        this.visibleNow.push({ name, isAvatar, visibility });
+      }
+    }
+
+    const visibleObjects = this.visibleNow.map(v => v.name);
+    for (const { name, isAvatar, visibility } of this.visibleNow) {
+      // Check cooldown
+      const lastDetection = this.detectionCooldowns.get(name);
+      if (lastDetection && (now - lastDetection) < DETECTION_COOLDOWN) {
+        continue;
+      }
+      this.detectionCooldowns.set(name, now);
+
+      // Remember the sighting, and bring up earlier ones ("三回目の木だ", "昨日も…に会ったな")
+      let memoryLine = null;
+      if (this.memory) {
+        this.memory.record(isAvatar ? EPISODE_ENCOUNTER : EPISODE_SIGHTING, name, { visibility });
+        memoryLine = this.memory.recall(name, isAvatar);
+      }
+
+      // Object is in view! Make Character 1 comment on it
+      world.generateLine(0, {
+        topic: 'detection',
+        key: name,
+        memory: memoryLine,
+        visibleObjects
+      }, memoryLine || `あ、${name}だ`).then(fullComment => {
+        world.showSpeechBubble(0, fullComment);
+
+        // Add to timeline
+        world.addTimelineEvent(world.virtualTime, `しゅり: ${fullComment}`);
+        if (this.memory) {
+          this.memory.record(EPISODE_SPEECH, name, { text: fullComment });
+        }
+      });
+    }
+  }
+
+  getVisibility(object, character1) {
+    return this.visibility.score(this.viewCamera, object, character1);
+  }
+}
@@ -0,0 +1,115 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// IndexedDB functions
+export function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('DiaryDatabase', 1);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains('diaries')) {
+        db.createObjectStore('diaries', { keyPath: 'day' });
+      }
+    };
+  });
+}
+
+export function saveToIndexedDB(entry) {
+  return openDatabase().then(db => {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['diaries'], 'readwrite');
+      const store = transaction.objectStore('diaries');
+      const request = store.put(entry);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  });
+}
+
+export function loadAllDiaries() {
+  return openDatabase().then(db => {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['diaries'], 'readonly');
+      const store = transaction.objectStore('diaries');
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        const entries = request.result;
+        entries.sort((a, b) => b.day - a.day); // Sort by day, newest first
+        resolve(entries);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  });
+}
+
+export function deleteDiary(day) {
+  return openDatabase().then(db => {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['diaries'], 'readwrite');
+      const store = transaction.objectStore('diaries');
+      const request = store.delete(day);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  });
+}
+
+export function clearDiaryStore() {
+  return openDatabase().then(db => {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['diaries'], 'readwrite');
+      const store = transaction.objectStore('diaries');
+      const request = store.clear();
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  });
+}
+
+// Export/Import/Highlights buttons above the diary (requires #diary-controls)
+// handlers: { onExport(), onImport(file), onHighlights() }
+// Returns the buttons ({ exportButton, importButton, highlightsButton }), or null without #diary-controls
+export function createDiaryControls(handlers) {
+  const container = document.getElementById('diary-controls');
+  if (!container) return null;
+
+  const exportButton = document.createElement('button');
+  exportButton.className = 'diary-control-button';
+  exportButton.textContent = 'Export';
+  exportButton.addEventListener('click', () => handlers.onExport());
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.zip,application/zip';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = ''; // Allow importing the same file again
+    if (file) handlers.onImport(file);
+  });
+
+  const importButton = document.createElement('button');
+  importButton.className = 'diary-control-button';
+  importButton.textContent = 'Import';
+  importButton.addEventListener('click', () => fileInput.click());
+
+  const highlightsButton = document.createElement('button');
+  highlightsButton.className = 'diary-control-button';
+  highlightsButton.textContent = 'Highlights';
+  highlightsButton.addEventListener('click', () => handlers.onHighlights());
+
+  container.appendChild(exportButton);
+  container.appendChild(importButton);
+  container.appendChild(fileInput);
+  container.appendChild(highlightsButton);
+  return { exportButton, importButton, highlightsButton };
+}
@@ -0,0 +1,172 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import JSZip from 'jszip';
+import { loadAllDiaries, saveToIndexedDB, clearDiaryStore } from './diary.js';
+import { videoExtension } from './recording.js';
+
+// Portable diary archive (.zip):
+//   manifest.json   { format, version, exportedAt, entries: [{ day, timestamp, diary, video, videoType,
+//                     thumbnail, startTime, endTime, timeMap, duration, width, height, downsampled, events }] }
+//   videos/day-0001.webm (or .mp4) ...
+//   thumbnails/day-0001.jpg ...
+export const ARCHIVE_FORMAT = 'gvrm-diary';
+export const ARCHIVE_VERSION = 1;
+
+function dayFileName(day) {
+  return `day-${String(day + 1).padStart(4, '0')}`;
+}
+
+// Optional fields copied as they are
+const ENTRY_FIELDS = ['startTime', 'endTime', 'timeMap', 'duration', 'width', 'height', 'downsampled', 'events'];
+
+// All diary entries as a zip Blob
+export function exportDiaryArchive() {
+  return loadAllDiaries().then(entries => {
+    const zip = new JSZip();
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries: []
+    };
+
+    // Oldest first in the manifest
+    for (const entry of [...entries].reverse()) {
+      const item = { day: entry.day, timestamp: entry.timestamp, diary: entry.diary };
+      if (entry.videoBlob) {
+        item.videoType = entry.videoBlob.type || 'video/webm';
+        item.video = `videos/${dayFileName(entry.day)}.${videoExtension(item.videoType)}`;
+        zip.file(item.video, entry.videoBlob);
+      }
+      if (entry.thumbnail) {
+        item.thumbnail = `thumbnails/${dayFileName(entry.day)}.jpg`;
+        zip.file(item.thumbnail, entry.thumbnail);
+      }
+      for (const field of ENTRY_FIELDS) {
+        if (entry[field] !== undefined) item[field] = entry[field];
+      }
+      manifest.entries.push(item);
+    }
+
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+    // WebM is already compressed
+    return zip.generateAsync({ type: 'blob', compression: 'STORE' });
+  });
+}
+
+// Read and validate an archive (File, Blob or ArrayBuffer). Resolves to entries (oldest first) with videoBlob.
+export async function readDiaryArchive(data) {
+  const zip = await JSZip.loadAsync(data);
+  const manifestFile = zip.file('manifest.json');
+  if (!manifestFile) {
+    throw new Error('Not a diary archive (manifest.json missing)');
+  }
+
+  const manifest = JSON.parse(await manifestFile.async('string'));
+  if (manifest.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.entries)) {
+    throw new Error('Not a diary archive (unknown format)');
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`Diary archive version ${manifest.version} is newer than supported (${ARCHIVE_VERSION})`);
+  }
+
+  const entries = [];
+  for (const item of manifest.entries) {
+    if (!Number.isInteger(item.day) || item.day < 0) {
+      console.warn('Skipping diary entry with invalid day:', item);
+      continue;
+    }
+
+    const videoFile = item.video ? zip.file(item.video) : null;
+    if (!videoFile) {
+      console.warn(`Skipping Day ${item.day + 1}: video missing from archive`);
+      continue;
+    }
+
+    const videoData = await videoFile.async('blob');
+    const entry = {
+      day: item.day,
+      timestamp: item.timestamp ?? Date.now(),
+      diary: item.diary ?? '',
+      videoBlob: new Blob([videoData], { type: item.videoType || 'video/webm' })
+    };
+
+    // Missing thumbnails are regenerated by the diary browser
+    const thumbnailFile = item.thumbnail ? zip.file(item.thumbnail) : null;
+    if (thumbnailFile) {
+      entry.thumbnail = new Blob([await thumbnailFile.async('blob')], { type: 'image/jpeg' });
+    }
+    for (const field of ENTRY_FIELDS) {
+      if (item[field] !== undefined) entry[field] = item[field];
+    }
+    entries.push(entry);
+  }
+
+  entries.sort((a, b) => a.day - b.day);
+  return entries;
+}
+
+// Import an archive into DiaryDatabase.
+// options: {
+//   mode: 'merge' | 'replace',                // replace clears existing diaries first
+//   conflict: 'append' | 'skip' | 'overwrite' // merge only, when a day already exists:
+//                                             //   append shifts all imported days after the existing ones,
+//                                             //   skip keeps the existing entry, overwrite keeps the imported one
+// }
+// Resolves to { imported, skipped, overwritten, shift }.
+export async function importDiaryArchive(data, options = {}) {
+  const mode = options.mode ?? 'merge';
+  const conflict = options.conflict ?? 'append';
+
+  const entries = await readDiaryArchive(data);
+  const result = { imported: 0, skipped: 0, overwritten: 0, shift: 0 };
+
+  if (mode === 'replace') {
+    await clearDiaryStore();
+    for (const entry of entries) {
+      await saveToIndexedDB(entry);
+      result.imported++;
+    }
+    return result;
+  }
+
+  const existing = await loadAllDiaries();
+  const existingDays = new Set(existing.map(entry => entry.day));
+  const hasConflict = entries.some(entry => existingDays.has(entry.day));
+
+  if (hasConflict && conflict === 'append') {
+    // Keep the archive's own order, right after the last existing day
+    const lastDay = Math.max(...existingDays);
+    result.shift = lastDay + 1 - entries[0].day;
+  }
+
+  for (const entry of entries) {
+    const day = entry.day + result.shift;
+    if (existingDays.has(day)) {
+      if (conflict === 'skip') {
+        result.skipped++;
+        continue;
+      }
+      result.overwritten++;
+    }
+    await saveToIndexedDB({ ...entry, day });
+    result.imported++;
+  }
+
+  return result;
+}
+
+// Save a Blob as a file download
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,419 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { formatTimeHM } from './core/ui.js';
+import { videoTimeAt, virtualTimeAt } from './recording.js';
+
+const CARD_WIDTH = 160; // .diary-card width (px)
+const CARD_GAP = 15;
+const CARD_STRIDE = CARD_WIDTH + CARD_GAP;
+const OVERSCAN = 3; // Cards rendered beyond each edge of the visible strip
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 120;
+const THUMBNAIL_TIMEOUT = 5000; // ms
+
+// Poster image (JPEG Blob) from a recording, taken half a second in
+export function generateThumbnail(videoBlob) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    const url = URL.createObjectURL(videoBlob);
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    const finish = (error, blob) => {
+      clearTimeout(timer);
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+      if (error) reject(error);
+      else resolve(blob);
+    };
+    const timer = setTimeout(() => finish(new Error('Thumbnail timed out')), THUMBNAIL_TIMEOUT);
+
+    video.addEventListener('loadeddata', () => {
+      // MediaRecorder WebM often has no duration until the end has been seen
+      video.currentTime = Number.isFinite(video.duration) ? Math.min(0.5, video.duration / 2) : 0.5;
+    }, { once: true });
+    video.addEventListener('seeked', () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = THUMBNAIL_WIDTH;
+      canvas.height = THUMBNAIL_HEIGHT;
+      canvas.getContext('2d').drawImage(video, 0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+      canvas.toBlob(blob => finish(null, blob), 'image/jpeg', 0.7);
+    }, { once: true });
+    video.addEventListener('error', () => finish(new Error('Failed to decode recording')), { once: true });
+
+    video.src = url;
+  });
+}
+
+// Browsable diary strip (#diary-container) with filters (#diary-controls) and a detail view.
+// Only the cards in view exist in the DOM and they show poster thumbnails instead of videos;
+// the detail view plays one day's recording next to that day's timeline events.
+export class DiaryBrowser {
+  // options: {
+  //   onDelete(day),               // Delete a day from storage (and call removeEntry)
+  //   loadEvents(entry),           // Timeline events [{ time, text }] for entries saved without them
+  //   saveThumbnail(entry)         // Persist a lazily generated entry.thumbnail
+  // }
+  constructor(options = {}) {
+    this.onDelete = options.onDelete ?? null;
+    this.loadEvents = options.loadEvents ?? null;
+    this.saveThumbnail = options.saveThumbnail ?? null;
+
+    this.entries = []; // All entries, newest first
+    this.filtered = []; // Entries matching the filter, newest first
+    this.filter = { fromDay: null, toDay: null, text: '' }; // Days as shown (1-based)
+
+    this.cards = new Map(); // day -> mounted card element
+    this.thumbnailUrls = new Map(); // day -> { blob, url }
+    this.thumbnailQueue = Promise.resolve(); // Generate one thumbnail at a time
+    this.pendingThumbnails = new Set();
+    this.renderScheduled = false;
+
+    this.detail = null; // { entry, root, video, events, eventElements, ... } while open
+
+    this.container = document.getElementById('diary-container');
+    this.track = null;
+    if (this.container) {
+      this.track = document.createElement('div');
+      this.track.className = 'diary-track';
+      this.container.appendChild(this.track);
+      this.container.addEventListener('scroll', () => this.scheduleRender());
+      window.addEventListener('resize', () => this.scheduleRender());
+    }
+
+    this.createFilterControls();
+  }
+
+  createFilterControls() {
+    const controls = document.getElementById('diary-controls');
+    if (!controls) return;
+
+    const makeInput = (type, placeholder, className) => {
+      const input = document.createElement('input');
+      input.type = type;
+      input.placeholder = placeholder;
+      input.className = className;
+      controls.appendChild(input);
+      return input;
+    };
+
+    const fromInput = makeInput('number', 'From', 'diary-filter-day');
+    const toInput = makeInput('number', 'To', 'diary-filter-day');
+    const textInput = makeInput('search', 'Search diary', 'diary-filter-text');
+    fromInput.min = toInput.min = '1';
+
+    this.countLabel = document.createElement('span');
+    this.countLabel.className = 'diary-count';
+    controls.appendChild(this.countLabel);
+
+    const onChange = () => {
+      this.setFilter({
+        fromDay: fromInput.value === '' ? null : parseInt(fromInput.value),
+        toDay: toInput.value === '' ? null : parseInt(toInput.value),
+        text: textInput.value
+      });
+    };
+    fromInput.addEventListener('input', onChange);
+    toInput.addEventListener('input', onChange);
+    textInput.addEventListener('input', onChange);
+  }
+
+  setEntries(entries) {
+    this.entries = [...entries].sort((a, b) => b.day - a.day);
+
+    // Drop thumbnails of days that are gone or were replaced
+    for (const [day, cached] of this.thumbnailUrls) {
+      const entry = this.entries.find(e => e.day === day);
+      if (!entry || entry.thumbnail !== cached.blob) {
+        URL.revokeObjectURL(cached.url);
+        this.thumbnailUrls.delete(day);
+      }
+    }
+
+    this.applyFilter();
+  }
+
+  addEntry(entry) {
+    this.setEntries([entry, ...this.entries.filter(e => e.day !== entry.day)]);
+  }
+
+  removeEntry(day) {
+    this.setEntries(this.entries.filter(e => e.day !== day));
+    if (this.detail && this.detail.entry.day === day) {
+      this.closeDetail();
+    }
+  }
+
+  // filter: { fromDay, toDay (1-based, inclusive, null = open), text }
+  setFilter(filter) {
+    this.filter = { ...this.filter, ...filter };
+    this.applyFilter();
+  }
+
+  matches(entry) {
+    const { fromDay, toDay, text } = this.filter;
+    if (Number.isInteger(fromDay) && entry.day + 1 < fromDay) return false;
+    if (Number.isInteger(toDay) && entry.day + 1 > toDay) return false;
+    const query = text.trim().toLowerCase();
+    if (query && !(entry.diary ?? '').toLowerCase().includes(query)) return false;
+    return true;
+  }
+
+  applyFilter() {
+    this.filtered = this.entries.filter(entry => this.matches(entry));
+    if (this.countLabel) {
+      this.countLabel.textContent = `${this.filtered.length} / ${this.entries.length} days`;
+    }
+
+    // Cards are positioned by index, so every mounted card may have moved
+    for (const card of this.cards.values()) card.remove();
+    this.cards.clear();
+    if (this.track) {
+      this.track.style.width = `${this.filtered.length * CARD_STRIDE}px`;
+    }
+    this.render();
+  }
+
+  scheduleRender() {
+    if (this.renderScheduled) return;
+    this.renderScheduled = true;
+    requestAnimationFrame(() => {
+      this.renderScheduled = false;
+      this.render();
+    });
+  }
+
+  // Mount the cards in view (plus OVERSCAN on each side) and unmount the rest
+  render() {
+    if (!this.track) return;
+
+    const scrollLeft = this.container.scrollLeft;
+    const width = this.container.clientWidth || window.innerWidth;
+    const first = Math.max(0, Math.floor(scrollLeft / CARD_STRIDE) - OVERSCAN);
+    const last = Math.min(this.filtered.length - 1, Math.ceil((scrollLeft + width) / CARD_STRIDE) + OVERSCAN);
+
+    const visibleDays = new Set();
+    for (let i = first; i <= last; i++) {
+      const entry = this.filtered[i];
+      visibleDays.add(entry.day);
+      if (!this.cards.has(entry.day)) {
+        const card = this.createCard(entry);
+        card.style.left = `${i * CARD_STRIDE}px`;
+        this.track.appendChild(card);
+        this.cards.set(entry.day, card);
+      }
+    }
+
+    for (const [day, card] of this.cards) {
+      if (!visibleDays.has(day)) {
+        card.remove();
+        this.cards.delete(day);
+      }
+    }
+  }
+
+  createCard(entry) {
+    const card = document.createElement('div');
+    card.className = 'diary-card';
+    card.addEventListener('click', () => this.openDetail(entry));
+
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'diary-thumbnail';
+    thumbnail.alt = `Day ${entry.day + 1}`;
+    const url = this.thumbnailUrl(entry);
+    if (url) {
+      thumbnail.src = url;
+    } else {
+      this.queueThumbnail(entry);
+    }
+
+    const dayLabel = document.createElement('div');
+    dayLabel.className = 'diary-day';
+    dayLabel.textContent = `Day ${entry.day + 1}`;
+
+    const diaryText = document.createElement('div');
+    diaryText.className = 'diary-text';
+    diaryText.textContent = entry.diary;
+
+    card.appendChild(thumbnail);
+    card.appendChild(dayLabel);
+    card.appendChild(diaryText);
+    return card;
+  }
+
+  thumbnailUrl(entry) {
+    if (!entry.thumbnail) return null;
+    let cached = this.thumbnailUrls.get(entry.day);
+    if (!cached || cached.blob !== entry.thumbnail) {
+      if (cached) URL.revokeObjectURL(cached.url);
+      cached = { blob: entry.thumbnail, url: URL.createObjectURL(entry.thumbnail) };
+      this.thumbnailUrls.set(entry.day, cached);
+    }
+    return cached.url;
+  }
+
+  // Entries saved before thumbnails existed (or imported without one) get a poster on first display
+  queueThumbnail(entry) {
+    if (!entry.videoBlob || this.pendingThumbnails.has(entry.day)) return;
+    this.pendingThumbnails.add(entry.day);
+
+    this.thumbnailQueue = this.thumbnailQueue.then(() => {
+      // Scrolled away or deleted in the meantime
+      if (!this.cards.has(entry.day) || !this.entries.includes(entry)) return null;
+      return generateThumbnail(entry.videoBlob).then(blob => {
+        entry.thumbnail = blob;
+        const card = this.cards.get(entry.day);
+        if (card) card.querySelector('.diary-thumbnail').src = this.thumbnailUrl(entry);
+        if (this.saveThumbnail) return this.saveThumbnail(entry);
+      });
+    }).catch(error => {
+      console.warn(`No thumbnail for Day ${entry.day + 1}:`, error.message);
+    }).finally(() => {
+      this.pendingThumbnails.delete(entry.day);
+    });
+  }
+
+  // Detail view: the day's recording with its timeline, synced both ways
+  openDetail(entry) {
+    this.closeDetail();
+
+    const root = document.createElement('div');
+    root.id = 'diary-detail';
+
+    const header = document.createElement('div');
+    header.className = 'diary-detail-header';
+    const title = document.createElement('span');
+    title.textContent = `Day ${entry.day + 1}`;
+    const clock = document.createElement('span');
+    clock.className = 'diary-detail-clock';
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'diary-control-button';
+    deleteButton.textContent = 'Delete';
+    const closeButton = document.createElement('button');
+    closeButton.className = 'diary-control-button';
+    closeButton.textContent = 'Close';
+    header.append(title, clock, deleteButton, closeButton);
+
+    const body = document.createElement('div');
+    body.className = 'diary-detail-body';
+
+    const video = document.createElement('video');
+    video.className = 'diary-detail-video';
+    video.controls = true;
+    video.muted = true;
+    video.src = URL.createObjectURL(entry.videoBlob);
+
+    const side = document.createElement('div');
+    side.className = 'diary-detail-side';
+    const text = document.createElement('div');
+    text.className = 'diary-detail-text';
+    text.textContent = entry.diary;
+    const eventList = document.createElement('div');
+    eventList.className = 'diary-detail-events';
+    side.append(text, eventList);
+
+    body.append(video, side);
+    root.append(header, body);
+    document.body.appendChild(root);
+
+    const detail = { entry, root, video, clock, eventList, events: [], eventElements: [], current: -1 };
+    this.detail = detail;
+
+    closeButton.addEventListener('click', () => this.closeDetail());
+    deleteButton.addEventListener('click', () => {
+      if (window.confirm(`Delete Day ${entry.day + 1}?`)) this.deleteDay(entry.day);
+    });
+    video.addEventListener('timeupdate', () => this.syncDetail());
+    video.addEventListener('loadedmetadata', () => this.syncDetail());
+
+    const events = entry.events ? Promise.resolve(entry.events) : (this.loadEvents ? this.loadEvents(entry) : Promise.resolve([]));
+    events.then(list => {
+      if (this.detail !== detail) return;
+      this.showEvents(detail, list ?? []);
+    }).catch(error => {
+      console.error('Failed to load diary events:', error);
+    });
+
+    // Autoplay may be refused; the controls are there
+    const playing = video.play();
+    if (playing) playing.catch(() => {});
+  }
+
+  showEvents(detail, events) {
+    detail.events = [...events].sort((a, b) => a.time - b.time);
+    detail.eventElements = detail.events.map(event => {
+      const row = document.createElement('div');
+      row.className = 'diary-detail-event';
+      const time = document.createElement('span');
+      time.className = 'timeline-time';
+      time.textContent = formatTimeHM(event.time);
+      const label = document.createElement('span');
+      label.textContent = ` ${event.text}`;
+      row.append(time, label);
+
+      // Jump to the moment of the event
+      row.addEventListener('click', () => this.seekDetail(event.time));
+      detail.eventList.appendChild(row);
+      return row;
+    });
+    if (detail.events.length === 0) {
+      detail.eventList.textContent = 'No events';
+    }
+    this.syncDetail();
+  }
+
+  // Recording length in seconds (stored at save time; WebM from MediaRecorder often reports Infinity)
+  detailDuration() {
+    const { entry, video } = this.detail;
+    return Number.isFinite(video.duration) && video.duration > 0 ? video.duration : (entry.duration ?? 0);
+  }
+
+  seekDetail(time) {
+    const { entry, video } = this.detail;
+    const duration = this.detailDuration();
+    if (!(duration > 0)) return;
+    video.currentTime = videoTimeAt(entry, time, duration);
+  }
+
+  // Highlight the latest event at the video's virtual time
+  syncDetail() {
+    const detail = this.detail;
+    if (!detail) return;
+
+    const time = virtualTimeAt(detail.entry, detail.video.currentTime, this.detailDuration());
+    detail.clock.textContent = formatTimeHM(time);
+
+    let current = -1;
+    for (let i = 0; i < detail.events.length && detail.events[i].time <= time; i++) {
+      current = i;
+    }
+    if (current === detail.current) return;
+
+    if (detail.current >= 0) detail.eventElements[detail.current].classList.remove('current');
+    if (current >= 0) {
+      const row = detail.eventElements[current];
+      row.classList.add('current');
+      if (row.scrollIntoView) row.scrollIntoView({ block: 'nearest' });
+    }
+    detail.current = current;
+  }
+
+  closeDetail() {
+    if (!this.detail) return;
+    const { root, video } = this.detail;
+    video.pause();
+    URL.revokeObjectURL(video.src);
+    root.remove();
+    this.detail = null;
+  }
+
+  deleteDay(day) {
+    if (this.onDelete) return this.onDelete(day);
+    this.removeEntry(day);
+    return Promise.resolve();
+  }
+}
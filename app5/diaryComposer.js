@@ -0,0 +1,165 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { EPISODE_SIGHTING, EPISODE_ENCOUNTER, EPISODE_ANIMATION, toKanjiNumber } from './memory.js';
+
+// Template-based diary composer (offline, no language model).
+//
+// The grammar (diary_grammar.json) is:
+//   {
+//     "periods": [{ "from": 5, "to": 11, "name": "朝" }, ...],   // Virtual hours -> time-of-day word
+//     "animationNames": { "Chicken Dance": "チキンダンス", ... },  // Display names for animations
+//     "rules": {
+//       "entry": ["{opening}{meeting}{closing}"],                // Start symbol
+//       "meeting": [
+//         { "text": "{$avatarList}に会った。", "min": { "avatarCount": 2 } },
+//         { "text": "{$firstPeriod}に{$firstAvatar}に会った。", "requires": ["firstAvatar"] },
+//         ""                                                    // Nothing to say
+//       ]
+//     }
+//   }
+// "{symbol}" expands another rule, "{$fact}" inserts a fact about the day (see summarizeDay).
+// An alternative is a string or { text, requires: [facts that must be set], min: { fact: n }, max: { fact: n } };
+// one of the alternatives whose conditions hold is picked at random.
+
+const MAX_DEPTH = 16; // Guard against recursive rules
+
+// 'すわさん', '鈴木さん', 'まつゆー' -> 'すわさん、鈴木さんとまつゆー'
+function joinJapanese(items) {
+  if (items.length <= 1) return items.join('');
+  return items.slice(0, -1).join('、') + 'と' + items[items.length - 1];
+}
+
+export function periodOf(grammar, time) {
+  for (const period of grammar.periods ?? []) {
+    // Periods may wrap around midnight (e.g. from 19 to 29 = 19:00-05:00)
+    if ((time >= period.from && time < period.to) || (time + 24 >= period.from && time + 24 < period.to)) {
+      return period.name;
+    }
+  }
+  return '';
+}
+
+// Count subjects of the given episode types, most frequent first: [{ subject, count, first, last }]
+function tally(episodes, types) {
+  const bySubject = new Map();
+  for (const episode of episodes) {
+    if (!types.includes(episode.type)) continue;
+    let item = bySubject.get(episode.subject);
+    if (!item) {
+      item = { subject: episode.subject, count: 0, first: episode, last: episode };
+      bySubject.set(episode.subject, item);
+    }
+    item.count++;
+    item.last = episode;
+  }
+  return [...bySubject.values()].sort((a, b) => (b.count - a.count) || (a.first.time - b.first.time));
+}
+
+// Facts about one day's episodes (oldest first), used as {$fact} in the grammar
+export function summarizeDay(episodes, grammar = {}) {
+  const animationName = (name) => (grammar.animationNames && grammar.animationNames[name]) || name;
+
+  const avatars = tally(episodes, [EPISODE_ENCOUNTER]);
+  const objects = tally(episodes, [EPISODE_SIGHTING]);
+  const animations = tally(episodes, [EPISODE_ANIMATION]);
+  const notable = episodes.filter(e => e.type === EPISODE_ENCOUNTER || e.type === EPISODE_SIGHTING || e.type === EPISODE_ANIMATION);
+
+  const facts = {
+    eventCount: notable.length,
+    avatarCount: avatars.length,
+    objectCount: objects.length,
+    animationCount: animations.length
+  };
+
+  if (avatars.length > 0) {
+    const top = avatars[0];
+    const firstMet = avatars.reduce((a, b) => (a.first.time <= b.first.time ? a : b));
+    facts.avatarList = joinJapanese(avatars.slice(0, 4).map(a => a.subject));
+    facts.topAvatar = top.subject;
+    facts.topAvatarTimes = top.count;
+    facts.topAvatarCount = toKanjiNumber(top.count);
+    facts.firstAvatar = firstMet.subject;
+    facts.firstPeriod = periodOf(grammar, firstMet.first.time);
+    facts.lastAvatar = avatars.reduce((a, b) => (a.last.time >= b.last.time ? a : b)).subject;
+  }
+
+  if (objects.length > 0) {
+    const top = objects[0];
+    facts.objectList = joinJapanese(objects.map(o => o.subject));
+    facts.topObject = top.subject;
+    facts.topObjectTimes = top.count;
+    facts.topObjectCount = toKanjiNumber(top.count);
+  }
+
+  if (animations.length > 0) {
+    const last = animations.reduce((a, b) => (a.last.time >= b.last.time ? a : b));
+    facts.animationList = joinJapanese(animations.slice(0, 3).map(a => animationName(a.subject)));
+    facts.lastAnimation = animationName(last.subject);
+    facts.lastAnimationPeriod = periodOf(grammar, last.last.time);
+    facts.animationTimes = animations.reduce((sum, a) => sum + a.count, 0);
+  }
+
+  if (notable.length > 0) {
+    facts.busiestPeriod = busiestPeriod(notable, grammar);
+  }
+
+  return facts;
+}
+
+function busiestPeriod(episodes, grammar) {
+  const counts = new Map();
+  for (const episode of episodes) {
+    const period = periodOf(grammar, episode.time);
+    if (period) counts.set(period, (counts.get(period) ?? 0) + 1);
+  }
+  let best = '';
+  let bestCount = 0;
+  for (const [period, count] of counts) {
+    if (count > bestCount) {
+      best = period;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function conditionsHold(alternative, facts) {
+  if (typeof alternative === 'string') return true;
+  for (const fact of alternative.requires ?? []) {
+    if (!isSet(facts[fact])) return false;
+  }
+  for (const [fact, min] of Object.entries(alternative.min ?? {})) {
+    if (!((facts[fact] ?? 0) >= min)) return false;
+  }
+  for (const [fact, max] of Object.entries(alternative.max ?? {})) {
+    if (!((facts[fact] ?? 0) <= max)) return false;
+  }
+  return true;
+}
+
+function expand(grammar, symbol, facts, random, depth) {
+  if (depth > MAX_DEPTH) return '';
+
+  const alternatives = (grammar.rules[symbol] ?? []).filter(alternative => conditionsHold(alternative, facts));
+  if (alternatives.length === 0) return '';
+
+  const chosen = alternatives[Math.floor(random() * alternatives.length)];
+  const text = typeof chosen === 'string' ? chosen : (chosen.text ?? '');
+
+  return text.replace(/\{(\$?)([^{}]+)\}/g, (match, isFact, name) => {
+    if (isFact) return isSet(facts[name]) ? String(facts[name]) : '';
+    return expand(grammar, name, facts, random, depth + 1);
+  });
+}
+
+// Compose a diary entry for one day's episodes (oldest first)
+export function composeDiary(grammar, episodes, random = Math.random) {
+  const facts = summarizeDay(episodes, grammar);
+  return expand(grammar, 'entry', facts, random, 0).trim();
+}
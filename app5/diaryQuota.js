@@ -0,0 +1,107 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { loadAllDiaries, saveToIndexedDB, deleteDiary } from './diary.js';
+import { transcodeVideo } from './recording.js';
+
+function entrySize(entry) {
+  return (entry.videoBlob ? entry.videoBlob.size : 0) + (entry.thumbnail ? entry.thumbnail.size : 0);
+}
+
+// Keeps the diary's recordings within a storage budget by shrinking, then deleting, the oldest days.
+// options: {
+//   maxBytes,       // Budget for all recordings (default: no fixed limit)
+//   maxUsage,       // Fraction of the browser's storage quota the origin may use (navigator.storage.estimate)
+//   policy,         // 'downsample' re-encodes old days smaller before evicting, 'evict' only deletes
+//   keepDays,       // The newest days are never touched
+//   downsample      // { scale, bitrate, fps } of re-encoded days
+// }
+export class DiaryQuota {
+  constructor(options = {}) {
+    this.maxBytes = options.maxBytes ?? Infinity;
+    this.maxUsage = options.maxUsage ?? 0.8;
+    this.policy = options.policy ?? 'downsample';
+    this.keepDays = options.keepDays ?? 3;
+    this.downsample = { scale: 0.5, bitrate: 250000, fps: 10, ...(options.downsample ?? {}) };
+
+    this.running = Promise.resolve(); // One enforcement at a time
+  }
+
+  // Bytes the recordings may use, given what the diary currently takes
+  async budget(diaryBytes) {
+    let budget = this.maxBytes;
+    if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+      const { usage = 0, quota = Infinity } = await navigator.storage.estimate();
+      // Everything else stored by the origin (memories, caches) stays where it is
+      budget = Math.min(budget, quota * this.maxUsage - (usage - diaryBytes));
+    }
+    return budget;
+  }
+
+  // Make room for `incomingBytes` more. Resolves to { downsampled: [days], evicted: [days] }.
+  // options: { evictOnly } skips re-encoding (e.g. right after a failed save)
+  enforce(incomingBytes = 0, options = {}) {
+    const run = this.running.then(() => this.run(incomingBytes, options));
+    this.running = run.catch(() => {});
+    return run;
+  }
+
+  async run(incomingBytes, options) {
+    const result = { downsampled: [], evicted: [] };
+    const entries = await loadAllDiaries(); // Newest first
+    const total = entries.reduce((sum, entry) => sum + entrySize(entry), 0);
+    let excess = total + incomingBytes - await this.budget(total);
+    if (excess <= 0) return result;
+
+    const candidates = entries.slice(this.keepDays).reverse(); // Oldest first
+
+    if (this.policy === 'downsample' && !options.evictOnly) {
+      for (const entry of candidates) {
+        if (excess <= 0) break;
+        if (entry.downsampled || !entry.videoBlob) continue;
+
+        try {
+          const before = entrySize(entry);
+          if (await this.downsampleEntry(entry)) {
+            excess -= before - entrySize(entry);
+            result.downsampled.push(entry.day);
+          }
+        } catch (error) {
+          // Most failures (no decoder/encoder, autoplay refused) would repeat for every day
+          console.warn(`Could not downsample Day ${entry.day + 1}, evicting instead:`, error.message);
+          break;
+        }
+      }
+    }
+
+    for (const entry of candidates) {
+      if (excess <= 0) break;
+      await deleteDiary(entry.day);
+      excess -= entrySize(entry);
+      result.evicted.push(entry.day);
+    }
+
+    if (excess > 0) {
+      console.warn(`Diary storage still ${Math.ceil(excess / 1024)} KB over budget (newest ${this.keepDays} days are kept)`);
+    }
+    return result;
+  }
+
+  // Resolves to false when re-encoding would not save anything
+  async downsampleEntry(entry) {
+    const { scale, bitrate, fps } = this.downsample;
+    const width = Math.max(2, Math.round((entry.width ?? 640) * scale / 2) * 2);
+    const height = Math.max(2, Math.round((entry.height ?? 480) * scale / 2) * 2);
+
+    const videoBlob = await transcodeVideo(entry.videoBlob, { width, height, fps, bitrate });
+    if (videoBlob.size === 0 || videoBlob.size >= entry.videoBlob.size) return false;
+
+    entry.videoBlob = videoBlob;
+    entry.width = width;
+    entry.height = height;
+    entry.downsampled = true;
+    await saveToIndexedDB(entry);
+    return true;
+  }
+}
@@ -0,0 +1,352 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { formatTimeHM } from './core/ui.js';
+import { pickMimeType, containerType, videoTimeAt, virtualTimeAt, DEFAULT_MIME_TYPES } from './recording.js';
+import { EPISODE_ANIMATION, EPISODE_ENCOUNTER, EPISODE_SIGHTING, EPISODE_SPEECH } from './memory.js';
+
+// Highlight reel of stored days: clips around timeline events, captioned with the diary text.
+//   mode                 'highlights' (clips around events, sped-up day when there are none) or 'timelapse' (every day sped up)
+//   before, after        seconds of recording kept around each event
+//   maxClipsPerDay       best clips of a day (animations > encounters > sightings)
+//   timelapseLength      seconds of reel per sped-up day
+//   titleLength          seconds of the "Day N" card before each day (0 = none)
+//   width, height, fps, bitrate, mimeTypes   output video
+export const DEFAULT_HIGHLIGHTS = {
+  mode: 'highlights',
+  before: 2,
+  after: 3,
+  maxClipsPerDay: 4,
+  timelapseLength: 6,
+  titleLength: 1.5,
+  width: 640,
+  height: 480,
+  fps: 15,
+  bitrate: 2000000, // 2 Mbps
+  mimeTypes: DEFAULT_MIME_TYPES
+};
+
+// Speech has no picture of its own; it only captions a clip it falls into
+const EVENT_PRIORITY = {
+  [EPISODE_ANIMATION]: 3,
+  [EPISODE_ENCOUNTER]: 2,
+  [EPISODE_SIGHTING]: 1,
+  [EPISODE_SPEECH]: 0
+};
+
+const MAX_PLAYBACK_RATE = 16; // Browsers refuse (or drop frames) above this
+const STALL_TIMEOUT = 10000; // ms without a decoded frame
+
+// Clips [{ start, end, speed, events }] (seconds into the recording) for one day
+export function selectClips(entry, duration, options = {}) {
+  const config = { ...DEFAULT_HIGHLIGHTS, ...options };
+  const events = (entry.events ?? [])
+    .map(event => ({ ...event, at: videoTimeAt(entry, event.time, duration) }))
+    .sort((a, b) => a.at - b.at);
+
+  // Too long for one sped-up pass: evenly spaced parts of it
+  const timelapse = () => {
+    const speed = Math.min(MAX_PLAYBACK_RATE, Math.max(1, duration / config.timelapseLength));
+    const covered = Math.min(duration, speed * config.timelapseLength);
+    const parts = Math.ceil(duration / covered - 1e-9);
+    const clips = [];
+    for (let i = 0; i < parts; i++) {
+      const start = i * duration / parts;
+      const end = start + covered / parts;
+      clips.push({ start, end, speed, events: events.filter(event => event.at >= start && event.at <= end) });
+    }
+    return clips;
+  };
+  if (config.mode === 'timelapse') return timelapse();
+
+  // Windows around the events worth showing, overlapping ones merged
+  const clips = [];
+  for (const event of events) {
+    const priority = EVENT_PRIORITY[event.type] ?? 1; // Events saved without a type
+    if (priority === 0) continue;
+
+    const start = Math.max(0, event.at - config.before);
+    const end = Math.min(duration, event.at + config.after);
+    const last = clips[clips.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+      last.score += priority;
+    } else {
+      clips.push({ start, end, speed: 1, score: priority });
+    }
+  }
+  if (clips.length === 0) return timelapse();
+
+  return clips
+    .sort((a, b) => b.score - a.score)
+    .slice(0, config.maxClipsPerDay)
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end, speed }) => ({
+      start,
+      end,
+      speed,
+      // Speech inside the window captions it too
+      events: events.filter(event => event.at >= start && event.at <= end)
+    }));
+}
+
+// Resolves on `name`, rejects on a media error or after `timeout` ms
+function waitFor(target, name, timeout = STALL_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const finish = (error) => {
+      clearTimeout(timer);
+      target.removeEventListener(name, onEvent);
+      target.removeEventListener('error', onError);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onEvent = () => finish(null);
+    const onError = () => finish(new Error('Failed to decode recording'));
+    const timer = setTimeout(() => finish(new Error(`Timed out waiting for ${name}`)), timeout);
+    target.addEventListener(name, onEvent);
+    target.addEventListener('error', onError);
+  });
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Japanese has no spaces, so lines break at any character
+function wrapText(context, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const char of text) {
+    if (line && context.measureText(line + char).width > maxWidth) {
+      lines.push(line);
+      line = '';
+      if (lines.length === maxLines) break;
+    }
+    line += char;
+  }
+  if (lines.length < maxLines) {
+    if (line) lines.push(line);
+  } else {
+    lines[maxLines - 1] = lines[maxLines - 1].slice(0, -1) + '…'; // Text left over
+  }
+  return lines;
+}
+
+// Plays stored days through a canvas into a MediaRecorder
+class ReelRenderer {
+  constructor(config) {
+    this.config = config;
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = config.width;
+    this.canvas.height = config.height;
+    this.context = this.canvas.getContext('2d');
+    this.fontSize = Math.round(config.height / 20);
+  }
+
+  start() {
+    const { bitrate, fps } = this.config;
+    const mimeType = this.config.mimeType ?? pickMimeType(this.config.mimeTypes);
+    if (mimeType === null) throw new Error('MediaRecorder is not available');
+
+    const stream = this.canvas.captureStream(fps);
+    this.recorder = new MediaRecorder(stream, mimeType ? { mimeType, videoBitsPerSecond: bitrate } : { videoBitsPerSecond: bitrate });
+    this.mimeType = mimeType;
+    this.chunks = [];
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    };
+
+    // Something must be on the canvas before the first frame is captured
+    this.clear();
+    this.recorder.start();
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      this.recorder.onstop = () => {
+        resolve(new Blob(this.chunks, { type: containerType(this.mimeType || this.recorder.mimeType) }));
+      };
+      this.recorder.stop();
+    });
+  }
+
+  // Seeking and loading are left out of the reel
+  pause() {
+    if (this.recorder.state === 'recording') this.recorder.pause();
+  }
+
+  resume() {
+    if (this.recorder.state === 'paused') this.recorder.resume();
+  }
+
+  clear() {
+    this.context.fillStyle = '#000';
+    this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  async title(entry) {
+    const { width, height } = this.canvas;
+    const context = this.context;
+    const frames = Math.round(this.config.titleLength * this.config.fps);
+
+    this.resume();
+    for (let i = 0; i < frames; i++) {
+      this.clear();
+      context.fillStyle = '#fff';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.font = `bold ${this.fontSize * 2}px sans-serif`;
+      context.fillText(`Day ${entry.day + 1}`, width / 2, height / 2 - this.fontSize);
+      context.font = `${this.fontSize}px sans-serif`;
+      context.fillText(new Date(entry.timestamp).toLocaleDateString(), width / 2, height / 2 + this.fontSize);
+      await wait(1000 / this.config.fps); // Redraw so the card lasts in the reel
+    }
+  }
+
+  // Video frame with the time, the latest event and the diary text on top
+  drawFrame(video, entry, duration, clip) {
+    const { width, height } = this.canvas;
+    const context = this.context;
+    const padding = Math.round(this.fontSize / 2);
+    context.drawImage(video, 0, 0, width, height);
+
+    const time = virtualTimeAt(entry, video.currentTime, duration);
+    let event = null;
+    for (const candidate of clip.events) {
+      if (candidate.at <= video.currentTime) event = candidate;
+    }
+
+    context.font = `bold ${this.fontSize}px sans-serif`;
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    const header = `Day ${entry.day + 1}  ${formatTimeHM(time)}${clip.speed > 1 ? `  ×${Math.round(clip.speed)}` : ''}` +
+      (event ? `  ${event.text}` : '');
+    context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    context.fillRect(0, 0, width, this.fontSize + padding * 2);
+    context.fillStyle = '#fff';
+    context.fillText(header, padding, padding);
+
+    if (entry.diary) {
+      context.font = `${this.fontSize}px sans-serif`;
+      const lines = wrapText(context, entry.diary, width - padding * 2, 2);
+      const lineHeight = Math.round(this.fontSize * 1.3);
+      const boxHeight = lines.length * lineHeight + padding * 2;
+      context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      context.fillRect(0, height - boxHeight, width, boxHeight);
+      context.fillStyle = '#fff';
+      lines.forEach((line, i) => context.fillText(line, padding, height - boxHeight + padding + i * lineHeight));
+    }
+  }
+
+  async playClip(video, entry, duration, clip) {
+    this.pause();
+    video.currentTime = clip.start;
+    await waitFor(video, 'seeked');
+    video.playbackRate = clip.speed;
+
+    this.resume();
+    await video.play();
+    await new Promise((resolve, reject) => {
+      let lastProgress = Date.now();
+      let done = false;
+      const finish = (error) => {
+        if (done) return;
+        done = true;
+        clearInterval(watchdog);
+        video.pause();
+        if (error) reject(error);
+        else resolve();
+      };
+
+      const watchdog = setInterval(() => {
+        if (Date.now() - lastProgress > STALL_TIMEOUT) finish(new Error('Playback stalled'));
+      }, 1000);
+
+      const draw = () => {
+        if (done) return;
+        if (video.ended || video.currentTime >= clip.end) {
+          finish(null);
+          return;
+        }
+        this.drawFrame(video, entry, duration, clip);
+        lastProgress = Date.now();
+        if (video.requestVideoFrameCallback) {
+          video.requestVideoFrameCallback(draw);
+        } else {
+          setTimeout(draw, 1000 / this.config.fps);
+        }
+      };
+      video.addEventListener('ended', () => finish(null), { once: true });
+      draw();
+    });
+  }
+
+  // Clips of one day; resolves to the number of clips played
+  async renderDay(entry, onClip) {
+    const video = document.createElement('video');
+    const url = URL.createObjectURL(entry.videoBlob);
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.src = url;
+
+    try {
+      await waitFor(video, 'loadedmetadata');
+
+      // MediaRecorder WebM has no duration until the end has been seen
+      let duration = video.duration;
+      if (!Number.isFinite(duration)) {
+        video.currentTime = 1e9;
+        await waitFor(video, 'seeked').catch(() => {});
+        duration = Number.isFinite(video.duration) ? video.duration : (entry.duration ?? video.currentTime);
+      }
+      if (!(duration > 0)) throw new Error('Recording is empty');
+
+      const clips = selectClips(entry, duration, this.config);
+      for (let i = 0; i < clips.length; i++) {
+        await this.playClip(video, entry, duration, clips[i]);
+        onClip((i + 1) / clips.length);
+      }
+      return clips.length;
+    } finally {
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+    }
+  }
+}
+
+// Render a reel (video Blob) from diary entries (any order; entries without a recording are left out).
+// options: see DEFAULT_HIGHLIGHTS, plus mimeType to skip codec negotiation
+// onProgress(fraction) is called as days are rendered
+export async function createHighlightReel(entries, options = {}, onProgress = () => {}) {
+  const config = { ...DEFAULT_HIGHLIGHTS, ...options };
+  const days = entries.filter(entry => entry.videoBlob).sort((a, b) => a.day - b.day);
+  if (days.length === 0) throw new Error('No recorded days to make highlights from');
+
+  const renderer = new ReelRenderer(config);
+  renderer.start();
+
+  let rendered = 0;
+  try {
+    for (let i = 0; i < days.length; i++) {
+      const entry = days[i];
+      try {
+        await renderer.title(entry);
+        await renderer.renderDay(entry, fraction => onProgress((i + fraction) / days.length));
+        rendered++;
+      } catch (error) {
+        // One unreadable day should not cost the whole reel
+        console.warn(`Highlights: skipping Day ${entry.day + 1}:`, error.message);
+      }
+      onProgress((i + 1) / days.length);
+    }
+  } finally {
+    renderer.resume();
+  }
+
+  const blob = await renderer.stop();
+  if (rendered === 0) throw new Error('None of the recorded days could be played');
+  return blob;
+}
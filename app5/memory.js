@@ -0,0 +1,328 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { Behavior } from './core/behavior.js';
+import { formatTimeHM } from './core/ui.js';
+
+// Episode types
+export const EPISODE_SIGHTING = 'sighting'; // Object seen (家, 木, 花)
+export const EPISODE_ENCOUNTER = 'encounter'; // Avatar seen
+export const EPISODE_SPEECH = 'speech'; // Line spoken by Character 1
+export const EPISODE_ANIMATION = 'animation'; // Special animation played by Character 1
+
+const EPISODE_GAP = 1; // Virtual hours: sightings of the same subject closer than this count as one
+
+// IndexedDB functions (separate database next to DiaryDatabase)
+export function openMemoryDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('MemoryDatabase', 1);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains('episodes')) {
+        const store = db.createObjectStore('episodes', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('subject', 'subject');
+        store.createIndex('type', 'type');
+        store.createIndex('day', 'day');
+      }
+    };
+  });
+}
+
+export function saveEpisode(episode) {
+  return openMemoryDatabase().then(db => {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['episodes'], 'readwrite');
+      const store = transaction.objectStore('episodes');
+      const request = store.add(episode);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  });
+}
+
+// filter: { type, subject, day, fromDay, toDay, fromTime, toTime } (all optional, combined with AND)
+// Times are virtual hours (0-24) within a day. Results are sorted oldest first.
+export function loadEpisodes(filter = {}) {
+  return openMemoryDatabase().then(db => {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['episodes'], 'readonly');
+      const store = transaction.objectStore('episodes');
+
+      // Narrow down with the most selective index, filter the rest in memory
+      let request;
+      if (filter.subject !== undefined) {
+        request = store.index('subject').getAll(filter.subject);
+      } else if (filter.day !== undefined) {
+        request = store.index('day').getAll(filter.day);
+      } else if (filter.fromDay !== undefined || filter.toDay !== undefined) {
+        request = store.index('day').getAll(dayRange(filter.fromDay, filter.toDay));
+      } else if (filter.type !== undefined) {
+        request = store.index('type').getAll(filter.type);
+      } else {
+        request = store.getAll();
+      }
+
+      request.onsuccess = () => {
+        const episodes = request.result.filter(episode => matchesFilter(episode, filter));
+        episodes.sort((a, b) => (a.day - b.day) || (a.time - b.time) || (a.id - b.id));
+        resolve(episodes);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  });
+}
+
+export function clearMemoryStore() {
+  return openMemoryDatabase().then(db => {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['episodes'], 'readwrite');
+      const store = transaction.objectStore('episodes');
+      const request = store.clear();
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  });
+}
+
+function dayRange(fromDay, toDay) {
+  if (fromDay !== undefined && toDay !== undefined) return IDBKeyRange.bound(fromDay, toDay);
+  if (fromDay !== undefined) return IDBKeyRange.lowerBound(fromDay);
+  return IDBKeyRange.upperBound(toDay);
+}
+
+function matchesFilter(episode, filter) {
+  if (filter.type !== undefined && episode.type !== filter.type) return false;
+  if (filter.subject !== undefined && episode.subject !== filter.subject) return false;
+  if (filter.day !== undefined && episode.day !== filter.day) return false;
+  if (filter.fromDay !== undefined && episode.day < filter.fromDay) return false;
+  if (filter.toDay !== undefined && episode.day > filter.toDay) return false;
+  if (filter.fromTime !== undefined && episode.time < filter.fromTime) return false;
+  if (filter.toTime !== undefined && episode.time > filter.toTime) return false;
+  return true;
+}
+
+// 3 -> '三', 12 -> '十二', 100 -> '100'
+export function toKanjiNumber(n) {
+  const digits = ['', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
+  if (n <= 0 || n >= 100) return String(n);
+  const tens = Math.floor(n / 10);
+  const ones = n % 10;
+  return (tens > 1 ? digits[tens] : '') + (tens > 0 ? '十' : '') + digits[ones];
+}
+
+// What happened in an episode: 'すわさんに会った', '「あ、木だ」と言った'
+export function episodeText(episode) {
+  switch (episode.type) {
+    case EPISODE_ENCOUNTER: return `${episode.subject}に会った`;
+    case EPISODE_SIGHTING: return `${episode.subject}を見た`;
+    case EPISODE_ANIMATION: return `${episode.subject}をした`;
+    case EPISODE_SPEECH: return `「${episode.text}」と言った`;
+    default: return episode.subject;
+  }
+}
+
+// One line per episode for a language model prompt: '08:15 すわさんに会った'
+export function describeEpisode(episode) {
+  return `${formatTimeHM(episode.time)} ${episodeText(episode)}`;
+}
+
+// '{name}に会った' + { name: 'すわさん' } -> 'すわさんに会った'
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// Persistent episodic memory of Character 1: everything it saw, said and did,
+// with the virtual day/time and where it was at that moment.
+export class MemoryBehavior extends Behavior {
+  // options: {
+  //   getDay: () => current day number (persistent across reloads, e.g. the diary day)
+  //   dayReady: () => promise that resolves once getDay() is valid (episodes recorded before wait for it)
+  // }
+  constructor(options = {}) {
+    super();
+    this.getDay = options.getDay ?? null;
+    this.dayReady = options.dayReady ?? null;
+    this.dayKnown = !this.dayReady;
+    this.dayPending = null; // Promise of this.dayReady(), while waiting for it
+    this.world = null;
+
+    // subject -> { count, lastAt, days: Map(day -> count) } (sightings/encounters, grouped by EPISODE_GAP)
+    this.stats = new Map();
+    this.loaded = false; // Past sessions counted into stats
+    this.sessionStart = null; // Date.now() at setup (episodes from then on are this session's)
+    this.pendingSightings = []; // This session's sightings, counted once the past ones are
+    this.templates = null; // memory_comments.json
+  }
+
+  setup(world) {
+    this.world = world;
+    this.sessionStart = Date.now();
+
+    world.preload(fetch('./memory_comments.json')
+      .then(response => response.json())
+      .then(data => {
+        this.templates = data;
+      })
+      .catch(error => {
+        console.error('Failed to load memory comments:', error);
+        this.templates = {};
+      }));
+
+    // Rebuild sighting statistics from past sessions (this session's may already be stored, they are counted after)
+    world.preload(loadEpisodes().then(episodes => {
+      const past = episodes.filter(episode => episode.timestamp < this.sessionStart);
+      for (const episode of past) {
+        if (episode.type === EPISODE_SIGHTING || episode.type === EPISODE_ENCOUNTER) {
+          this.countSighting(episode.subject, episode.day, episode.time);
+        }
+      }
+      console.log(`Loaded ${past.length} memories`);
+    }).catch(error => {
+      console.error('Failed to load memories:', error);
+    }).then(() => {
+      this.loaded = true;
+      this.pendingSightings.splice(0).forEach(episode => this.countSighting(episode.subject, episode.day, episode.time));
+    }));
+
+    window.clearAllMemories = () => this.clearAllMemories();
+  }
+
+  onReady(world) {
+    // Remember Character 1's special animations
+    const walker = world.walkers[0];
+    if (walker) {
+      walker.state.addListener((from, to, animation) => {
+        if (to === 'special' && animation) {
+          this.record(EPISODE_ANIMATION, animation.name);
+        }
+      });
+    }
+  }
+
+  get day() {
+    return this.getDay ? this.getDay() : this.world.clock.day;
+  }
+
+  // Store an episode (returns the promise of the stored id)
+  record(type, subject, extra = {}) {
+    const episode = { type, subject, time: this.world.virtualTime, timestamp: Date.now(), ...extra };
+
+    // Character 1's position
+    const gvrm = this.world.gvrms[0];
+    if (gvrm && gvrm.isReady && gvrm.character && gvrm.character.currentVrm) {
+      const position = gvrm.character.currentVrm.scene.position;
+      episode.x = position.x;
+      episode.z = position.z;
+    }
+
+    if (!this.dayKnown) {
+      // The day isn't known yet (e.g. the diaries are still loading): store the episode once it is, in order
+      if (!this.dayPending) {
+        this.dayPending = this.dayReady().then(() => {
+          this.dayKnown = true;
+        });
+      }
+      return this.dayPending.then(() => this.store(episode));
+    }
+    return this.store(episode);
+  }
+
+  store(episode) {
+    episode.day = this.day;
+    if (episode.type === EPISODE_SIGHTING || episode.type === EPISODE_ENCOUNTER) {
+      if (this.loaded) {
+        this.countSighting(episode.subject, episode.day, episode.time);
+      } else {
+        this.pendingSightings.push(episode);
+      }
+    }
+
+    return saveEpisode(episode).catch(error => {
+      console.error('Failed to save memory:', error);
+    });
+  }
+
+  query(filter) {
+    return loadEpisodes(filter);
+  }
+
+  countSighting(subject, day, time) {
+    let stats = this.stats.get(subject);
+    if (!stats) {
+      stats = { count: 0, lastAt: -Infinity, days: new Map() };
+      this.stats.set(subject, stats);
+    }
+
+    // Looking at the same thing for a while is one sighting
+    const at = day * 24 + time;
+    if (at - stats.lastAt >= EPISODE_GAP) {
+      stats.count++;
+      stats.days.set(day, (stats.days.get(day) ?? 0) + 1);
+    }
+    stats.lastAt = at;
+  }
+
+  // How many separate times the subject was seen (optionally on one day)
+  countOf(subject, day) {
+    const stats = this.stats.get(subject);
+    if (!stats) return 0;
+    return day === undefined ? stats.count : (stats.days.get(day) ?? 0);
+  }
+
+  // Most recent day before `day` on which the subject was seen, or null
+  lastDaySeenBefore(subject, day) {
+    const stats = this.stats.get(subject);
+    if (!stats) return null;
+    let last = null;
+    for (const seenDay of stats.days.keys()) {
+      if (seenDay < day && (last === null || seenDay > last)) last = seenDay;
+    }
+    return last;
+  }
+
+  // A line referencing past sightings (call after recording the current one), or null on first sight
+  // (and while the past ones are still loading)
+  recall(subject, isAvatar) {
+    if (!this.templates || !this.dayKnown || !this.loaded) return null;
+
+    const day = this.day;
+    const todayCount = this.countOf(subject, day);
+    const values = { name: subject, count: toKanjiNumber(this.countOf(subject)) };
+
+    if (isAvatar) {
+      const lastDay = this.lastDaySeenBefore(subject, day);
+      if (todayCount === 1 && lastDay !== null) {
+        // First encounter today, but we have met before
+        if (lastDay === day - 1) return fillTemplate(this.templates.yesterday ?? '', values) || null;
+        values.days = toKanjiNumber(day - lastDay);
+        return fillTemplate(this.templates.daysAgo ?? '', values) || null;
+      }
+      if (todayCount > 1) {
+        values.count = toKanjiNumber(todayCount);
+        return fillTemplate(this.templates.today ?? '', values) || null;
+      }
+      return null;
+    }
+
+    if (this.countOf(subject) > 1) {
+      return fillTemplate(this.templates.repeat ?? '', values) || null;
+    }
+    return null;
+  }
+
+  clearAllMemories() {
+    clearMemoryStore().then(() => {
+      this.stats.clear();
+      console.log('All memories cleared');
+    }).catch(error => {
+      console.error('Failed to clear memories:', error);
+    });
+  }
+}
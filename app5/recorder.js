@@ -0,0 +1,514 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+import { Behavior } from './core/behavior.js';
+import { createRandom } from './core/random.js';
+import {
+  saveToIndexedDB,
+  loadAllDiaries,
+  clearDiaryStore,
+  deleteDiary,
+  createDiaryControls
+} from './diary.js';
+import { DiaryBrowser } from './diaryBrowser.js';
+import { exportDiaryArchive, importDiaryArchive, downloadBlob } from './diaryArchive.js';
+import { RecordingView, recordingConfigFromParams, pickMimeType, containerType, videoExtension } from './recording.js';
+import { DiaryQuota } from './diaryQuota.js';
+import { createHighlightReel } from './highlights.js';
+import { composeDiary } from './diaryComposer.js';
+import { describeEpisode, episodeText } from './memory.js';
+
+// Dialogue source (World option `dialogue`): the diary is composed from the day's episodes with diary_grammar.json
+export const diaryDialogue = {
+  diary: {
+    url: './diary_grammar.json',
+    pick: (grammar, request, random) => composeDiary(grammar, request.episodes ?? [], random) || null
+  }
+};
+
+// Timeline event stored with a diary entry (the type picks highlight clips)
+function episodeEvent(episode) {
+  return { time: episode.time, type: episode.type, text: episodeText(episode) };
+}
+
+// First-person view (inset + daily recording with a one-line diary), Character 1 by default
+export class RecorderBehavior extends Behavior {
+  // options: {
+  //   memory (MemoryBehavior): the diary is composed from the day's memories
+  //   recording: resolution, fps, codecs, bitrate, source and quota (see DEFAULT_RECORDING; URL parameters override)
+  // }
+  constructor(options = {}) {
+    super();
+    this.memory = options.memory ?? null;
+    this.recordingOptions = options.recording ?? {};
+    this.world = null;
+
+    // Set up from the URL parameters in setup()
+    this.config = null;
+    this.view = null; // RecordingView (avatar's eyes or fixed camera)
+    this.quota = null; // DiaryQuota
+    this.mimeType = null; // Chosen MediaRecorder type ('' = browser default, null = recording unavailable)
+
+    // Recording system
+    this.recordingCanvas = null;
+    this.recordingRenderer = null;
+    this.mediaRecorder = null;
+    this.recordedChunks = [];
+    this.isRecording = false;
+    this.currentDay = 0;
+    // Current recording: { time (virtual hours), at (ms), pausedAt (ms or null), pausedFor (ms),
+    // timeMap: [[seconds into the recording, virtual hours], ...] at speed changes and jumps, end (seconds) }
+    this.recordingStart = null;
+    this.thumbnail = null; // Poster of the current day (JPEG Blob), captured at noon
+    this.capturingThumbnail = false;
+    this.dailyDiaries = [];
+    this.random = null; // Own stream for the diary lines (picked after I/O, so kept apart from the simulation's)
+    this.diaryEntries = []; // Store all diary entries
+    this.diariesLoaded = null; // Promise of the first reloadDiaries() (currentDay is known once it resolves)
+    this.browser = null;
+    this.controls = null; // Buttons from createDiaryControls
+    this.makingHighlights = false;
+  }
+
+  setup(world) {
+    this.world = world;
+
+    this.config = recordingConfigFromParams(world.params, this.recordingOptions);
+    this.view = new RecordingView(this.config.source);
+    this.quota = new DiaryQuota(this.config.quota);
+
+    this.random = createRandom('diary');
+
+    // Load daily diary patterns
+    world.preload(fetch('./daily_diary.json')
+      .then(response => response.json())
+      .then(data => {
+        this.dailyDiaries = data;
+        console.log('Daily diary patterns loaded successfully');
+      })
+      .catch(error => {
+        console.error('Failed to load daily diary patterns:', error);
+        this.dailyDiaries = ['今日も良い一日だった']; // Fallback
+      }));
+
+    this.controls = createDiaryControls({
+      onExport: () => this.exportDiaries(),
+      onHighlights: () => this.createHighlights(),
+      onImport: (file) => {
+        // Merge by default; replacing throws the current history away
+        const replace = this.diaryEntries.length > 0 &&
+          window.confirm('Replace all existing diaries with the archive? (Cancel merges them)');
+        this.importDiaries(file, { mode: replace ? 'replace' : 'merge' });
+      }
+    });
+
+    this.browser = new DiaryBrowser({
+      onDelete: (day) => this.deleteDiary(day),
+      loadEvents: (entry) => this.loadEvents(entry.day),
+      saveThumbnail: (entry) => saveToIndexedDB(entry)
+    });
+
+    // Load existing diaries on startup
+    this.diariesLoaded = world.preload(this.reloadDiaries().then(entries => {
+      console.log(`Loaded ${entries.length} diary entries, starting at Day ${this.currentDay + 1}`);
+    }).catch(error => {
+      console.error('Failed to load diaries:', error);
+    }));
+
+    // Make diary management accessible globally
+    window.clearAllDiaries = () => this.clearAllDiaries();
+    window.exportDiaries = () => this.exportDiaries();
+    window.importDiaries = (file, options) => this.importDiaries(file, options);
+    window.deleteDiary = (day) => this.deleteDiary(day); // Stored day (shown as "Day day+1")
+    window.createHighlights = (options) => this.createHighlights(options);
+  }
+
+  // (Re)load all diaries from IndexedDB into the UI; the next recording continues after the last day
+  reloadDiaries() {
+    return loadAllDiaries().then(entries => {
+      this.diaryEntries = entries;
+      this.browser.setEntries(entries);
+      this.currentDay = entries.length > 0 ? Math.max(...entries.map(e => e.day)) + 1 : 0;
+      return entries;
+    });
+  }
+
+  onReady(world) {
+    // Initialize recording once models are ready
+    if (!this.recordingCanvas && world.gvrms.length > 0 && world.gvrms[0] && world.gvrms[0].isReady) {
+      this.initRecording();
+      this.startRecording();
+    }
+  }
+
+  onNewDay(world) {
+    // Stop current recording and save
+    if (this.isRecording) {
+      this.stopRecording();
+    }
+  }
+
+  // The video pauses with the simulation; speed changes and jumps are noted so events stay in sync with it
+  onTimeChange(world, change) {
+    if (!this.isRecording) return;
+    const start = this.recordingStart;
+
+    if (change.paused !== undefined) {
+      if (change.paused && start.pausedAt === null) {
+        this.mediaRecorder.pause();
+        start.pausedAt = Date.now();
+      } else if (!change.paused && start.pausedAt !== null) {
+        this.mediaRecorder.resume();
+        start.pausedFor += Date.now() - start.pausedAt;
+        start.pausedAt = null;
+      }
+    } else if (change.jump) {
+      const seconds = this.recordedSeconds();
+      start.timeMap.push([seconds, change.jump.from]);
+      if (!change.jump.nextDay) start.timeMap.push([seconds, change.jump.to]); // Otherwise the day ends here
+    } else {
+      start.timeMap.push([this.recordedSeconds(), world.virtualTime]);
+    }
+  }
+
+  // Seconds recorded so far (pauses excluded)
+  recordedSeconds() {
+    const start = this.recordingStart;
+    if (!start) return 0;
+    return ((start.pausedAt ?? Date.now()) - start.at - start.pausedFor) / 1000;
+  }
+
+  afterRender(world) {
+    const renderer = world.renderer;
+
+    // Render to bottom right viewport (above diary container)
+    const viewWidth = 240;
+    const viewHeight = 180;
+    const viewX = world.width - viewWidth - 20; // 20px from right edge
+    const viewY = 250; // 250px from bottom (above diary container)
+
+    if (this.view.update(world, viewWidth / viewHeight)) {
+      renderer.setViewport(viewX, viewY, viewWidth, viewHeight);
+      renderer.setScissor(viewX, viewY, viewWidth, viewHeight);
+      renderer.setScissorTest(true);
+      renderer.render(world.scene, this.view.camera);
+
+      // Restore full viewport for the main view
+      renderer.setScissorTest(false);
+      renderer.setViewport(0, 0, world.width, world.height);
+    }
+
+    // Render to recording canvas
+    if (this.recordingRenderer && this.isRecording && this.view.update(world, this.config.width / this.config.height)) {
+      this.recordingRenderer.render(world.scene, this.view.camera);
+
+      // Poster for the diary browser
+      if (!this.thumbnail && !this.capturingThumbnail && world.virtualTime >= 12) {
+        this.captureThumbnail();
+      }
+    }
+  }
+
+  // Initialize recording canvas and renderer
+  initRecording() {
+    const { width, height } = this.config;
+    const label = document.getElementById('character1-view-label');
+
+    this.mimeType = pickMimeType(this.config.mimeTypes);
+    if (this.mimeType === null) {
+      console.error('Recording unavailable: MediaRecorder is not supported by this browser');
+      if (label) label.textContent = `${this.view.label(this.world)} (not recording)`;
+      return;
+    }
+    if (label) label.textContent = this.view.label(this.world);
+    console.log(`Recording ${width}x${height} @ ${this.config.fps} fps as ${this.mimeType || 'browser default'}`);
+
+    this.recordingCanvas = document.createElement('canvas');
+    this.recordingCanvas.width = width;
+    this.recordingCanvas.height = height;
+
+    this.recordingRenderer = new THREE.WebGLRenderer({
+      canvas: this.recordingCanvas,
+      antialias: true,
+      preserveDrawingBuffer: true
+    });
+    this.recordingRenderer.setSize(width, height);
+  }
+
+  // Scaled-down copy of the recording canvas (the drawing buffer is preserved)
+  captureThumbnail() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 160;
+    canvas.height = Math.round(160 * this.config.height / this.config.width);
+    canvas.getContext('2d').drawImage(this.recordingCanvas, 0, 0, canvas.width, canvas.height);
+
+    this.capturingThumbnail = true;
+    canvas.toBlob(blob => {
+      this.thumbnail = blob;
+      this.capturingThumbnail = false;
+    }, 'image/jpeg', 0.7);
+  }
+
+  // Start recording
+  startRecording() {
+    if (!this.recordingCanvas || this.isRecording) return;
+
+    const stream = this.recordingCanvas.captureStream(this.config.fps);
+    const options = { videoBitsPerSecond: this.config.bitrate };
+    if (this.mimeType) options.mimeType = this.mimeType;
+
+    try {
+      this.mediaRecorder = new MediaRecorder(stream, options);
+    } catch (error) {
+      // Reported as supported but rejected: let the browser pick
+      console.warn(`MediaRecorder rejected ${this.mimeType}, using the browser default:`, error.message);
+      this.mimeType = '';
+      this.mediaRecorder = new MediaRecorder(stream, { videoBitsPerSecond: this.config.bitrate });
+    }
+
+    this.recordedChunks = [];
+
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        this.recordedChunks.push(event.data);
+      }
+    };
+
+    this.mediaRecorder.onstop = () => {
+      this.saveRecording();
+    };
+
+    this.mediaRecorder.onerror = (event) => {
+      console.error(`Recording failed for Day ${this.currentDay + 1}:`, event.error ?? event);
+    };
+
+    this.mediaRecorder.start();
+    this.isRecording = true;
+    const time = this.world.virtualTime;
+    this.recordingStart = { time, at: Date.now(), pausedAt: null, pausedFor: 0, timeMap: [[0, time]], end: null };
+    if (this.world.paused) {
+      this.mediaRecorder.pause();
+      this.recordingStart.pausedAt = this.recordingStart.at;
+    }
+    this.thumbnail = null;
+    console.log(`Recording started for Day ${this.currentDay + 1}`);
+  }
+
+  // Stop recording and save
+  stopRecording() {
+    if (this.mediaRecorder && this.isRecording) {
+      this.recordingStart.end = this.recordedSeconds();
+      this.mediaRecorder.stop();
+      this.isRecording = false;
+    }
+  }
+
+  // Save recording to IndexedDB
+  saveRecording() {
+    if (this.recordedChunks.length === 0) {
+      console.warn(`Day ${this.currentDay + 1}: nothing was recorded`);
+      this.currentDay++; // Keep day numbers in step with the memories
+      this.startRecording();
+      return;
+    }
+
+    const blob = new Blob(this.recordedChunks, { type: containerType(this.mediaRecorder.mimeType || this.mimeType) });
+    const day = this.currentDay;
+    const start = this.recordingStart ?? { time: 0, timeMap: [[0, 0]], end: 0 };
+    const duration = start.end ?? this.recordedSeconds();
+    const thumbnail = this.thumbnail;
+
+    const episodes = this.memory ? this.memory.query({ day }) : Promise.resolve([]);
+    episodes.catch(error => {
+      console.error('Failed to load memories:', error);
+      return [];
+    }).then(episodes => this.composeDiaryText(episodes).then(diary => {
+      const entry = {
+        day,
+        timestamp: Date.now(),
+        diary,
+        videoBlob: blob,
+        thumbnail,
+        // Virtual time span and real length of the recording (syncs the video with the events)
+        startTime: start.time,
+        endTime: 24,
+        timeMap: [...start.timeMap, [duration, 24]],
+        duration,
+        width: this.config.width,
+        height: this.config.height,
+        events: episodes.map(episodeEvent)
+      };
+
+      return this.storeEntry(entry);
+    })).then(entry => {
+      console.log(`Day ${day} recording saved`);
+      this.diaryEntries.unshift(entry); // Add to beginning (newest first)
+      this.browser.addEntry(entry);
+
+      // Shrink or drop old days in the background if storage is running out
+      this.enforceQuota();
+    }).catch(error => {
+      console.error(`Failed to save Day ${day + 1}:`, error);
+    }).finally(() => {
+      this.currentDay = Math.max(this.currentDay, day + 1);
+
+      // Start recording for next day
+      this.recordedChunks = [];
+      this.startRecording();
+    });
+  }
+
+  // Save to IndexedDB; when storage is full, evict old days and try once more
+  storeEntry(entry) {
+    const size = entry.videoBlob.size + (entry.thumbnail ? entry.thumbnail.size : 0);
+    return saveToIndexedDB(entry).catch(error => {
+      if (!error || error.name !== 'QuotaExceededError') throw error;
+      console.warn('Storage full, evicting old diary days');
+      return this.quota.enforce(size, { evictOnly: true })
+        .then(result => this.forgetDays(result.evicted))
+        .then(() => saveToIndexedDB(entry));
+    }).then(() => entry);
+  }
+
+  enforceQuota() {
+    return this.quota.enforce().then(result => {
+      if (result.downsampled.length > 0 || result.evicted.length > 0) {
+        console.log(`Diary storage: downsampled days [${result.downsampled.map(d => d + 1)}], evicted days [${result.evicted.map(d => d + 1)}]`);
+        return this.reloadDiaries();
+      }
+    }).catch(error => {
+      console.error('Failed to enforce diary storage quota:', error);
+    });
+  }
+
+  forgetDays(days) {
+    for (const day of days) {
+      this.diaryEntries = this.diaryEntries.filter(entry => entry.day !== day);
+      this.browser.removeEntry(day);
+    }
+  }
+
+  // Diary text from the day's memories (world.dialogue), or a random line when there is nothing to compose from
+  composeDiaryText(episodes) {
+    const randomDiary = () => this.dailyDiaries[Math.floor(this.random() * this.dailyDiaries.length)] || '今日も良い一日だった';
+
+    return this.world.generateLine(0, {
+      topic: 'diary',
+      episodes,
+      events: episodes.map(describeEpisode)
+    })
+      .then(diary => diary || randomDiary())
+      .catch(error => {
+        console.error('Failed to compose diary:', error);
+        return randomDiary();
+      });
+  }
+
+  // Timeline events of a day saved without them (older entries): from memory
+  loadEvents(day) {
+    if (!this.memory) return Promise.resolve([]);
+    return this.memory.query({ day }).then(episodes => {
+      return episodes.map(episodeEvent);
+    });
+  }
+
+  // Delete one day from IndexedDB and the browser (day numbers are not reused)
+  deleteDiary(day) {
+    return deleteDiary(day).then(() => {
+      this.diaryEntries = this.diaryEntries.filter(entry => entry.day !== day);
+      this.browser.removeEntry(day);
+      console.log(`Day ${day + 1} deleted`);
+    }).catch(error => {
+      console.error('Failed to delete diary:', error);
+    });
+  }
+
+  // Download all diaries as a zip (see diaryArchive.js)
+  exportDiaries() {
+    return exportDiaryArchive().then(blob => {
+      const date = new Date().toISOString().slice(0, 10);
+      downloadBlob(blob, `diary-${date}.zip`);
+      console.log(`Exported ${this.diaryEntries.length} diary entries`);
+      return blob;
+    }).catch(error => {
+      console.error('Failed to export diaries:', error);
+    });
+  }
+
+  // Import a diary zip; options: { mode: 'merge' | 'replace', conflict: 'append' | 'skip' | 'overwrite' }
+  importDiaries(file, options = {}) {
+    return importDiaryArchive(file, options).then(result => {
+      console.log(`Imported ${result.imported} diary entries` +
+        (result.shift ? ` (shifted by ${result.shift} days)` : '') +
+        (result.skipped ? `, skipped ${result.skipped}` : '') +
+        (result.overwritten ? `, overwrote ${result.overwritten}` : ''));
+      return this.reloadDiaries().then(() => result);
+    }).catch(error => {
+      console.error('Failed to import diaries:', error);
+    });
+  }
+
+  // Download a highlight reel of the days shown in the diary browser (see highlights.js).
+  // options: DEFAULT_HIGHLIGHTS overrides, plus fromDay/toDay (1-based, inclusive) instead of the browser's filter
+  createHighlights(options = {}) {
+    if (this.makingHighlights) {
+      console.warn('Highlights are already being made');
+      return Promise.resolve(null);
+    }
+
+    const { fromDay, toDay, ...reelOptions } = options;
+    const entries = fromDay !== undefined || toDay !== undefined
+      ? this.diaryEntries.filter(entry => entry.day + 1 >= (fromDay ?? 1) && entry.day + 1 <= (toDay ?? Infinity))
+      : this.browser.filtered;
+    if (entries.length === 0) {
+      console.warn('No diary days to make highlights from');
+      return Promise.resolve(null);
+    }
+
+    const button = this.controls ? this.controls.highlightsButton : null;
+    const setProgress = (fraction) => {
+      if (button) button.textContent = `Highlights ${Math.round(fraction * 100)}%`;
+    };
+    this.makingHighlights = true;
+    if (button) button.disabled = true;
+    setProgress(0);
+
+    const days = entries.map(entry => entry.day + 1);
+    const first = Math.min(...days);
+    const last = Math.max(...days);
+    console.log(`Making highlights of Day ${first}-${last}`);
+
+    return createHighlightReel(entries, {
+      width: this.config.width,
+      height: this.config.height,
+      mimeTypes: this.config.mimeTypes,
+      ...reelOptions
+    }, setProgress).then(blob => {
+      downloadBlob(blob, `highlights-day-${first}-${last}.${videoExtension(blob.type)}`);
+      console.log(`Highlights saved (${Math.ceil(blob.size / 1024)} KB)`);
+      return blob;
+    }).catch(error => {
+      console.error('Failed to make highlights:', error);
+      return null;
+    }).finally(() => {
+      this.makingHighlights = false;
+      if (button) {
+        button.disabled = false;
+        button.textContent = 'Highlights';
+      }
+    });
+  }
+
+  // Clear all diaries from IndexedDB and UI
+  clearAllDiaries() {
+    return clearDiaryStore().then(() => {
+      this.browser.setEntries([]);
+      // Reset state
+      this.diaryEntries = [];
+      this.currentDay = 0;
+      console.log('All diaries cleared');
+    });
+  }
+}
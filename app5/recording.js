@@ -0,0 +1,247 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+import { createCharacterCamera, updateCharacterCamera } from './characterView.js';
+
+// Container/codec candidates, best first (the first one MediaRecorder supports is used)
+export const DEFAULT_MIME_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+  'video/mp4;codecs=avc1',
+  'video/mp4'
+];
+
+// Recording configuration:
+//   width, height, fps, bitrate   output video
+//   mimeTypes                     codec candidates (see DEFAULT_MIME_TYPES)
+//   source                        { avatar: index } first-person view of an avatar, or
+//                                 { camera: { position: [x, y, z], target: [x, y, z], fov } } fixed camera
+//   quota                         storage limits for old days (see DiaryQuota)
+export const DEFAULT_RECORDING = {
+  width: 640,
+  height: 480,
+  fps: 10,
+  bitrate: 1000000, // 1 Mbps
+  mimeTypes: DEFAULT_MIME_TYPES,
+  source: { avatar: 0 },
+  quota: {}
+};
+
+function parseNumbers(value) {
+  return value.split(/[x,]/).map(Number);
+}
+
+// Defaults < options < URL parameters:
+//   ?recordSize=1280x720 &recordFps=15 &recordBitrate=2000000 &recordType=video/mp4
+//   &recordAvatar=2 (avatar index) or &recordCamera=x,y,z,tx,ty,tz (fixed camera looking at the target)
+export function recordingConfigFromParams(params, options = {}) {
+  const config = { ...DEFAULT_RECORDING, ...options, quota: { ...DEFAULT_RECORDING.quota, ...(options.quota ?? {}) } };
+  if (!params) return config;
+
+  if (params.has('recordSize')) {
+    const [width, height] = parseNumbers(params.get('recordSize'));
+    if (width > 0 && height > 0) {
+      config.width = width;
+      config.height = height;
+    }
+  }
+  if (params.has('recordFps')) config.fps = parseFloat(params.get('recordFps')) || config.fps;
+  if (params.has('recordBitrate')) config.bitrate = parseInt(params.get('recordBitrate')) || config.bitrate;
+  if (params.has('recordType')) config.mimeTypes = [params.get('recordType'), ...config.mimeTypes];
+
+  if (params.has('recordAvatar')) {
+    config.source = { avatar: parseInt(params.get('recordAvatar')) || 0 };
+  } else if (params.has('recordCamera')) {
+    const [x, y, z, tx = 0, ty = 1, tz = 0] = parseNumbers(params.get('recordCamera'));
+    if ([x, y, z].every(Number.isFinite)) {
+      config.source = { camera: { position: [x, y, z], target: [tx, ty, tz] } };
+    }
+  }
+  return config;
+}
+
+// First supported type, '' to let the browser choose, or null when MediaRecorder is unavailable
+export function pickMimeType(candidates = DEFAULT_MIME_TYPES) {
+  if (typeof MediaRecorder === 'undefined') return null;
+  for (const type of candidates) {
+    if (MediaRecorder.isTypeSupported(type)) return type;
+  }
+  return '';
+}
+
+// 'video/webm;codecs=vp9' -> 'video/webm'
+export function containerType(mimeType) {
+  return (mimeType || 'video/webm').split(';')[0];
+}
+
+export function videoExtension(type) {
+  return containerType(type) === 'video/mp4' ? 'mp4' : 'webm';
+}
+
+// Camera for the configured source: an avatar's eyes or a fixed camera
+export class RecordingView {
+  constructor(source = { avatar: 0 }) {
+    this.source = source;
+
+    if (source.camera) {
+      const { position, target = [0, 1, 0], fov = 60 } = source.camera;
+      this.camera = new THREE.PerspectiveCamera(fov, 1.0, 0.1, 100.0);
+      this.camera.position.fromArray(position);
+      this.camera.lookAt(new THREE.Vector3().fromArray(target));
+    } else {
+      this.camera = createCharacterCamera();
+    }
+  }
+
+  get avatarIndex() {
+    return this.source.camera ? null : (this.source.avatar ?? 0);
+  }
+
+  label(world) {
+    if (this.avatarIndex === null) return 'Fixed Camera';
+    return `${world.avatarName(this.avatarIndex) || `Character ${this.avatarIndex + 1}`} View`;
+  }
+
+  // Returns false while the source avatar is not ready
+  update(world, aspect) {
+    if (this.avatarIndex !== null) {
+      return updateCharacterCamera(this.camera, world, aspect, this.avatarIndex);
+    }
+
+    if (this.camera.aspect !== aspect) {
+      this.camera.aspect = aspect;
+      this.camera.updateProjectionMatrix();
+    }
+    this.camera.updateMatrixWorld();
+    return true;
+  }
+}
+
+// Re-encode a recording (smaller size/bitrate) by playing it through a canvas.
+// options: { width, height, fps, bitrate, mimeType, speed (playback rate), timeout (ms without progress) }
+export function transcodeVideo(blob, options) {
+  return new Promise((resolve, reject) => {
+    const mimeType = options.mimeType ?? pickMimeType();
+    if (mimeType === null) {
+      reject(new Error('MediaRecorder is not available'));
+      return;
+    }
+
+    const video = document.createElement('video');
+    const url = URL.createObjectURL(blob);
+    video.muted = true;
+    video.playsInline = true;
+    video.src = url;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = options.width;
+    canvas.height = options.height;
+    const context = canvas.getContext('2d');
+
+    const stream = canvas.captureStream(options.fps);
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType, videoBitsPerSecond: options.bitrate } : { videoBitsPerSecond: options.bitrate });
+    const chunks = [];
+    let lastProgress = Date.now();
+    let done = false;
+
+    const cleanup = () => {
+      done = true;
+      clearInterval(watchdog);
+      video.pause();
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+    };
+
+    // Give up if playback stalls
+    const watchdog = setInterval(() => {
+      if (Date.now() - lastProgress > (options.timeout ?? 10000)) {
+        cleanup();
+        if (recorder.state !== 'inactive') recorder.stop();
+        reject(new Error('Transcoding stalled'));
+      }
+    }, 1000);
+
+    const draw = () => {
+      if (done) return;
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      lastProgress = Date.now();
+      if (video.requestVideoFrameCallback) {
+        video.requestVideoFrameCallback(draw);
+      } else {
+        setTimeout(draw, 1000 / options.fps);
+      }
+    };
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      if (done) return; // Stalled
+      cleanup();
+      resolve(new Blob(chunks, { type: containerType(mimeType || recorder.mimeType) }));
+    };
+
+    video.addEventListener('ended', () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+    }, { once: true });
+    video.addEventListener('error', () => {
+      if (done) return; // Source removed by cleanup
+      cleanup();
+      reject(new Error('Failed to decode recording'));
+    }, { once: true });
+
+    video.playbackRate = options.speed ?? 1;
+    video.play().then(() => {
+      recorder.start();
+      draw();
+    }).catch(error => {
+      cleanup();
+      reject(error);
+    });
+  });
+}
+
+// Points [{ seconds, time }] of a recording: seconds into it and the virtual time then. Recordings store a
+// timeMap (speed changes and jumps of the time controls, pauses are not recorded); older ones ran at one speed
+// from startTime to endTime. Seconds are scaled to `duration` (the decoded length can differ from the stored one).
+function recordingPoints(entry, duration) {
+  const start = entry.startTime ?? 0;
+  const end = entry.endTime ?? 24;
+  const map = entry.timeMap;
+  if (!Array.isArray(map) || map.length < 2) {
+    return [{ seconds: 0, time: start }, { seconds: duration, time: end }];
+  }
+  const length = map[map.length - 1][0];
+  const scale = length > 0 ? duration / length : 0;
+  return map.map(([seconds, time]) => ({ seconds: seconds * scale, time }));
+}
+
+// Linear between the two points around `value` of `key`
+function interpolate(points, key, value, other) {
+  if (value <= points[0][key]) return points[0][other];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (value <= b[key]) {
+      if (b[key] === a[key]) return a[other];
+      return a[other] + (b[other] - a[other]) * (value - a[key]) / (b[key] - a[key]);
+    }
+  }
+  return points[points.length - 1][other];
+}
+
+// Virtual time shown at `seconds` into a day's recording `duration` seconds long
+export function virtualTimeAt(entry, seconds, duration) {
+  if (!(duration > 0)) return entry.startTime ?? 0;
+  return interpolate(recordingPoints(entry, duration), 'seconds', seconds, 'time');
+}
+
+// Virtual time (hours) -> seconds into a day's recording `duration` seconds long
+export function videoTimeAt(entry, time, duration) {
+  if (!(duration > 0)) return 0;
+  return Math.max(0, Math.min(duration, interpolate(recordingPoints(entry, duration), 'time', time, 'seconds')));
+}
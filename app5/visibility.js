@@ -0,0 +1,148 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+
+// Scratch objects reused for every test
+const _box = new THREE.Box3();
+const _proxyBox = new THREE.Box3();
+const _min = new THREE.Vector3();
+const _max = new THREE.Vector3();
+const _sample = new THREE.Vector3();
+const _projected = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _hit = new THREE.Vector3();
+const _hits = [];
+
+// Line-of-sight visibility from a camera.
+// Samples a grid of points on an object's bounding box, keeps the ones inside the view frustum
+// and casts a ray to each of them against the registered occluders. The score is the fraction
+// of sample points that can actually be seen (0 = hidden, 1 = fully visible).
+export class VisibilityTester {
+  // options: { samplesPerAxis, maxDistance }
+  constructor(options = {}) {
+    this.samplesPerAxis = options.samplesPerAxis ?? 3; // 3 -> 27 sample points per object
+    this.maxDistance = options.maxDistance ?? 15;
+    this.raycaster = new THREE.Raycaster();
+
+    // { object, box, proxy }:
+    //   static objects keep a precomputed box and are raycast against their meshes,
+    //   moving objects with a proxy ({ radius, height }) are tested as an upright box around their position
+    this.entries = [];
+  }
+
+  // Static object (house, tree, flower...): raycast against its meshes
+  addOccluder(object3D) {
+    if (this.find(object3D)) return;
+    object3D.updateMatrixWorld(true);
+    this.entries.push({ object: object3D, box: new THREE.Box3().setFromObject(object3D), proxy: null });
+  }
+
+  // Moving object (avatar): approximated by an upright box of the given radius and height
+  addProxyOccluder(object3D, radius = 0.3, height = 1.7) {
+    if (this.find(object3D)) return;
+    this.entries.push({ object: object3D, box: null, proxy: { radius, height } });
+  }
+
+  removeOccluder(object3D) {
+    const index = this.entries.findIndex((entry) => entry.object === object3D);
+    if (index >= 0) this.entries.splice(index, 1);
+  }
+
+  find(object3D) {
+    return this.entries.find((entry) => entry.object === object3D) ?? null;
+  }
+
+  // World bounding box of a registered (or any other) object
+  getBox(object3D, target) {
+    const entry = this.find(object3D);
+    if (entry) return this.entryBox(entry, target);
+    return target.setFromObject(object3D);
+  }
+
+  entryBox(entry, target) {
+    if (entry.proxy) {
+      const p = entry.object.position;
+      const { radius, height } = entry.proxy;
+      return target.set(
+        _min.set(p.x - radius, p.y, p.z - radius),
+        _max.set(p.x + radius, p.y + height, p.z + radius)
+      );
+    }
+    return target.copy(entry.box);
+  }
+
+  // Fraction (0..1) of the object's bounding box visible from the camera.
+  // `ignore` (e.g. the viewer's own avatar) never occludes.
+  score(camera, object3D, ignore = null) {
+    const box = this.getBox(object3D, _box);
+    if (box.isEmpty()) return 0;
+
+    const n = this.samplesPerAxis;
+    const origin = camera.position;
+    let visible = 0;
+    let total = 0;
+
+    for (let ix = 0; ix < n; ix++) {
+      for (let iy = 0; iy < n; iy++) {
+        for (let iz = 0; iz < n; iz++) {
+          total++;
+
+          // Sample point inside the box (inset so that points on the faces are not grazing)
+          const tx = n === 1 ? 0.5 : 0.05 + 0.9 * ix / (n - 1);
+          const ty = n === 1 ? 0.5 : 0.05 + 0.9 * iy / (n - 1);
+          const tz = n === 1 ? 0.5 : 0.05 + 0.9 * iz / (n - 1);
+          _sample.set(
+            box.min.x + (box.max.x - box.min.x) * tx,
+            box.min.y + (box.max.y - box.min.y) * ty,
+            box.min.z + (box.max.z - box.min.z) * tz
+          );
+
+          // Inside the view frustum?
+          _projected.copy(_sample).project(camera);
+          if (_projected.z < -1 || _projected.z > 1 || Math.abs(_projected.x) > 1 || Math.abs(_projected.y) > 1) {
+            continue;
+          }
+
+          const distance = _direction.subVectors(_sample, origin).length();
+          if (distance > this.maxDistance || distance < 1e-6) continue;
+          _direction.divideScalar(distance);
+
+          if (!this.isOccluded(origin, _direction, distance, object3D, ignore)) {
+            visible++;
+          }
+        }
+      }
+    }
+
+    return total > 0 ? visible / total : 0;
+  }
+
+  // Does anything (other than the target and `ignore`) block the ray before `distance`?
+  isOccluded(origin, direction, distance, target, ignore) {
+    const far = distance - 0.05;
+    this.raycaster.set(origin, direction);
+    this.raycaster.far = far;
+
+    for (const entry of this.entries) {
+      if (entry.object === target || entry.object === ignore) continue;
+
+      if (entry.proxy) {
+        this.entryBox(entry, _proxyBox);
+        if (this.raycaster.ray.intersectBox(_proxyBox, _hit) && _hit.distanceTo(origin) < far) {
+          return true;
+        }
+        continue;
+      }
+
+      // Cheap reject with the static box before testing meshes
+      if (!this.raycaster.ray.intersectsBox(entry.box)) continue;
+
+      _hits.length = 0;
+      this.raycaster.intersectObject(entry.object, true, _hits);
+      if (_hits.length > 0) return true;
+    }
+    return false;
+  }
+}
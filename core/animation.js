@@ -0,0 +1,145 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+
+const ASSET_DIR = '../assets/';
+
+// 'Chicken Dance' or '../assets/Chicken Dance.fbx' -> 'Chicken Dance'
+export function animationName(nameOrPath) {
+  return nameOrPath.split('/').pop().replace(/\.fbx$/i, '');
+}
+
+// 'Chicken Dance' or '../assets/Chicken Dance.fbx' -> '../assets/Chicken Dance.fbx'
+export function animationPath(nameOrPath) {
+  if (nameOrPath.includes('/') || /\.fbx$/i.test(nameOrPath)) return nameOrPath;
+  return ASSET_DIR + nameOrPath + '.fbx';
+}
+
+// Retargeted clips shared by avatars with the same skeleton: skeletonKey -> Map(name -> Promise<AnimationClip>)
+const clipCache = new Map();
+
+// Clips being loaded by any library (the deterministic World waits for them, see world.js)
+let pendingLoads = 0;
+
+export function loadingClips() {
+  return pendingLoads;
+}
+
+// Loads and retargets each FBX once per skeleton, keeps the actions on the character's mixer
+// and switches between them with crossfades (instead of calling gvrm.changeFBX on every switch).
+export class AnimationLibrary {
+  // skeletonKey: avatars sharing a key share retargeted clips (e.g. the .gvrm file path)
+  constructor(gvrm, skeletonKey = gvrm) {
+    this.gvrm = gvrm;
+    this.skeletonKey = skeletonKey;
+
+    if (!clipCache.has(skeletonKey)) {
+      clipCache.set(skeletonKey, new Map());
+    }
+    this.clips = clipCache.get(skeletonKey);
+
+    this.currentName = null;
+    this.playRequest = 0; // Only the latest play() call takes effect
+    this.defaultFade = 0.3; // Seconds
+    this.loadQueue = Promise.resolve(); // changeFBX swaps character.action, so loads run one at a time
+  }
+
+  has(nameOrPath) {
+    return this.clips.has(animationName(nameOrPath));
+  }
+
+  // Returns a promise of the retargeted clip (loaded on first use)
+  load(nameOrPath) {
+    const name = animationName(nameOrPath);
+    if (!this.clips.has(name)) {
+      const promise = this.loadQueue.then(() => this.loadClip(animationPath(nameOrPath)));
+      this.loadQueue = promise.catch(() => {});
+      this.clips.set(name, promise);
+
+      pendingLoads++;
+      const done = () => { pendingLoads--; };
+      promise.then(done, done);
+
+      // Allow retrying after a failed load
+      promise.catch(() => {
+        if (this.clips.get(name) === promise) this.clips.delete(name);
+      });
+    }
+    return this.clips.get(name);
+  }
+
+  preload(names) {
+    return Promise.all(names.map((name) => this.load(name)));
+  }
+
+  // Let GVRM fetch and retarget the FBX once, then keep playing whatever was playing before
+  async loadClip(path) {
+    const character = this.gvrm.character;
+    const previous = character.action;
+    const previousTime = previous ? previous.time : 0;
+
+    await this.gvrm.changeFBX(path);
+
+    const loaded = character.action;
+    const clip = loaded.getClip();
+
+    if (previous && previous !== loaded) {
+      loaded.stop();
+      const restored = character.mixer.clipAction(previous.getClip());
+      restored.enabled = true;
+      restored.setEffectiveWeight(1.0);
+      restored.play();
+      restored.time = previousTime;
+      character.action = restored;
+    }
+
+    return clip;
+  }
+
+  // Crossfade from the current action; options: { fade (seconds), loop (false = play once and hold) }
+  async play(nameOrPath, options = {}) {
+    const fade = options.fade ?? this.defaultFade;
+    const loop = options.loop ?? true;
+
+    const request = ++this.playRequest;
+    const clip = await this.load(nameOrPath);
+    if (request !== this.playRequest) return null; // Superseded while loading
+
+    const character = this.gvrm.character;
+    const mixer = character.mixer;
+    const action = mixer.clipAction(clip);
+    const previous = character.action;
+
+    // Already looping this clip: keep it going instead of restarting
+    if (previous === action && loop && action.loop === THREE.LoopRepeat && action.isRunning()) {
+      this.currentName = animationName(nameOrPath);
+      return action;
+    }
+
+    action.enabled = true;
+    action.setEffectiveWeight(1.0);
+    action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, loop ? Infinity : 1);
+    action.clampWhenFinished = !loop;
+    action.reset();
+    action.play();
+
+    if (previous && previous !== action) {
+      if (fade > 0 && previous.getMixer() === mixer) {
+        action.crossFadeFrom(previous, fade, true);
+      } else {
+        previous.stop();
+      }
+    }
+
+    // Keep GVRM's notion of the current action in sync
+    if (previous !== action) {
+      character.previousAction = previous;
+      character.action = action;
+    }
+    this.currentName = animationName(nameOrPath);
+
+    return action;
+  }
+}
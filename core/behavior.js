@@ -0,0 +1,37 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Base Behavior class
+// Each app registers its own logic on a World as one or more behaviors (world.use(behavior)).
+// All hooks are optional; override them in subclasses.
+export class Behavior {
+  // Called once before avatars start loading
+  setup(world) {}
+
+  // Called when an avatar has been placed and added to the roster (before its animations load)
+  onAvatarLoaded(world, gvrm, index, fileName) {}
+
+  // Called once when all avatars are loaded and animated
+  onReady(world) {}
+
+  // Called when the virtual clock wraps around to a new day
+  onNewDay(world) {}
+
+  // Called when the time controls change: { paused }, { speed } or { jump: { from, to, nextDay } }
+  // (a jump into the next day is followed by onNewDay)
+  onTimeChange(world, change) {}
+
+  // Called when world.weather changes type: { from, to } ('clear', 'rain', ...; see weather.js)
+  onWeatherChange(world, change) {}
+
+  // Called every simulation step (world.delta seconds, world.clock.delta virtual hours) before walkers are updated
+  update(world) {}
+
+  // Called every frame after the main view has been rendered
+  afterRender(world) {}
+
+  // Optional snapshot support (see snapshot.js), keyed by the class name:
+  //   saveState(world)            returns JSON-serialisable state (undefined: nothing to save)
+  //   restoreState(world, state)  called right after onReady when the world was restored from a snapshot
+}
@@ -0,0 +1,106 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Time system (accelerated time, 24 hours in 1 real minute)
+export class VirtualClock {
+  constructor(startTime = 8, timeSpeed = 24 / 60) {
+    this.time = startTime; // In hours, 0-24
+    this.timeSpeed = timeSpeed; // 60 real seconds = 24 virtual hours, so 1 second = 0.4 hours = 24 minutes
+    this.day = 0; // Number of completed days
+    this.delta = 0; // Virtual hours of the last tick
+  }
+
+  get hour() {
+    return Math.floor(this.time);
+  }
+
+  // Advance by `seconds` of simulated time. Returns true when a full day has passed (24 -> 0 wrap-around)
+  tick(seconds) {
+    this.delta = this.timeSpeed * seconds; // timeSpeed is virtual hours per second
+    this.time += this.delta;
+
+    if (this.time >= 24) {
+      this.time -= 24; // Wrap around to 0 after 24 hours
+      this.day++;
+      return true;
+    }
+    return false;
+  }
+
+  // Skip forward to `hour` (0-24), into the next day when it is earlier than now. Returns true when a day has passed
+  jumpTo(hour) {
+    hour = ((hour % 24) + 24) % 24;
+    const nextDay = hour < this.time;
+    this.time = hour;
+    if (nextDay) this.day++;
+    return nextDay;
+  }
+}
+
+// Fixed-timestep simulation time, decoupled from requestAnimationFrame.
+// Behaviors, walkers and the virtual clock advance in steps of `step` seconds (their speeds and durations
+// are per second, so the step size is free); advance() turns the real time since the previous frame into
+// a number of steps, so the simulation runs at the same pace at any frame rate.
+// `speed` scales simulated seconds per real second (time controls); while `paused` no steps are taken.
+export class SimulationClock {
+  constructor(step = 1 / 60, maxSteps = 4) {
+    this.step = step; // Seconds per step
+    this.maxSteps = maxSteps; // Per frame at speed 1, so a long frame (or a hidden tab) doesn't snowball
+    this.speed = 1;
+    this.paused = false;
+    this.frame = 0; // Steps taken
+    this.accumulator = 0;
+    this.lastTime = null;
+    this.timers = []; // [{ frame, callback }], due first
+  }
+
+  // Simulated seconds
+  get time() {
+    return this.frame * this.step;
+  }
+
+  // Number of steps to take for a frame drawn at `now` (ms, as passed by requestAnimationFrame)
+  advance(now) {
+    if (this.lastTime === null) this.lastTime = now;
+    const seconds = (now - this.lastTime) / 1000;
+    this.lastTime = now;
+    return this.stepsFor(seconds);
+  }
+
+  // Number of steps to take for a frame `seconds` of real time long, at the current speed
+  stepsFor(seconds) {
+    if (this.paused) return 0;
+
+    this.accumulator += seconds * this.speed;
+    const steps = Math.floor(this.accumulator / this.step + 1e-9);
+    this.accumulator = Math.max(0, this.accumulator - steps * this.step);
+
+    const maxSteps = Math.ceil(this.maxSteps * Math.max(1, this.speed));
+    if (steps > maxSteps) {
+      this.accumulator = 0; // Drop the backlog instead of catching up
+      return maxSteps;
+    }
+    return steps;
+  }
+
+  // Take one step and run the timers that are due
+  tick() {
+    this.frame++;
+    while (this.timers.length > 0 && this.timers[0].frame <= this.frame) {
+      this.timers.shift().callback();
+    }
+  }
+
+  // Call back after `seconds` of simulated time (setTimeout on the simulation). Returns a timer for cancel().
+  after(seconds, callback) {
+    const timer = { frame: this.frame + Math.max(1, Math.round(seconds / this.step)), callback };
+    const index = this.timers.findIndex(other => other.frame > timer.frame);
+    this.timers.splice(index === -1 ? this.timers.length : index, 0, timer);
+    return timer;
+  }
+
+  cancel(timer) {
+    this.timers = this.timers.filter(other => other !== timer);
+  }
+}
@@ -0,0 +1,300 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { formatTimeHM } from './ui.js';
+import { createRandom } from './random.js';
+
+// Pluggable text generation for speech and diaries.
+//
+// request = {
+//   topic,           // 'hourly', 'gag', 'detection', 'animation', 'diary', ...
+//   key,             // Lookup key for JSON sources (hour, object name, animation name)
+//   speaker,         // Display name of the speaking avatar
+//   timeOfDay,       // Virtual hours (0-24)
+//   weather,         // 'clear', 'cloudy', 'rain', 'snow' or 'fog' (undefined without weather)
+//   visibleObjects,  // Names of things the speaker can see
+//   timeline,        // Recent timeline entries ['08:15 ...', ...], oldest first
+//   ...              // Topic-specific fields (e.g. memory, episodes)
+// }
+// generate(request) resolves to a line of text, or null when there is nothing to say.
+export class DialogueProvider {
+  async generate(request) {
+    return null;
+  }
+
+  // A line like generate() would give, without using it up (e.g. an example for a language model)
+  async peek(request) {
+    return this.generate(request);
+  }
+
+  // Resolves once everything generate() needs is loaded (World.preload waits for it in seeded runs)
+  preload() {
+    return Promise.resolve();
+  }
+
+  // JSON-serialisable state for world snapshots (e.g. which lines were already used)
+  saveState() {
+    return null;
+  }
+
+  restoreState(state) {}
+}
+
+// Default provider: lines from the apps' static JSON files.
+// sources: { topic: url | { url, pick(data, request, random), unique } }
+//   Without pick, arrays give a random line and objects are looked up by request.key
+//   (the value may be a line or an array of lines). unique cycles through an array without repeats.
+//   Each topic draws from its own random stream, so lines asked for after some I/O (e.g. diaries) don't
+//   shift the choices of the simulation.
+export class JsonDialogueProvider extends DialogueProvider {
+  constructor(sources = {}) {
+    super();
+    this.sources = {};
+    for (const [topic, source] of Object.entries(sources)) {
+      this.sources[topic] = typeof source === 'string' ? { url: source } : { ...source };
+    }
+    this.data = {}; // topic -> Promise of parsed JSON
+    this.used = {}; // topic -> Set of used indices (unique sources)
+    this.randoms = {}; // topic -> random stream (see random.js)
+  }
+
+  preload() {
+    return Promise.all(Object.keys(this.sources).map(topic => this.load(topic)));
+  }
+
+  random(topic) {
+    if (!this.randoms[topic]) this.randoms[topic] = createRandom(`dialogue/${topic}`);
+    return this.randoms[topic];
+  }
+
+  load(topic) {
+    const source = this.sources[topic];
+    if (!source) return Promise.resolve(null);
+
+    if (!this.data[topic]) {
+      this.data[topic] = source.data !== undefined
+        ? Promise.resolve(source.data)
+        : fetch(source.url)
+          .then(response => response.json())
+          .catch(error => {
+            console.error(`Failed to load ${source.url}:`, error);
+            return null;
+          });
+    }
+    return this.data[topic];
+  }
+
+  generate(request) {
+    return this.line(request, true);
+  }
+
+  peek(request) {
+    return this.line(request, false);
+  }
+
+  // `use`: mark the line of a unique source as used
+  async line(request, use) {
+    const source = this.sources[request.topic];
+    if (!source) return null;
+
+    const data = await this.load(request.topic);
+    if (data === null || data === undefined) return null;
+
+    if (source.pick) return source.pick(data, request, this.random(request.topic)) ?? null;
+    return this.pick(request.topic, data, request.key, source.unique, use);
+  }
+
+  saveState() {
+    const used = {};
+    for (const [key, indices] of Object.entries(this.used)) {
+      used[key] = [...indices];
+    }
+    return { used };
+  }
+
+  restoreState(state) {
+    if (!state || !state.used) return;
+    for (const [key, indices] of Object.entries(state.used)) {
+      this.used[key] = new Set(indices);
+    }
+  }
+
+  pick(topic, data, key, unique, use = true) {
+    let lines = data;
+    if (!Array.isArray(data)) {
+      lines = key === undefined ? null : data[String(key)];
+    }
+    if (typeof lines === 'string') return lines;
+    if (!Array.isArray(lines) || lines.length === 0) return null;
+
+    const random = this.random(topic);
+    if (!unique) {
+      return lines[Math.floor(random() * lines.length)];
+    }
+
+    // Cycle through all lines before repeating
+    const usedKey = key === undefined ? topic : `${topic}:${key}`;
+    let used = this.used[usedKey];
+    if (!used || used.size >= lines.length) {
+      used = new Set();
+      if (use) this.used[usedKey] = used;
+    }
+    const available = [];
+    for (let i = 0; i < lines.length; i++) {
+      if (!used.has(i)) available.push(i);
+    }
+    const index = available[Math.floor(random() * available.length)];
+    if (use) used.add(index);
+    return lines[index];
+  }
+}
+
+// What each topic asks the model for
+const TOPIC_INSTRUCTIONS = {
+  hourly: 'Say something casual about the current time of day.',
+  gag: 'Tell a short, silly joke.',
+  detection: 'React to what you just noticed.',
+  weather: 'React to the change in the weather.',
+  animation: 'Comment on the move you are doing right now.',
+  diary: 'Write a short diary entry (2-4 sentences) about today, based on the events.'
+};
+
+// OpenAI-compatible chat completions endpoint (e.g. a local llama.cpp server).
+// Falls back to another provider on timeouts, errors and empty replies.
+export class HttpDialogueProvider extends DialogueProvider {
+  // options: { endpoint, model, apiKey, timeout (ms), retryAfter (ms), maxTokens, temperature, fallback }
+  constructor(options = {}) {
+    super();
+    this.endpoint = options.endpoint ?? 'http://localhost:8080/v1/chat/completions';
+    this.model = options.model ?? 'local';
+    this.apiKey = options.apiKey ?? null;
+    this.timeout = options.timeout ?? 5000;
+    this.retryAfter = options.retryAfter ?? 30000; // Skip the endpoint for a while after a failure
+    this.maxTokens = options.maxTokens ?? 80;
+    this.temperature = options.temperature ?? 0.8;
+    this.fallback = options.fallback ?? null;
+
+    this.unavailableUntil = 0;
+  }
+
+  async generate(request) {
+    // A fallback line doubles as a style example for the model (peeked, so unique lines are not used up)
+    const example = this.fallback ? await this.fallback.peek(request) : null;
+
+    if (Date.now() >= this.unavailableUntil) {
+      try {
+        const text = await this.complete(request, example);
+        if (text) return text;
+      } catch (error) {
+        console.warn(`Dialogue endpoint failed (${error.name === 'AbortError' ? 'timeout' : error.message}), using fallback`);
+        this.unavailableUntil = Date.now() + this.retryAfter;
+      }
+    }
+
+    return this.fallback ? this.fallback.generate(request) : null;
+  }
+
+  preload() {
+    return this.fallback ? this.fallback.preload() : Promise.resolve();
+  }
+
+  saveState() {
+    return this.fallback ? this.fallback.saveState() : null;
+  }
+
+  restoreState(state) {
+    if (this.fallback) this.fallback.restoreState(state);
+  }
+
+  async complete(request, example) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.model,
+          messages: this.buildMessages(request, example),
+          max_tokens: request.topic === 'diary' ? this.maxTokens * 3 : this.maxTokens,
+          temperature: this.temperature
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+      return cleanReply(content);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  buildMessages(request, example) {
+    const speaker = request.speaker || 'アバター';
+    const system = [
+      `You are ${speaker}, an avatar living in a small virtual town.`,
+      'Reply in Japanese, in character, with only the words you say or write (no quotes, no explanations).',
+      request.topic === 'diary' ? 'Keep it under 120 characters.' : 'Keep it to one short line under 40 characters.'
+    ].join(' ');
+
+    const lines = [];
+    lines.push(TOPIC_INSTRUCTIONS[request.topic] ?? `Topic: ${request.topic}`);
+    if (request.timeOfDay !== undefined) lines.push(`Time: ${formatTimeHM(request.timeOfDay)}`);
+    if (request.weather) lines.push(`Weather: ${request.weather}`);
+    if (request.key !== undefined) lines.push(`Subject: ${request.key}`);
+    if (request.visibleObjects && request.visibleObjects.length > 0) {
+      lines.push(`You can see: ${request.visibleObjects.join(', ')}`);
+    }
+    if (request.memory) lines.push(`You remember: ${request.memory}`);
+    if (request.events && request.events.length > 0) {
+      lines.push('Events:');
+      request.events.forEach(event => lines.push(`- ${event}`));
+    }
+    if (request.timeline && request.timeline.length > 0) {
+      lines.push('Recent timeline:');
+      request.timeline.forEach(entry => lines.push(`- ${entry}`));
+    }
+    if (example) lines.push(`Example of your style: ${example}`);
+
+    return [
+      { role: 'system', content: system },
+      { role: 'user', content: lines.join('\n') }
+    ];
+  }
+}
+
+// Strip quotes and thinking/markup some local models add
+function cleanReply(content) {
+  if (typeof content !== 'string') return null;
+  const text = content
+    .replace(/<think>[\s\S]*?<\/think>/g, '')
+    .trim()
+    .replace(/^["'「『]+|["'」』]+$/g, '')
+    .trim();
+  return text || null;
+}
+
+// JSON provider by default; ?llm=<chat completions URL> switches to the HTTP provider
+// (with ?llmModel=, ?llmTimeout= in ms), falling back to the JSON lines.
+export function createDialogueProvider(params, sources = {}) {
+  const json = new JsonDialogueProvider(sources);
+  if (!params || !params.has('llm')) return json;
+
+  const endpoint = params.get('llm') || undefined;
+  return new HttpDialogueProvider({
+    endpoint,
+    model: params.get('llmModel') || undefined,
+    timeout: parseInt(params.get('llmTimeout')) || undefined,
+    fallback: json
+  });
+}
@@ -0,0 +1,382 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+
+// Minimal binary heap keyed by f-score (used as the A* open set)
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.scores = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, score) {
+    this.items.push(item);
+    this.scores.push(score);
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.scores[parent] <= this.scores[i]) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const lastItem = this.items.pop();
+    const lastScore = this.scores.pop();
+    if (this.items.length > 0) {
+      this.items[0] = lastItem;
+      this.scores[0] = lastScore;
+      let i = 0;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.items.length && this.scores[left] < this.scores[smallest]) smallest = left;
+        if (right < this.items.length && this.scores[right] < this.scores[smallest]) smallest = right;
+        if (smallest === i) break;
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    [this.scores[a], this.scores[b]] = [this.scores[b], this.scores[a]];
+  }
+}
+
+// Navigation grid on the XZ plane, built from registered obstacles
+export class NavGrid {
+  // options: { boundary, cellSize }
+  constructor(options = {}) {
+    this.boundary = options.boundary ?? 11.25;
+    this.cellSize = options.cellSize ?? 0.5;
+
+    this.min = -this.boundary;
+    this.cols = Math.ceil((this.boundary * 2) / this.cellSize);
+    this.rows = this.cols;
+    this.blocked = new Uint8Array(this.cols * this.rows);
+
+    this.obstacles = []; // { object, box, padding }
+  }
+
+  // Mark the footprint (XZ bounding box + padding) of an object as blocked
+  addObstacle(object3D, padding = 0.4) {
+    object3D.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(object3D);
+    this.obstacles.push({ object: object3D, box, padding });
+    this.markBox(box.min.x - padding, box.min.z - padding, box.max.x + padding, box.max.z + padding);
+    return box;
+  }
+
+  markBox(minX, minZ, maxX, maxZ) {
+    for (let row = 0; row < this.rows; row++) {
+      const z = this.cellCenter(row);
+      if (z < minZ || z > maxZ) continue;
+      for (let col = 0; col < this.cols; col++) {
+        const x = this.cellCenter(col);
+        if (x >= minX && x <= maxX) {
+          this.blocked[row * this.cols + col] = 1;
+        }
+      }
+    }
+  }
+
+  cellCenter(i) {
+    return this.min + (i + 0.5) * this.cellSize;
+  }
+
+  toCell(v) {
+    return Math.max(0, Math.min(this.cols - 1, Math.floor((v - this.min) / this.cellSize)));
+  }
+
+  inBounds(x, z) {
+    return Math.abs(x) < this.boundary && Math.abs(z) < this.boundary;
+  }
+
+  isBlockedCell(col, row) {
+    return this.blocked[row * this.cols + col] === 1;
+  }
+
+  isWalkable(x, z) {
+    if (!this.inBounds(x, z)) return false;
+    return !this.isBlockedCell(this.toCell(x), this.toCell(z));
+  }
+
+  // Nearest walkable cell to a point (breadth-first over rings), as { col, row }
+  nearestWalkableCell(x, z) {
+    const col0 = this.toCell(x);
+    const row0 = this.toCell(z);
+    if (!this.isBlockedCell(col0, row0)) return { col: col0, row: row0 };
+
+    const maxRadius = Math.max(this.cols, this.rows);
+    for (let r = 1; r < maxRadius; r++) {
+      let best = null;
+      let bestDist = Infinity;
+      for (let dr = -r; dr <= r; dr++) {
+        for (let dc = -r; dc <= r; dc++) {
+          if (Math.abs(dr) !== r && Math.abs(dc) !== r) continue; // Ring only
+          const col = col0 + dc;
+          const row = row0 + dr;
+          if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) continue;
+          if (this.isBlockedCell(col, row)) continue;
+          const dx = this.cellCenter(col) - x;
+          const dz = this.cellCenter(row) - z;
+          const dist = dx * dx + dz * dz;
+          if (dist < bestDist) {
+            bestDist = dist;
+            best = { col, row };
+          }
+        }
+      }
+      if (best) return best;
+    }
+    return null;
+  }
+
+  // Nearest walkable point to (x, z); returns the point itself if already walkable
+  nearestWalkablePoint(x, z) {
+    if (this.isWalkable(x, z)) return { x, z };
+    const cell = this.nearestWalkableCell(x, z);
+    if (!cell) return null;
+    return { x: this.cellCenter(cell.col), z: this.cellCenter(cell.row) };
+  }
+
+  // Random walkable point within range (|x|, |z| < range)
+  randomWalkablePoint(range, random = Math.random) {
+    for (let attempt = 0; attempt < 30; attempt++) {
+      const x = (random() - 0.5) * 2 * range;
+      const z = (random() - 0.5) * 2 * range;
+      if (this.isWalkable(x, z)) return { x, z };
+    }
+    return this.nearestWalkablePoint((random() - 0.5) * 2 * range, (random() - 0.5) * 2 * range);
+  }
+
+  // True if the straight segment between two points only crosses walkable cells
+  hasLineOfSight(x0, z0, x1, z1) {
+    const dx = x1 - x0;
+    const dz = z1 - z0;
+    const length = Math.sqrt(dx * dx + dz * dz);
+    const steps = Math.ceil(length / (this.cellSize * 0.5));
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      if (this.isBlockedCell(this.toCell(x0 + dx * t), this.toCell(z0 + dz * t))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // A* over the 8-connected grid (no corner cutting). Returns smoothed waypoints [{ x, z }, ...]
+  // ending at the goal, or null if unreachable. The start point itself is not included.
+  findPath(fromX, fromZ, toX, toZ) {
+    const start = this.nearestWalkableCell(fromX, fromZ);
+    const goal = this.nearestWalkableCell(toX, toZ);
+    if (!start || !goal) return null;
+
+    const goalPoint = this.isWalkable(toX, toZ)
+      ? { x: toX, z: toZ }
+      : { x: this.cellCenter(goal.col), z: this.cellCenter(goal.row) };
+
+    // Direct route when nothing is in the way
+    if (this.hasLineOfSight(fromX, fromZ, goalPoint.x, goalPoint.z)) {
+      return [goalPoint];
+    }
+
+    const cols = this.cols;
+    const startId = start.row * cols + start.col;
+    const goalId = goal.row * cols + goal.col;
+    const gScore = new Float32Array(cols * this.rows).fill(Infinity);
+    const cameFrom = new Int32Array(cols * this.rows).fill(-1);
+    const closed = new Uint8Array(cols * this.rows);
+    const heuristic = (col, row) => {
+      const dc = Math.abs(col - goal.col);
+      const dr = Math.abs(row - goal.row);
+      return (dc + dr) + (Math.SQRT2 - 2) * Math.min(dc, dr); // Octile distance
+    };
+
+    const open = new MinHeap();
+    gScore[startId] = 0;
+    open.push(startId, heuristic(start.col, start.row));
+
+    let found = false;
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === goalId) {
+        found = true;
+        break;
+      }
+      if (closed[current]) continue;
+      closed[current] = 1;
+
+      const col = current % cols;
+      const row = (current - col) / cols;
+
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          if (dr === 0 && dc === 0) continue;
+          const ncol = col + dc;
+          const nrow = row + dr;
+          if (ncol < 0 || nrow < 0 || ncol >= cols || nrow >= this.rows) continue;
+          if (this.isBlockedCell(ncol, nrow)) continue;
+          // Prevent cutting corners around obstacles
+          if (dc !== 0 && dr !== 0 && (this.isBlockedCell(col + dc, row) || this.isBlockedCell(col, row + dr))) continue;
+
+          const neighbor = nrow * cols + ncol;
+          if (closed[neighbor]) continue;
+          const tentative = gScore[current] + (dc !== 0 && dr !== 0 ? Math.SQRT2 : 1);
+          if (tentative < gScore[neighbor]) {
+            gScore[neighbor] = tentative;
+            cameFrom[neighbor] = current;
+            open.push(neighbor, tentative + heuristic(ncol, nrow));
+          }
+        }
+      }
+    }
+
+    if (!found) return null;
+
+    // Reconstruct cell path (goal -> start)
+    const cells = [];
+    for (let id = goalId; id !== -1; id = cameFrom[id]) {
+      const col = id % cols;
+      cells.push({ x: this.cellCenter(col), z: this.cellCenter((id - col) / cols) });
+    }
+    cells.reverse();
+    cells[cells.length - 1] = goalPoint;
+
+    return this.smoothPath(fromX, fromZ, cells);
+  }
+
+  // String pulling: skip waypoints that are directly visible from the previous kept point
+  smoothPath(fromX, fromZ, cells) {
+    const waypoints = [];
+    let anchorX = fromX;
+    let anchorZ = fromZ;
+    let i = 0;
+    while (i < cells.length) {
+      let next = cells.length - 1;
+      while (next > i && !this.hasLineOfSight(anchorX, anchorZ, cells[next].x, cells[next].z)) {
+        next--;
+      }
+      waypoints.push(cells[next]);
+      anchorX = cells[next].x;
+      anchorZ = cells[next].z;
+      i = next + 1;
+    }
+    return waypoints;
+  }
+}
+
+// Debug overlay: blocked cells of a NavGrid and the current path of each walker
+export class NavDebugOverlay {
+  constructor(scene, navGrid, maxPathPoints = 64) {
+    this.navGrid = navGrid;
+    this.maxPathPoints = maxPathPoints;
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    scene.add(this.group);
+
+    this.gridLines = null;
+    this.obstacleCount = -1;
+    this.pathLines = [];
+  }
+
+  get visible() {
+    return this.group.visible;
+  }
+
+  set visible(value) {
+    this.group.visible = value;
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+  }
+
+  // Rebuild blocked-cell outlines (only when obstacles changed)
+  rebuildGrid() {
+    const grid = this.navGrid;
+    if (this.gridLines) {
+      this.group.remove(this.gridLines);
+      this.gridLines.geometry.dispose();
+      this.gridLines.material.dispose();
+    }
+
+    const half = grid.cellSize * 0.45;
+    const y = 0.03;
+    const positions = [];
+    for (let row = 0; row < grid.rows; row++) {
+      for (let col = 0; col < grid.cols; col++) {
+        if (!grid.isBlockedCell(col, row)) continue;
+        const x = grid.cellCenter(col);
+        const z = grid.cellCenter(row);
+        positions.push(
+          x - half, y, z - half, x + half, y, z - half,
+          x + half, y, z - half, x + half, y, z + half,
+          x + half, y, z + half, x - half, y, z + half,
+          x - half, y, z + half, x - half, y, z - half
+        );
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    this.gridLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xff4444 }));
+    this.group.add(this.gridLines);
+    this.obstacleCount = grid.obstacles.length;
+  }
+
+  getPathLine(index) {
+    if (!this.pathLines[index]) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.maxPathPoints * 3), 3));
+      const color = new THREE.Color().setHSL((index * 0.17) % 1, 0.9, 0.6);
+      const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color }));
+      line.frustumCulled = false;
+      this.group.add(line);
+      this.pathLines[index] = line;
+    }
+    return this.pathLines[index];
+  }
+
+  update(walkers) {
+    if (!this.visible) return;
+
+    if (this.obstacleCount !== this.navGrid.obstacles.length) {
+      this.rebuildGrid();
+    }
+
+    walkers.forEach((walker, index) => {
+      const line = this.getPathLine(index);
+      const positions = line.geometry.attributes.position;
+      const character = walker.gvrm && walker.gvrm.character && walker.gvrm.character.currentVrm
+        ? walker.gvrm.character.currentVrm.scene
+        : null;
+
+      if (!character || !walker.path || walker.pathIndex >= walker.path.length) {
+        line.geometry.setDrawRange(0, 0);
+        return;
+      }
+
+      // Current position followed by the remaining waypoints
+      let count = 0;
+      positions.setXYZ(count++, character.position.x, 0.05, character.position.z);
+      for (let i = walker.pathIndex; i < walker.path.length && count < this.maxPathPoints; i++) {
+        positions.setXYZ(count++, walker.path[i].x, 0.05, walker.path[i].z);
+      }
+      positions.needsUpdate = true;
+      line.geometry.setDrawRange(0, count);
+    });
+  }
+}
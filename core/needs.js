@@ -0,0 +1,333 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { Behavior } from './behavior.js';
+import { random as sharedRandom } from './random.js';
+
+// A number, a random number in [min, max], or a random element of a list of strings
+function pick(value, random = sharedRandom) {
+  if (Array.isArray(value)) {
+    if (typeof value[0] === 'string') return value[Math.floor(random() * value.length)];
+    const [min, max] = value;
+    return min + random() * (max - min);
+  }
+  return value;
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+// Needs run from 0 (desperate) to 1 (satisfied) and decay by `decay` per virtual hour
+export const defaultNeeds = {
+  energy: { decay: 0.03, initial: [0.6, 1] },
+  social: { decay: 0.08, initial: [0.3, 1] },
+  fun: { decay: 0.06, initial: [0.3, 1] },
+  curiosity: { decay: 0.1, initial: [0.3, 1] }
+};
+
+// What a villager can do. The goal with the highest score (plus a little noise) is chosen whenever a stop ends.
+//   score(needs, situation)   utility; situation: { timeOfDay, night, weather, shelter (e.g. raining) }
+//   at          'here', 'home' (in front of the center house), 'someone' (the nearest villager who is up)
+//               or 'anywhere' (the walker's own walk/stop loop, including its special animations)
+//   animation   clip (or list of clips to pick from) looped while there
+//   duration    seconds (or [min, max]) to stay; without one, until `until(situation)` holds
+//   urgent      interrupts walking and activities as soon as it scores highest
+//   effects     change of each need per virtual hour while doing it (on top of the decay)
+//   decay       factor on the decay while doing it (default 1)
+export const defaultGoals = {
+  sleep: {
+    score: (needs, situation) => situation.night ? 2 : 0,
+    at: 'home',
+    animation: 'Idle',
+    until: (situation) => !situation.night,
+    urgent: true,
+    effects: { energy: 0.12 },
+    decay: 0.2 // Nobody gets lonely or bored in their sleep
+  },
+  shelter: {
+    score: (needs, situation) => situation.shelter ? 1.5 : 0,
+    at: 'home',
+    animation: ['Idle', 'Shrugging'],
+    until: (situation) => !situation.shelter,
+    urgent: true
+  },
+  rest: {
+    score: (needs) => 1 - needs.energy,
+    at: 'here',
+    animation: 'Breathing',
+    duration: [4, 8],
+    effects: { energy: 0.3 }
+  },
+  socialize: {
+    score: (needs) => 1 - needs.social,
+    at: 'someone',
+    animation: ['Acknowledging', 'Happy Idle', 'Listening'],
+    duration: [3, 6],
+    effects: { social: 0.5, fun: 0.05 }
+  },
+  dance: {
+    score: (needs) => (1 - needs.fun) * Math.min(1, needs.energy * 2), // Too tired to dance
+    at: 'here',
+    animation: ['Chicken Dance', 'Gangnam Style'],
+    duration: [4, 8],
+    effects: { fun: 0.5, energy: -0.05 }
+  },
+  explore: {
+    score: (needs) => 0.3 + 0.7 * (1 - needs.curiosity),
+    at: 'anywhere',
+    effects: { curiosity: 0.3 }
+  }
+};
+
+// For walkers without needs: wander, and take shelter at the center house in the rain
+export const shelterGoals = {
+  shelter: defaultGoals.shelter,
+  wander: { score: () => 0.5, at: 'anywhere' }
+};
+
+export class Needs {
+  constructor(config = defaultNeeds, random = sharedRandom) {
+    this.config = config;
+    this.values = {};
+    for (const [name, need] of Object.entries(config)) {
+      this.values[name] = clamp01(pick(need.initial ?? 1, random));
+    }
+  }
+
+  // Decay over `hours` (scaled by `decay`), plus `effects` (change per hour) of what the villager is doing
+  update(hours, effects = {}, decay = 1) {
+    for (const [name, need] of Object.entries(this.config)) {
+      const change = (effects[name] ?? 0) - need.decay * decay;
+      this.values[name] = clamp01(this.values[name] + change * hours);
+    }
+  }
+
+  toString() {
+    return Object.entries(this.values).map(([name, value]) => `${name} ${value.toFixed(2)}`).join(' ');
+  }
+}
+
+// Utility AI of one walker: keeps its needs and picks the goal that serves them best
+export class VillagerMind {
+  // options: { needs, goals, home: { x, z } or null, others: () => [walker], noise }
+  constructor(walker, options = {}) {
+    this.walker = walker;
+    this.random = walker.random ?? sharedRandom;
+    this.needs = new Needs(options.needs ?? defaultNeeds, this.random);
+    this.goals = options.goals ?? defaultGoals;
+    this.home = options.home ?? null;
+    this.others = options.others ?? (() => []);
+    this.noise = options.noise ?? 0.15;
+
+    this.goal = null; // Name of the current goal
+    this.situation = { timeOfDay: 8, night: false, weather: 'clear', shelter: false };
+    this.enabled = true; // False while another mind (e.g. a ScheduleMind) is in charge; needs keep changing
+  }
+
+  // Goal names, best first
+  rank(noise = this.noise) {
+    const scores = new Map();
+    for (const [name, goal] of Object.entries(this.goals)) {
+      if (goal.at === 'home' && !this.home) continue;
+      scores.set(name, goal.score(this.needs.values, this.situation) + this.random() * noise);
+    }
+    return [...scores.keys()].sort((a, b) => scores.get(b) - scores.get(a));
+  }
+
+  // Called by the walker when a stop ends. Returns false to let it wander on.
+  decide(walker) {
+    for (const name of this.rank()) {
+      if (this.pursue(walker, name)) {
+        if (name !== this.goal) {
+          walker.log(`Walker ${walker.index}: ${name} (${this.needs})`);
+        }
+        this.goal = name;
+        return this.goals[name].at !== 'anywhere';
+      }
+    }
+    return false;
+  }
+
+  // Start towards the goal. Returns false when it cannot be pursued right now.
+  pursue(walker, name) {
+    const goal = this.goals[name];
+    const activity = () => walker.startActivity({
+      name,
+      animation: pick(goal.animation, this.random) ?? 'Idle',
+      duration: goal.duration ? pick(goal.duration, this.random) : Infinity
+    });
+
+    switch (goal.at) {
+      case 'anywhere':
+        return true;
+
+      case 'here':
+        return activity();
+
+      case 'home': {
+        // Line up in front of the door, one spot per walker
+        const x = this.home.x + ((walker.index % 5) - 2) * 0.8;
+        const z = this.home.z + Math.floor(walker.index / 5) * 0.8;
+        walker.setGoalTarget(x, z, () => {
+          walker.targetRotation = Math.PI - this.characterRotation0(walker); // Face the house
+          activity();
+        });
+        return true;
+      }
+
+      case 'someone': {
+        const other = this.nearestAwake(walker);
+        if (!other) return false;
+        const position = this.position(walker);
+        const target = this.position(other);
+        const dx = position.x - target.x;
+        const dz = position.z - target.z;
+        const distance = Math.hypot(dx, dz) || 1;
+
+        // Stop an arm's length away and face them
+        walker.setGoalTarget(target.x + dx / distance, target.z + dz / distance, () => {
+          const now = this.position(other);
+          const here = this.position(walker);
+          walker.targetRotation = Math.atan2(now.x - here.x, now.z - here.z) - this.characterRotation0(walker);
+          activity();
+        });
+        return true;
+      }
+
+      default:
+        console.warn(`VillagerMind: unknown goal location "${goal.at}"`);
+        return false;
+    }
+  }
+
+  // Advance the needs by `hours` of virtual time and react to the time of day
+  update(hours, situation) {
+    this.situation = situation;
+    const walker = this.walker;
+
+    // Needs are served while at the goal (or while wandering, for 'anywhere' goals)
+    const goal = this.goals[this.goal];
+    const serving = goal && (walker.currentActivity === this.goal || (goal.at === 'anywhere' && walker.state.is('locomotion')));
+    this.needs.update(hours, serving ? goal.effects : {}, serving ? goal.decay ?? 1 : 1);
+
+    if (!this.enabled) return;
+
+    if (goal && goal.until && walker.currentActivity === this.goal && goal.until(situation)) {
+      walker.stopActivity();
+    }
+
+    // Urgent goals (going home at night) do not wait for the current stop to end
+    const best = this.rank(0)[0];
+    if (best !== this.goal && this.goals[best].urgent && (walker.state.is('locomotion') || walker.state.is('activity'))) {
+      if (this.pursue(walker, best)) {
+        walker.log(`Walker ${walker.index}: ${best} (${this.needs})`);
+        this.goal = best;
+      }
+    }
+  }
+
+  nearestAwake(walker) {
+    const position = this.position(walker);
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const other of this.others()) {
+      if (other === walker || !other.gvrm || !other.gvrm.isReady || !other.animationsLoaded) continue;
+      if (other.mind && other.mind.goal === 'sleep') continue;
+      const target = this.position(other);
+      const distance = Math.hypot(target.x - position.x, target.z - position.z);
+      if (distance < nearestDistance) {
+        nearest = other;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  saveState() {
+    return { goal: this.goal, needs: { ...this.needs.values } };
+  }
+
+  restoreState(state) {
+    this.goal = state.goal ?? null;
+    Object.assign(this.needs.values, state.needs);
+  }
+
+  // The walk to the goal was lost (restored from a snapshot): pursue it again, urgent or not
+  forgetGoal() {
+    this.goal = null;
+  }
+
+  toString() {
+    return `${this.goal ?? '-'}: ${this.needs}`;
+  }
+
+  position(walker) {
+    return walker.gvrm.character.currentVrm.scene.position;
+  }
+
+  characterRotation0(walker) {
+    return walker.gvrm.character.currentVrm.scene.rotation0.y;
+  }
+}
+
+// Gives every walker a VillagerMind: needs (energy, social, fun, curiosity) decay over virtual time
+// and decide whether it wanders, rests, dances, seeks others or goes home for the night (or out of the rain).
+// With { needs: {}, goals: shelterGoals } walkers only wander and take shelter.
+export class NeedsBehavior extends Behavior {
+  // options: { needs, goals, bedtime, wakeTime (virtual hours), noise }
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.bedtime = options.bedtime ?? 20;
+    this.wakeTime = options.wakeTime ?? 6;
+    this.lastTime = null;
+    this.minds = [];
+  }
+
+  onAvatarLoaded(world, gvrm, index) {
+    const walker = world.walkers[index];
+    if (!walker) return;
+
+    // In front of the center house's door, clear of its roof
+    const house = world.centerHouse;
+    const home = house ? { x: house.position.x, z: house.position.z + 5.5 } : null;
+
+    const mind = new VillagerMind(walker, {
+      needs: this.options.needs,
+      goals: this.options.goals,
+      noise: this.options.noise,
+      home,
+      others: () => world.walkers
+    });
+    walker.mind = mind;
+    this.minds.push(mind);
+  }
+
+  isNight(time) {
+    return this.bedtime > this.wakeTime
+      ? time >= this.bedtime || time < this.wakeTime
+      : time >= this.bedtime && time < this.wakeTime;
+  }
+
+  update(world) {
+    const time = world.virtualTime;
+    const hours = this.lastTime === null ? 0 : (time - this.lastTime + 24) % 24;
+    this.lastTime = time;
+
+    const weather = world.weather;
+    const situation = {
+      timeOfDay: time,
+      night: this.isNight(time),
+      weather: weather ? weather.current : 'clear',
+      shelter: weather ? weather.shelter : false
+    };
+    for (const mind of this.minds) {
+      if (mind.walker.animationsLoaded) {
+        mind.update(hours, situation);
+      }
+    }
+  }
+}
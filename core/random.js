@@ -0,0 +1,40 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Randomness of everything avatars decide (where to walk, what to do, who meets whom, what they say).
+// Without a seed it is Math.random(). With one (?seed=, see World) it comes from seedrandom, so two runs
+// with the same seed make the same choices. Purely visual noise (e.g. the particle floor) keeps Math.random().
+let currentSeed = null;
+let generator = Math.random;
+
+// null goes back to Math.random()
+export function setSeed(seed) {
+  currentSeed = seed === null || seed === undefined ? null : String(seed);
+  generator = currentSeed === null ? Math.random : new Math.seedrandom(currentSeed);
+}
+
+export function getSeed() {
+  return currentSeed;
+}
+
+// [0, 1) from the shared stream (world-level decisions taken in simulation order)
+export function random() {
+  return generator();
+}
+
+// A stream of its own (e.g. one per walker), so its draws don't depend on the order in which avatars
+// load or act. Streams with the same name and seed repeat each other.
+export function createRandom(name) {
+  if (currentSeed === null) return Math.random;
+  return new Math.seedrandom(`${currentSeed}/${name}`);
+}
+
+// Integer in [0, n)
+export function randomInt(n, rng = random) {
+  return Math.floor(rng() * n);
+}
+
+export function randomItem(items, rng = random) {
+  return items[randomInt(items.length, rng)];
+}
@@ -86,8 +86,8 @@ export function createSky(scene) {
   return sky;
 }
 
-// Update sky based on time (0-24 hours)
-export function updateSky(sky, timeOfDay) {
+// Update sky based on time (0-24 hours), overcast by weather.clouds (0..1, see weather.js) when given
+export function updateSky(sky, timeOfDay, weather = null) {
   const sky_uniforms = sky.material.uniforms;
 
   // Time periods:
@@ -123,9 +123,14 @@ export function updateSky(sky, timeOfDay) {
     rayleigh = 0.5;
   }
 
+  // Clouds wash the sky out to a hazy grey
+  const clouds = weather ? weather.clouds : 0;
+  turbidity = THREE.MathUtils.lerp(turbidity, 20, clouds);
+  rayleigh = THREE.MathUtils.lerp(rayleigh, 0.05, clouds);
+
   sky_uniforms['turbidity'].value = turbidity;
   sky_uniforms['rayleigh'].value = rayleigh;
-  sky_uniforms['mieCoefficient'].value = 0.005;
+  sky_uniforms['mieCoefficient'].value = THREE.MathUtils.lerp(0.005, 0.05, clouds);
   sky_uniforms['mieDirectionalG'].value = 0.8;
 
   let sun = new THREE.Vector3();
@@ -453,6 +458,60 @@ export function createParticleFloor(scene) {
 }
 
 
+// Create a tree (trunk + foliage)
+export function createTree(scene, x, z) {
+  const tree = new THREE.Group();
+
+  // Trunk
+  const trunkGeometry = new THREE.CylinderGeometry(0.2, 0.25, 2, 8);
+  const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 }); // Brown
+  const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
+  trunk.position.y = 1;
+  tree.add(trunk);
+
+  // Foliage (leaves)
+  const foliageGeometry = new THREE.SphereGeometry(1.2, 8, 8);
+  const foliageMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 }); // Forest green
+  const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
+  foliage.position.y = 2.5;
+  tree.add(foliage);
+
+  tree.position.set(x, 0, z);
+  scene.add(tree);
+  return tree;
+}
+
+// Create a flower (stem + petals + center)
+export function createFlower(scene, x, z) {
+  const flower = new THREE.Group();
+
+  // Stem
+  const stemGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.8, 8);
+  const stemMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 }); // Green
+  const stem = new THREE.Mesh(stemGeometry, stemMaterial);
+  stem.position.y = 0.4;
+  flower.add(stem);
+
+  // Flower head (petals)
+  const petalGeometry = new THREE.SphereGeometry(0.3, 8, 8);
+  const petalMaterial = new THREE.MeshStandardMaterial({ color: 0xFF69B4 }); // Hot pink
+  const petals = new THREE.Mesh(petalGeometry, petalMaterial);
+  petals.position.y = 0.8;
+  petals.scale.set(1, 0.5, 1); // Flatten a bit
+  flower.add(petals);
+
+  // Center of flower
+  const centerGeometry = new THREE.SphereGeometry(0.1, 8, 8);
+  const centerMaterial = new THREE.MeshStandardMaterial({ color: 0xFFFF00 }); // Yellow
+  const center = new THREE.Mesh(centerGeometry, centerMaterial);
+  center.position.y = 0.9;
+  flower.add(center);
+
+  flower.position.set(x, 0, z);
+  scene.add(flower);
+  return flower;
+}
+
 // temp (add houses)
 function createHouse(myrng, ox, oz, scale = 50) {
   const randomColor = Math.floor(myrng() * 16777215);
@@ -475,29 +534,36 @@ function createHouse(myrng, ox, oz, scale = 50) {
 export function createHouses(scene) {
   // Math.random() -> myrng()
   var myrng = new Math.seedrandom('Hello!');
+  const houses = [];
   for (let i = 0; i < 10; i++) {
     const house = createHouse(myrng, 0, 0);
     scene.add(house);
+    houses.push(house);
     // dragControls.getObjects().push(house);
   }
   for (let i = 0; i < 5; i++) {
     const house = createHouse(myrng, -100, -100);
     scene.add(house);
+    houses.push(house);
     // dragControls.getObjects().push(house);
   }
   for (let i = 0; i < 5; i++) {
     const house = createHouse(myrng, -100, 100);
     scene.add(house);
+    houses.push(house);
     // dragControls.getObjects().push(house);
   }
   for (let i = 0; i < 5; i++) {
     const house = createHouse(myrng, 100, -100);
     scene.add(house);
+    houses.push(house);
     // dragControls.getObjects().push(house);
   }
   for (let i = 0; i < 5; i++) {
     const house = createHouse(myrng, 100, 100);
     scene.add(house);
+    houses.push(house);
     // dragControls.getObjects().push(house);
   }
+  return houses;
 }
@@ -0,0 +1,211 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { Behavior } from './behavior.js';
+
+// '07:30' -> 7.5
+export function parseTime(text) {
+  const [hours, minutes = 0] = String(text).split(':').map(Number);
+  return hours + minutes / 60;
+}
+
+// Daily routine of one walker, run against the virtual clock.
+// blocks: [{ time: '07:00', label, place, activity }] (any order). Each block lasts until the next one starts,
+// the last one until the first one of the next day.
+//   place      name in `places` ({ x, z, radius, lookAt: { x, z } }); without one, wherever the walker is
+//   activity   clip (or list of clips to pick from) looped at the walker's spot in the place,
+//              'wander' to walk around inside the place,
+//              'free' to leave the walker to its fallback mind (needs) or its usual wandering
+export class ScheduleMind {
+  // options: { places, fallback (mind used in 'free' blocks) }
+  constructor(walker, blocks, options = {}) {
+    this.walker = walker;
+    this.places = options.places ?? {};
+    this.fallback = options.fallback ?? null;
+
+    this.blocks = blocks
+      .map(block => ({ ...block, hour: parseTime(block.time) }))
+      .filter(block => {
+        if (Number.isNaN(block.hour)) {
+          console.warn('Skipping schedule block without a valid time:', block);
+          return false;
+        }
+        if (block.place && !this.places[block.place]) {
+          console.warn(`Schedule block at ${block.time} has unknown place "${block.place}"`);
+        }
+        return true;
+      })
+      .sort((a, b) => a.hour - b.hour);
+
+    this.block = null; // Current block
+  }
+
+  // The block running at `time` (0-24)
+  blockAt(time) {
+    let current = this.blocks[this.blocks.length - 1] ?? null; // Still yesterday's last block
+    for (const block of this.blocks) {
+      if (block.hour <= time) current = block;
+    }
+    return current;
+  }
+
+  get goal() {
+    if (!this.block) return this.fallback ? this.fallback.goal : null;
+    if (this.block.activity === 'free' && this.fallback) return this.fallback.goal;
+    return this.block.label ?? this.block.activity;
+  }
+
+  // Switch blocks as the clock passes their start times. While `shelter` (bad weather) the fallback mind,
+  // which takes shelter, is in charge whatever the block; the block starts over when it clears up.
+  update(time, shelter = false) {
+    if (shelter && this.fallback) {
+      if (this.block) {
+        this.block = null;
+        this.fallback.enabled = true;
+        this.walker.log(`Walker ${this.walker.index}: schedule paused by the weather`);
+      }
+      return;
+    }
+
+    const block = this.blockAt(time);
+    if (!block || block === this.block) return;
+
+    this.block = block;
+    const free = block.activity === 'free';
+    if (this.fallback) this.fallback.enabled = free;
+    this.walker.log(`Walker ${this.walker.index}: ${block.time} ${block.label ?? block.activity}${block.place ? ` at ${block.place}` : ''}`);
+
+    // Leave right away, unless something that cannot be interrupted (special, interaction) is playing.
+    // 'free' blocks start with a stop.
+    const walker = this.walker;
+    if (walker.state.is('locomotion') || walker.state.is('activity')) {
+      walker.clearGoalTarget();
+      walker.state.transition('idle');
+      if (!free) this.pursue(walker, block);
+    }
+  }
+
+  // Called by the walker when a stop ends. Returns false to let it wander on.
+  decide(walker) {
+    if (!this.block || this.block.activity === 'free') {
+      return this.fallback ? this.fallback.decide(walker) : false;
+    }
+    return this.pursue(walker, this.block);
+  }
+
+  pursue(walker, block) {
+    const place = this.places[block.place] ?? null;
+
+    if (block.activity === 'wander') {
+      if (!place) return false;
+      const angle = walker.random() * Math.PI * 2;
+      const radius = Math.sqrt(walker.random()) * (place.radius ?? 0);
+      walker.setGoalTarget(place.x + Math.sin(angle) * radius, place.z + Math.cos(angle) * radius, null);
+      return true;
+    }
+
+    const clips = Array.isArray(block.activity) ? block.activity : [block.activity ?? 'Idle'];
+    const activity = () => walker.startActivity({
+      name: block.label ?? 'schedule',
+      animation: clips[Math.floor(walker.random() * clips.length)],
+      duration: Infinity // Until the next block
+    });
+    if (!place) return activity();
+
+    // Everyone gets their own spot around the place (golden angle spiral), facing its center or lookAt
+    const angle = walker.index * 2.4;
+    const radius = (place.radius ?? 0) * Math.sqrt((walker.index % 8 + 0.5) / 8);
+    const x = place.x + Math.sin(angle) * radius;
+    const z = place.z + Math.cos(angle) * radius;
+    const look = place.lookAt ?? place;
+
+    walker.setGoalTarget(x, z, () => {
+      if (this.block !== block) return; // Too late, the next block has started
+      const character = walker.gvrm.character.currentVrm.scene;
+      if (Math.hypot(look.x - x, look.z - z) > 0.01) {
+        walker.targetRotation = Math.atan2(look.x - x, look.z - z) - character.rotation0.y;
+      }
+      activity();
+    });
+    return true;
+  }
+
+  saveState() {
+    return {
+      block: this.block ? this.block.time : null,
+      fallback: this.fallback && this.fallback.saveState ? this.fallback.saveState() : null
+    };
+  }
+
+  // The walk to the goal was lost: a block is pursued again when the stop ends, 'free' is up to the fallback
+  forgetGoal() {
+    if (this.fallback && this.fallback.forgetGoal && (!this.block || this.block.activity === 'free')) {
+      this.fallback.forgetGoal();
+    }
+  }
+
+  // Carry on with the saved block instead of starting it over
+  restoreState(state) {
+    this.block = this.blocks.find(block => block.time === state.block) ?? null;
+    if (this.fallback) {
+      this.fallback.enabled = !this.block || this.block.activity === 'free';
+      if (state.fallback && this.fallback.restoreState) this.fallback.restoreState(state.fallback);
+    }
+  }
+
+  toString() {
+    if (!this.block) return this.fallback ? `${this.fallback}` : '-';
+    const free = this.block.activity === 'free' && this.fallback ? ` / ${this.fallback}` : '';
+    return `${this.block.time} ${this.block.label ?? this.block.activity}${free}`;
+  }
+}
+
+// Gives each walker the daily schedule of its .gvrm file (or the 'default' one) from a JSON file:
+// { places: { name: { x, z, radius, lookAt } }, schedules: { 'sample1.gvrm': [blocks], default: [blocks] } }
+// Register after NeedsBehavior to fall back to the needs in 'free' blocks.
+export class ScheduleBehavior extends Behavior {
+  // options: { schedules: URL of the JSON (default './schedules.json') or the object itself }
+  constructor(options = {}) {
+    super();
+    this.source = options.schedules ?? './schedules.json';
+    this.data = { places: {}, schedules: {} };
+    this.minds = [];
+    this.ready = null;
+  }
+
+  setup(world) {
+    const loading = typeof this.source === 'string'
+      ? fetch(this.source).then(response => response.json())
+      : Promise.resolve(this.source);
+
+    this.ready = world.preload(loading.then(data => {
+      this.data = { places: data.places ?? {}, schedules: data.schedules ?? {} };
+      console.log(`Loaded schedules for ${Object.keys(this.data.schedules).length} avatars`);
+    }).catch(error => {
+      console.error('Failed to load schedules:', error);
+    }));
+  }
+
+  onAvatarLoaded(world, gvrm, index, fileName) {
+    const walker = world.walkers[index];
+    if (!walker) return;
+
+    this.ready.then(() => {
+      const blocks = this.data.schedules[fileName] ?? this.data.schedules.default;
+      if (!blocks || blocks.length === 0) return;
+
+      const mind = new ScheduleMind(walker, blocks, { places: this.data.places, fallback: walker.mind });
+      walker.mind = mind;
+      this.minds.push(mind);
+    });
+  }
+
+  update(world) {
+    for (const mind of this.minds) {
+      if (mind.walker.animationsLoaded) {
+        mind.update(world.virtualTime, world.weather ? world.weather.shelter : false);
+      }
+    }
+  }
+}
@@ -0,0 +1,37 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// One fixed step of the simulation, shared by World (world.js) and the headless test harness (test/harness.js).
+// `world` provides simulation, clock, delta, emit(), weather and steering (both may be null), gvrms and walkers.
+export function stepWorld(world) {
+  world.simulation.tick();
+
+  // Update virtual time, notify behaviors when a full day has passed
+  if (world.clock.tick(world.delta)) {
+    world.emit('onNewDay');
+  }
+  updateWeather(world);
+
+  world.emit('update');
+
+  if (world.steering) world.steering.update(world.walkers);
+
+  for (let i = 0; i < world.gvrms.length; i++) {
+    const gvrm = world.gvrms[i];
+    // Update Walker (skip if in interaction)
+    if (gvrm && gvrm.isReady && world.walkers[i] && !world.walkers[i].inInteraction) {
+      world.walkers[i].update(world.delta);
+    }
+  }
+}
+
+// Weather follows the clock; behaviors hear about changes through onWeatherChange
+export function updateWeather(world) {
+  if (!world.weather) return;
+  const change = world.weather.update(world.clock.day, world.virtualTime);
+  if (change) {
+    console.log(`Weather: ${change.from} -> ${change.to}`);
+    world.emit('onWeatherChange', change);
+  }
+}
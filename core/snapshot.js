@@ -0,0 +1,104 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Serialisable snapshots of a World, saved to localStorage or downloaded as JSON and restored on load.
+//
+// snapshot = {
+//   version, savedAt (ISO), app (page path),
+//   clock: { time, day },
+//   weather: Weather state (plan of the day) or null,
+//   timeline: ['08:15 ...', ...],     // Recent entries (dialogue context)
+//   dialogue: { used: { topic: [indices] } },
+//   avatars: [{ file, position: [x, y, z], rotation, animation, walker }],
+//   behaviors: { BehaviorClassName: state }
+// }
+export const SNAPSHOT_VERSION = 2; // 2: walker timers in seconds
+
+// localStorage key of an app's snapshot (one per page)
+export function snapshotKey(pathname = window.location.pathname) {
+  return `world-snapshot:${pathname}`;
+}
+
+export function captureSnapshot(world) {
+  const avatars = world.gvrms.map((gvrm, index) => {
+    const scene = gvrm.character.currentVrm.scene;
+    const walker = world.walkers[index];
+    return {
+      file: world.gvrmFiles[index],
+      position: [scene.position.x, scene.position.y, scene.position.z],
+      rotation: scene.rotation.y,
+      animation: world.animations[index] ? world.animations[index].currentName : null,
+      walker: walker ? walker.saveState() : null
+    };
+  });
+
+  const behaviors = {};
+  for (const behavior of world.behaviors) {
+    if (!behavior.saveState) continue;
+    const state = behavior.saveState(world);
+    if (state !== undefined) behaviors[behavior.constructor.name] = state;
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    app: window.location.pathname,
+    clock: { time: world.clock.time, day: world.clock.day },
+    weather: world.weather ? world.weather.saveState() : null,
+    timeline: world.timeline.slice(),
+    dialogue: world.dialogue.saveState ? world.dialogue.saveState() : null,
+    avatars,
+    behaviors
+  };
+}
+
+// Resolves to a snapshot or null. source: 'local' (localStorage) or a URL of a downloaded snapshot
+export async function readSnapshot(source, key = snapshotKey()) {
+  try {
+    let snapshot;
+    if (!source || source === 'local') {
+      snapshot = JSON.parse(localStorage.getItem(key) ?? 'null');
+    } else {
+      const response = await fetch(source);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      snapshot = await response.json();
+    }
+
+    if (!snapshot) {
+      console.warn('No saved world to restore');
+      return null;
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.avatars)) {
+      console.warn(`Ignoring world snapshot with unsupported version ${snapshot.version}`);
+      return null;
+    }
+    return snapshot;
+  } catch (error) {
+    console.error('Failed to read world snapshot:', error);
+    return null;
+  }
+}
+
+// Returns true when saved
+export function writeSnapshot(snapshot, key = snapshotKey()) {
+  try {
+    localStorage.setItem(key, JSON.stringify(snapshot));
+    return true;
+  } catch (error) {
+    console.error('Failed to save world snapshot:', error);
+    return false;
+  }
+}
+
+export function downloadSnapshot(snapshot, fileName = 'world.json') {
+  const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
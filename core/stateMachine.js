@@ -0,0 +1,200 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Declarative hierarchical state machine driving an avatar's animations.
+//
+// definition = {
+//   initial: 'locomotion',
+//   states: {
+//     locomotion: { initial: 'idle' },                       // Composite state (has children)
+//     idle: { parent: 'locomotion', animation: 'Idle' },      // Leaf state
+//     special: {
+//       animation: (context, data) => data.path,             // Clip name/path, or a function returning one
+//       loop: false,                                          // Play once and hold the last frame
+//       blend: 0.5,                                           // Crossfade seconds when entering (default 0.3)
+//       onEnter(context, data) {}, onExit(context) {},
+//       onPlay(context, action, data) {}                      // Called once the clip has started
+//       onError(context, error, data) {}                      // The clip failed to load, or another play()
+//                                                             // on the library took over (error null)
+//     }
+//   },
+//   transitions: [
+//     { from: 'locomotion', to: 'special', guard: (context, data) => true, blend: 0.2 },
+//     { from: '*', to: 'idle' }                               // '*' = from any state
+//   ]
+// }
+//
+// A transition matches when its `from` is the current state or one of its ancestors.
+// Entering a composite state descends into its `initial` child.
+export class StateMachine {
+  // options: { animations (AnimationLibrary), context (passed to hooks), now (time source for history), historySize }
+  constructor(definition, options = {}) {
+    this.definition = definition;
+    this.states = definition.states;
+    this.transitions = definition.transitions ?? [];
+
+    this.animations = options.animations ?? null;
+    this.context = options.context ?? null;
+    this.now = options.now ?? (() => performance.now() / 1000);
+    this.historySize = options.historySize ?? 20;
+
+    this.current = null; // Current leaf state name
+    this.history = []; // [{ from, to, time }], newest last
+    this.listeners = []; // (from, to, data) => {} after each transition
+    this.playRequest = 0;
+
+    for (const [name, state] of Object.entries(this.states)) {
+      if (state.parent && !this.states[state.parent]) {
+        throw new Error(`StateMachine: state "${name}" has unknown parent "${state.parent}"`);
+      }
+    }
+  }
+
+  // Enter the initial state
+  start(data) {
+    this.current = null;
+    this.enter(this.ancestry(null), this.definition.initial, data, undefined);
+    this.record(null, this.current);
+  }
+
+  get state() {
+    return this.current;
+  }
+
+  // 'interaction/acting'
+  get path() {
+    return this.ancestry(this.current).join('/');
+  }
+
+  // True if the current state is `name` or inside it
+  is(name) {
+    let state = this.current;
+    while (state) {
+      if (state === name) return true;
+      state = this.states[state].parent;
+    }
+    return false;
+  }
+
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  can(to, data) {
+    return this.findTransition(to, data) !== null;
+  }
+
+  // Returns true if the transition happened
+  transition(to, data) {
+    if (!this.states[to]) {
+      console.warn(`StateMachine: unknown state "${to}"`);
+      return false;
+    }
+    if (this.current === null) return false; // Not started
+    if (this.is(to)) return false; // Already there
+
+    const transition = this.findTransition(to, data);
+    if (!transition) return false;
+
+    const from = this.current;
+    const target = this.ancestry(to);
+    const source = this.ancestry(from);
+
+    // Lowest common ancestor
+    let common = 0;
+    while (common < target.length && common < source.length && target[common] === source[common]) {
+      common++;
+    }
+
+    // Exit from the leaf up to (not including) the common ancestor
+    for (let i = source.length - 1; i >= common; i--) {
+      const state = this.states[source[i]];
+      if (state.onExit) state.onExit(this.context, data);
+    }
+
+    this.enter(target.slice(0, common), to, data, transition.blend);
+    this.record(from, this.current);
+    for (const listener of this.listeners) {
+      listener(from, this.current, data);
+    }
+    return true;
+  }
+
+  // Internal: enter `to` (and its initial descendants) below the already active `active` chain
+  enter(active, to, data, blend) {
+    const chain = this.ancestry(to).slice(active.length);
+
+    // Descend into initial children of composite states
+    let leaf = to;
+    while (this.states[leaf].initial) {
+      leaf = this.states[leaf].initial;
+      chain.push(leaf);
+    }
+
+    let animated = null;
+    this.current = leaf;
+    for (const name of chain) {
+      const state = this.states[name];
+      if (state.onEnter) state.onEnter(this.context, data);
+      if (state.animation) animated = state;
+    }
+
+    if (animated && this.animations) {
+      this.play(animated, data, blend);
+    }
+  }
+
+  play(state, data, blend) {
+    const clip = typeof state.animation === 'function' ? state.animation(this.context, data) : state.animation;
+    if (!clip) return;
+
+    const request = ++this.playRequest;
+    const leaf = this.current;
+    this.animations.play(clip, {
+      fade: blend ?? state.blend ?? this.animations.defaultFade,
+      loop: state.loop ?? true
+    }).then((action) => {
+      // Skip if another state took over while the clip was loading
+      if (request !== this.playRequest || this.current !== leaf) return;
+      if (!action) {
+        if (state.onError) state.onError(this.context, null, data);
+        return;
+      }
+      if (state.onPlay) state.onPlay(this.context, action, data);
+    }, (error) => {
+      console.error(`StateMachine: failed to play "${clip}":`, error);
+      if (request === this.playRequest && this.current === leaf && state.onError) {
+        state.onError(this.context, error, data);
+      }
+    });
+  }
+
+  findTransition(to, data) {
+    for (const transition of this.transitions) {
+      if (transition.to !== to) continue;
+      if (transition.from !== '*' && !this.is(transition.from)) continue;
+      if (transition.guard && !transition.guard(this.context, data)) continue;
+      return transition;
+    }
+    return null;
+  }
+
+  // ['interaction', 'acting'] for 'acting'
+  ancestry(name) {
+    const chain = [];
+    let state = name;
+    while (state) {
+      chain.unshift(state);
+      state = this.states[state].parent;
+    }
+    return chain;
+  }
+
+  record(from, to) {
+    this.history.push({ from, to, time: this.now() });
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+  }
+}
@@ -0,0 +1,145 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Local steering between avatars: predictive avoidance (velocity-obstacle style) plus separation.
+// Runs once per simulation step before walkers update and writes the result into each walker
+// (avoidX/avoidZ = adjusted heading, speedScale = 0..1). Uses scalars only, no per-frame allocations.
+export class LocalSteering {
+  // options: { radius, neighborRadius, timeHorizon, navGrid }
+  constructor(options = {}) {
+    this.radius = options.radius ?? 0.35; // Personal space of one avatar
+    this.neighborRadius = options.neighborRadius ?? 3.0; // Ignore avatars further than this
+    this.timeHorizon = options.timeHorizon ?? 1; // Seconds to look ahead for collisions
+    this.avoidWeight = options.avoidWeight ?? 1.5;
+    this.separationWeight = options.separationWeight ?? 2.0;
+    this.navGrid = options.navGrid ?? null;
+  }
+
+  update(walkers) {
+    for (let i = 0; i < walkers.length; i++) {
+      this.steer(walkers, i);
+    }
+  }
+
+  steer(walkers, i) {
+    const walker = walkers[i];
+    walker.hasAvoidance = false;
+    walker.speedScale = 1;
+
+    if (!isActive(walker) || !walker.avoidanceEnabled || walker.inInteraction) return;
+    if (!walker.isWalking) return;
+
+    const position = walker.gvrm.character.currentVrm.scene.position;
+    const steeringPoint = walker.getSteeringPoint(walker.gvrm.character.currentVrm.scene);
+
+    // Desired direction and velocity (per second)
+    let desiredX = steeringPoint.x - position.x;
+    let desiredZ = steeringPoint.z - position.z;
+    const desiredLength = Math.sqrt(desiredX * desiredX + desiredZ * desiredZ);
+    if (desiredLength < 1e-6) return;
+    desiredX /= desiredLength;
+    desiredZ /= desiredLength;
+
+    const speed = walker.speed;
+    const vx = desiredX * speed;
+    const vz = desiredZ * speed;
+
+    const combinedRadius = this.radius * 2;
+    let avoidX = 0;
+    let avoidZ = 0;
+    let speedScale = 1;
+
+    for (let j = 0; j < walkers.length; j++) {
+      if (j === i) continue;
+      const other = walkers[j];
+      if (!isActive(other)) continue;
+
+      // Members of the same interaction are allowed to come close to each other
+      if (walker.group && walker.group === other.group) continue;
+
+      const otherPosition = other.gvrm.character.currentVrm.scene.position;
+      const rx = otherPosition.x - position.x;
+      const rz = otherPosition.z - position.z;
+      const distSq = rx * rx + rz * rz;
+      if (distSq > this.neighborRadius * this.neighborRadius) continue;
+      const dist = Math.sqrt(distSq);
+
+      // Separation: push away when personal spaces overlap
+      if (dist < combinedRadius && dist > 1e-6) {
+        const push = (combinedRadius - dist) / combinedRadius;
+        avoidX -= (rx / dist) * push * this.separationWeight;
+        avoidZ -= (rz / dist) * push * this.separationWeight;
+      }
+
+      // Other avatar's velocity (standing avatars are static obstacles)
+      const moving = other.isWalking;
+      const ovx = moving ? other.velocityX : 0;
+      const ovz = moving ? other.velocityZ : 0;
+
+      // Time of closest approach with relative velocity
+      const wx = vx - ovx;
+      const wz = vz - ovz;
+      const wSq = wx * wx + wz * wz;
+      if (wSq < 1e-9) continue;
+      const t = (rx * wx + rz * wz) / wSq;
+      if (t <= 0 || t > this.timeHorizon) continue;
+
+      // Closest distance at time t
+      const cx = rx - wx * t;
+      const cz = rz - wz * t;
+      const closest = Math.sqrt(cx * cx + cz * cz);
+      if (closest >= combinedRadius) continue;
+
+      // Sidestep away from the other's future position (keep right on exact head-on)
+      let sideX = -cx;
+      let sideZ = -cz;
+      let sideLength = closest;
+      if (sideLength < 1e-4) {
+        sideX = desiredZ;
+        sideZ = -desiredX;
+        sideLength = 1;
+      }
+      const urgency = (this.timeHorizon - t) / this.timeHorizon;
+      avoidX += (sideX / sideLength) * urgency * this.avoidWeight;
+      avoidZ += (sideZ / sideLength) * urgency * this.avoidWeight;
+
+      // Yield: the avatar with the higher index slows down for moving avatars ahead of it
+      if (moving && j < i) {
+        speedScale = Math.min(speedScale, Math.max(0.2, 1 - urgency));
+      }
+    }
+
+    if (avoidX === 0 && avoidZ === 0 && speedScale === 1) return;
+
+    let headingX = desiredX + avoidX;
+    let headingZ = desiredZ + avoidZ;
+    const headingLength = Math.sqrt(headingX * headingX + headingZ * headingZ);
+    if (headingLength < 1e-6) {
+      // Forces cancel out: wait in place this step
+      walker.speedScale = 0;
+      return;
+    }
+    headingX /= headingLength;
+    headingZ /= headingLength;
+
+    // Never sidestep into an obstacle
+    if (this.navGrid) {
+      const lookAhead = this.radius * 2;
+      if (!this.navGrid.isWalkable(position.x + headingX * lookAhead, position.z + headingZ * lookAhead)) {
+        headingX = desiredX;
+        headingZ = desiredZ;
+      }
+    }
+
+    walker.hasAvoidance = true;
+    walker.avoidX = headingX;
+    walker.avoidZ = headingZ;
+    walker.speedScale = speedScale;
+  }
+}
+
+function isActive(walker) {
+  return !!walker && !!walker.gvrm && walker.gvrm.isReady && walker.animationsLoaded &&
+    !!walker.gvrm.character && !!walker.gvrm.character.currentVrm;
+}
@@ -0,0 +1,313 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Speech bubbles above each avatar (requires #speech-bubbles-container)
+export class SpeechBubbles {
+  constructor(world, duration = 3000) {
+    this.world = world;
+    this.duration = duration; // How long a bubble stays visible (ms)
+    this.bubbles = [];
+  }
+
+  create(index) {
+    const container = document.getElementById('speech-bubbles-container');
+    if (!container) return null;
+
+    const bubble = document.createElement('div');
+    bubble.className = 'speech-bubble';
+    bubble.textContent = 'やっほー';
+    container.appendChild(bubble);
+    this.bubbles[index] = bubble;
+    return bubble;
+  }
+
+  isShowing(index) {
+    return !!this.bubbles[index] && this.bubbles[index].classList.contains('show');
+  }
+
+  show(index, comment) {
+    const gvrm = this.world.gvrms[index];
+    if (!gvrm || !gvrm.isReady) return;
+
+    const bubble = this.bubbles[index];
+    if (!bubble) return;
+
+    // Set the comment text
+    bubble.textContent = comment;
+
+    this.place(bubble, gvrm.character.currentVrm.scene);
+    bubble.style.transform = 'translate(-50%, -100%)';
+    bubble.classList.add('show');
+
+    // Hide after the configured duration (simulated, so who is still talking is the same in repeated runs)
+    this.world.simulation.after(this.duration / 1000, () => {
+      bubble.classList.remove('show');
+    });
+  }
+
+  // Convert 3D position to 2D screen position
+  place(bubble, character) {
+    const pos3D = character.position.clone();
+    pos3D.y += 3; // Position above character's head
+    pos3D.project(this.world.camera);
+
+    const x = (pos3D.x * 0.5 + 0.5) * this.world.width;
+    const y = (-(pos3D.y * 0.5) + 0.5) * this.world.height;
+
+    bubble.style.left = `${x}px`;
+    bubble.style.top = `${y}px`;
+  }
+
+  // Update speech bubble positions for all visible bubbles
+  update() {
+    for (let i = 0; i < this.bubbles.length; i++) {
+      if (this.isShowing(i)) {
+        const gvrm = this.world.gvrms[i];
+        if (gvrm && gvrm.isReady) {
+          this.place(this.bubbles[i], gvrm.character.currentVrm.scene);
+        }
+      }
+    }
+  }
+}
+
+// Text fields, where keys are typed rather than hotkeys
+export function isEditableTarget(target) {
+  if (!target) return false;
+  const tag = target.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || !!target.isContentEditable;
+}
+
+// Timeline functions
+export function formatTimeHM(virtualTime) {
+  const hours = Math.floor(virtualTime);
+  const minutes = Math.floor((virtualTime - hours) * 60);
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+}
+
+export function addTimelineEvent(virtualTime, eventText) {
+  const timelineEntries = document.getElementById('timeline-entries');
+  if (!timelineEntries) return;
+
+  const entry = document.createElement('div');
+  entry.className = 'timeline-entry';
+
+  const timeSpan = document.createElement('div');
+  timeSpan.className = 'timeline-time';
+  timeSpan.textContent = formatTimeHM(virtualTime);
+
+  const eventSpan = document.createElement('div');
+  eventSpan.className = 'timeline-event';
+  eventSpan.textContent = eventText;
+
+  entry.appendChild(timeSpan);
+  entry.appendChild(eventSpan);
+
+  // Add to the top (prepend)
+  timelineEntries.insertBefore(entry, timelineEntries.firstChild);
+
+  // Limit to 50 entries
+  while (timelineEntries.children.length > 50) {
+    timelineEntries.removeChild(timelineEntries.lastChild);
+  }
+}
+
+// Update analog clock (#hour-hand / #minute-hand)
+export function updateAnalogClock(virtualTime) {
+  const hours = Math.floor(virtualTime) % 12; // 12-hour format (integer part only)
+  const minutes = (virtualTime - Math.floor(virtualTime)) * 60;
+
+  const hourHand = document.getElementById('hour-hand');
+  const minuteHand = document.getElementById('minute-hand');
+
+  if (hourHand && minuteHand) {
+    // Hour hand: 30 degrees per hour + 0.5 degrees per minute
+    const hourDegrees = (hours * 30) + (minutes * 0.5);
+    // Minute hand: 6 degrees per minute
+    const minuteDegrees = minutes * 6;
+
+    hourHand.style.transform = `rotate(${hourDegrees}deg)`;
+    minuteHand.style.transform = `rotate(${minuteDegrees}deg)`;
+  }
+}
+
+// Per-avatar animation state inspector (toggle with ?inspector or the I key)
+export class StateInspector {
+  constructor(world, historyLength = 5) {
+    this.world = world;
+    this.historyLength = historyLength; // Transitions shown per avatar
+    this.updateInterval = 15; // Frames between refreshes
+    this.frame = 0;
+
+    this.element = document.createElement('div');
+    this.element.id = 'state-inspector';
+    Object.assign(this.element.style, {
+      position: 'fixed',
+      left: '10px',
+      bottom: '10px',
+      maxHeight: '45vh',
+      overflowY: 'auto',
+      padding: '8px 10px',
+      background: 'rgba(0, 0, 0, 0.7)',
+      color: '#fff',
+      font: '11px monospace',
+      whiteSpace: 'pre',
+      borderRadius: '6px',
+      zIndex: '1000',
+      pointerEvents: 'none',
+      display: 'none'
+    });
+    document.body.appendChild(this.element);
+  }
+
+  get visible() {
+    return this.element.style.display !== 'none';
+  }
+
+  set visible(value) {
+    this.element.style.display = value ? 'block' : 'none';
+    if (value) this.render();
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+  }
+
+  update() {
+    if (!this.visible) return;
+    this.frame++;
+    if (this.frame % this.updateInterval !== 0) return;
+    this.render();
+  }
+
+  render() {
+    const lines = [];
+    const machines = this.world.stateMachines;
+
+    for (let i = 0; i < machines.length; i++) {
+      const machine = machines[i];
+      if (!machine) continue;
+
+      const fileName = this.world.gvrmFiles[i] ? this.world.gvrmFiles[i].split('/').pop() : '';
+      lines.push(`#${i} ${fileName}  [${machine.path || '-'}]`);
+
+      // What the walker's mind (needs, schedule) is after
+      const walker = this.world.walkers[i];
+      if (walker && walker.mind) {
+        lines.push(`    ${walker.mind}`);
+      }
+
+      // Newest transitions first
+      const history = machine.history;
+      for (let j = history.length - 1; j >= Math.max(0, history.length - this.historyLength); j--) {
+        const entry = history[j];
+        lines.push(`    ${formatTimeHM(entry.time)}  ${entry.from ?? 'start'} -> ${entry.to}`);
+      }
+    }
+
+    this.element.textContent = lines.length > 0 ? lines.join('\n') : 'No state machines';
+  }
+}
+
+// Time controls attached to the analog clock (#analog-clock): pause/resume, speed multipliers and jump to an hour
+export class TimeControls {
+  constructor(world, speeds = [0.5, 1, 2, 4, 8]) {
+    this.world = world;
+    this.speeds = speeds;
+    this.element = null;
+    this.shown = null; // { paused, speed, label } last rendered
+
+    const clock = document.getElementById('analog-clock');
+    if (!clock) return;
+
+    this.element = document.createElement('div');
+    this.element.id = 'time-controls';
+    Object.assign(this.element.style, {
+      position: 'absolute',
+      top: '8px',
+      left: '100px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '4px',
+      padding: '6px 8px',
+      background: 'rgba(0, 0, 0, 0.3)',
+      backdropFilter: 'blur(10px)',
+      borderRadius: '6px',
+      color: '#fff',
+      font: '11px monospace',
+      zIndex: '1000'
+    });
+
+    this.label = document.createElement('div');
+
+    const buttons = document.createElement('div');
+    Object.assign(buttons.style, { display: 'flex', gap: '2px' });
+
+    this.pauseButton = this.createButton('', () => world.togglePause());
+    this.pauseButton.title = 'Pause/resume (Space)';
+    buttons.appendChild(this.pauseButton);
+
+    this.speedButtons = speeds.map(speed => {
+      const button = this.createButton(`×${speed}`, () => world.setSpeed(speed));
+      buttons.appendChild(button);
+      return button;
+    });
+
+    // Jump to a virtual hour ('18:30')
+    const jump = document.createElement('div');
+    Object.assign(jump.style, { display: 'flex', gap: '2px' });
+    this.timeInput = document.createElement('input');
+    this.timeInput.type = 'time';
+    this.timeInput.value = formatTimeHM(world.virtualTime);
+    Object.assign(this.timeInput.style, { font: 'inherit', background: 'rgba(0, 0, 0, 0.3)', color: '#fff', border: '1px solid rgba(255, 255, 255, 0.3)' });
+    jump.appendChild(this.timeInput);
+    jump.appendChild(this.createButton('Jump', () => {
+      const [hours, minutes] = this.timeInput.value.split(':').map(Number);
+      if (Number.isFinite(hours)) world.jumpTo(hours + (minutes || 0) / 60);
+    }));
+
+    this.element.appendChild(this.label);
+    this.element.appendChild(buttons);
+    this.element.appendChild(jump);
+    clock.insertAdjacentElement('afterend', this.element);
+    this.update();
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    Object.assign(button.style, {
+      font: 'inherit',
+      padding: '1px 4px',
+      background: 'rgba(0, 0, 0, 0.3)',
+      color: '#fff',
+      border: '1px solid rgba(255, 255, 255, 0.3)',
+      borderRadius: '3px',
+      cursor: 'pointer'
+    });
+    button.addEventListener('click', (event) => {
+      onClick();
+      event.currentTarget.blur(); // Keep Space for pausing
+    });
+    return button;
+  }
+
+  // Called every frame; touches the DOM only when something changed
+  update() {
+    if (!this.element) return;
+
+    const { paused, speed, clock } = this.world;
+    const label = `Day ${clock.day + 1} ${formatTimeHM(clock.time)}${paused ? ' (paused)' : ''}`;
+    const shown = this.shown;
+    if (shown && shown.paused === paused && shown.speed === speed && shown.label === label) return;
+    this.shown = { paused, speed, label };
+
+    this.label.textContent = label;
+    this.pauseButton.textContent = paused ? '▶' : '❚❚';
+    this.speedButtons.forEach((button, i) => {
+      button.style.borderColor = this.speeds[i] === speed ? '#fff' : 'rgba(255, 255, 255, 0.3)';
+      button.style.fontWeight = this.speeds[i] === speed ? 'bold' : 'normal';
+    });
+  }
+}
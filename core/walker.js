@@ -0,0 +1,565 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+import { AnimationLibrary } from './animation.js';
+import { StateMachine } from './stateMachine.js';
+import { createRandom } from './random.js';
+
+// Scratch objects reused every frame
+const UP = new THREE.Vector3(0, 1, 0);
+const _forward = new THREE.Vector3();
+const _currentQuat = new THREE.Quaternion();
+const _rot0Quat = new THREE.Quaternion();
+
+// Special animations (based on actual FBX files in /assets)
+export const specialAnimations = [
+  { name: 'Acknowledging', path: '../assets/Acknowledging.fbx' },
+  { name: 'Around', path: '../assets/Around.fbx' },
+  { name: 'Breathing', path: '../assets/Breathing.fbx' },
+  { name: 'Chicken Dance', path: '../assets/Chicken Dance.fbx' },
+  { name: 'Dizzy Idle', path: '../assets/Dizzy Idle.fbx' },
+  { name: 'Flying', path: '../assets/Flying.fbx' },
+  { name: 'Gangnam Style', path: '../assets/Gangnam Style.fbx' },
+  { name: 'Happy Idle', path: '../assets/Happy Idle.fbx' },
+  { name: 'Jab Cross', path: '../assets/Jab Cross.fbx' },
+  { name: 'Listening', path: '../assets/Listening.fbx' },
+  { name: 'Pointing', path: '../assets/Pointing.fbx' },
+  { name: 'Shrugging', path: '../assets/Shrugging.fbx' },
+  { name: 'Warrior', path: '../assets/Warrior.fbx' }
+];
+
+// Walker animation states
+//   locomotion
+//     idle        stand still for stopDuration seconds
+//     walking     walk towards the target for walkDuration seconds
+//   special       one-shot emote on arrival, back to idle when it finishes
+//   activity      looped clip chosen by a mind (rest, dance, ...) for activityDuration seconds
+//   interaction   driven by app2 interactions
+//     approach    walk to the meeting point (temporary target)
+//     waiting     arrived, waiting for the others
+//     acting      the interaction plays its own clips (update() is skipped)
+export const walkerStates = {
+  initial: 'locomotion',
+  states: {
+    locomotion: { initial: 'idle' },
+    idle: {
+      parent: 'locomotion',
+      animation: 'Idle',
+      onEnter(walker) {
+        walker.walkTimer = 0;
+        walker.stopDuration = 1 + walker.random() * 2; // Stop for 1-3 seconds
+      }
+    },
+    walking: {
+      parent: 'locomotion',
+      animation: 'Walking',
+      onEnter(walker) {
+        walker.walkTimer = 0;
+        walker.walkDuration = 2 + walker.random() * 3; // Walk for 2-5 seconds
+      }
+    },
+    special: {
+      animation: (walker, animation) => animation.path,
+      loop: false,
+      onEnter(walker, animation) {
+        walker.currentSpecialAnimation = animation.name;
+        walker.specialDuration = Infinity; // Until the clip has loaded
+        walker.log(`Walker ${walker.index}: Playing special animation ${animation.name}`);
+      },
+      onExit(walker) {
+        walker.currentSpecialAnimation = null;
+      },
+      onPlay(walker, action) {
+        // Back to idle once the clip has played, counted in simulated seconds
+        walker.walkTimer = 0;
+        walker.specialDuration = action.getClip().duration;
+      },
+      onError(walker) {
+        // The clip never started (failed load or superseded): don't wait for it
+        walker.state.transition('idle');
+      }
+    },
+    activity: {
+      animation: (walker, activity) => activity.animation,
+      onEnter(walker, activity) {
+        walker.walkTimer = 0;
+        walker.activityDuration = activity.duration ?? Infinity;
+        walker.currentActivity = activity.name;
+      },
+      onExit(walker) {
+        walker.currentActivity = null;
+      }
+    },
+    interaction: { initial: 'approach' },
+    approach: { parent: 'interaction', animation: 'Walking' },
+    waiting: { parent: 'interaction', animation: 'Idle' },
+    acting: { parent: 'interaction' },
+  },
+  transitions: [
+    { from: 'idle', to: 'walking' },
+    { from: 'walking', to: 'idle' },
+    { from: 'locomotion', to: 'special', guard: (walker) => !walker.isLoading() },
+    { from: 'special', to: 'idle', blend: 0.5 },
+    { from: 'locomotion', to: 'activity', guard: (walker) => !walker.isLoading() },
+    { from: 'activity', to: 'idle', blend: 0.5 },
+    { from: 'activity', to: 'walking' },
+    { from: '*', to: 'interaction' },
+    { from: 'approach', to: 'waiting' },
+    { from: 'interaction', to: 'acting' },
+    { from: 'interaction', to: 'idle' }
+  ]
+};
+
+export class Walker {
+  // options: { boundary, targetRange, arrivalThreshold, specialAnimationChance, navGrid, animations, now, random, log }
+  constructor(gvrm, index, options = {}) {
+    this.gvrm = gvrm;
+    this.index = index;
+
+    // Own random stream (see random.js), also used by the walker's mind
+    this.random = options.random ?? createRandom(`walker${index}`);
+    // Progress messages of the walker and its mind (console.log by default, the test harness silences them)
+    this.log = options.log ?? ((...args) => console.log(...args));
+
+    this.speed = 1.8; // Meters per second
+    this.turnRate = 0.1; // Fraction of the remaining turn per 1/60 second
+
+    this.animations = options.animations ?? new AnimationLibrary(gvrm); // Cached clips with crossfades
+    this.state = new StateMachine(walkerStates, {
+      animations: this.animations,
+      context: this,
+      now: options.now
+    });
+
+    this.walkTimer = 0;
+    this.walkDuration = 2 + this.random() * 3; // Walk for 2-5 seconds
+    this.stopDuration = 1 + this.random() * 2; // Stop for 1-3 seconds
+
+    // Boundary (movement area for avatars)
+    this.boundary = options.boundary ?? 11.25;
+    this.targetRange = options.targetRange ?? 0.85; // Fraction of boundary used for random targets
+
+    // Obstacle-aware pathfinding (optional)
+    this.navGrid = options.navGrid ?? null;
+    this.path = null; // Waypoints [{ x, z }, ...] towards the current target
+    this.pathIndex = 0;
+    this.waypointThreshold = 0.3; // Distance threshold for passing intermediate waypoints
+    this.steeringPoint = { x: 0, z: 0 };
+
+    // Local avoidance of other avatars (written by LocalSteering before update)
+    this.avoidanceEnabled = true;
+    this.hasAvoidance = false;
+    this.avoidX = 0; // Adjusted heading (unit vector)
+    this.avoidZ = 0;
+    this.speedScale = 1; // 0..1, below 1 while yielding
+    this.velocityX = 0; // Meters per second in the last step (read by other walkers' steering)
+    this.velocityZ = 0;
+    this.group = null; // Interaction this avatar takes part in (its members are not avoided)
+    this.avoidingTime = 0;
+    this.maxAvoidingTime = 3; // Give up avoiding after 3 seconds
+
+    // Set random target position
+    this.setNewTarget();
+
+    // Set random initial rotation
+    const initialRotation = (this.random() - 0.5) * Math.PI * 2; // -π to π
+    this.targetRotation = 0;
+    this.currentRotation = initialRotation;
+
+    this.arrivalThreshold = options.arrivalThreshold ?? 0.15; // Distance threshold for reaching target
+    this.targetChangeCooldown = 0; // Seconds before reaching the boundary may pick another target
+
+    this.hasTemporaryTarget = false; // For interaction movement
+    this.onTemporaryTargetReached = null; // Callback when temporary target is reached
+
+    this.animationsLoaded = false;
+
+    // Chance to play a special animation on arrival (0 = never)
+    this.specialAnimationChance = options.specialAnimationChance ?? 0;
+    this.currentSpecialAnimation = null; // Name of the special animation while in 'special'
+    this.specialDuration = Infinity; // Seconds the special animation plays
+
+    // Chooses what to do when a stop ends (e.g. VillagerMind in needs.js); without one the walker wanders
+    this.mind = null;
+    this.hasGoalTarget = false; // Walking to a point chosen by the mind
+    this.onGoalReached = null; // Callback when the mind's goal target is reached
+    this.currentActivity = null; // Name of the activity while in 'activity'
+    this.activityDuration = Infinity;
+  }
+
+  // Read-only views of the state machine
+  get isWalking() {
+    return this.state.is('walking') || this.state.is('approach');
+  }
+
+  get isPlayingSpecial() {
+    return this.state.is('special');
+  }
+
+  // The world skips update() while true
+  get inInteraction() {
+    return this.state.is('acting');
+  }
+
+  isLoading() {
+    const character = this.gvrm.character;
+    return !!(character && character.isLoading && character.isLoading());
+  }
+
+  // Set new target position
+  setNewTarget() {
+    // Generate random position within boundary (safe range)
+    const maxRange = this.boundary * this.targetRange;
+
+    if (this.navGrid) {
+      const point = this.navGrid.randomWalkablePoint(maxRange, this.random);
+      if (point) {
+        this.targetX = point.x;
+        this.targetZ = point.z;
+        this.planPath();
+        return;
+      }
+    }
+
+    this.targetX = (this.random() - 0.5) * 2 * maxRange;
+    this.targetZ = (this.random() - 0.5) * 2 * maxRange;
+    this.planPath();
+  }
+
+  // Compute waypoints around obstacles from the current position to the target
+  planPath() {
+    this.path = null;
+    this.pathIndex = 0;
+
+    if (!this.navGrid || !this.gvrm || !this.gvrm.character || !this.gvrm.character.currentVrm) return;
+
+    const position = this.gvrm.character.currentVrm.scene.position;
+    const path = this.navGrid.findPath(position.x, position.z, this.targetX, this.targetZ);
+    if (!path) return; // Unreachable: walk straight as before
+
+    // Target inside an obstacle: stop at the nearest walkable point instead
+    const last = path[path.length - 1];
+    this.targetX = last.x;
+    this.targetZ = last.z;
+    this.path = path;
+  }
+
+  // Next point to steer towards: the current path waypoint, or the target itself
+  getSteeringPoint(character) {
+    if (this.path) {
+      // Advance past intermediate waypoints that have been reached
+      while (this.pathIndex < this.path.length - 1) {
+        const waypoint = this.path[this.pathIndex];
+        const dx = waypoint.x - character.position.x;
+        const dz = waypoint.z - character.position.z;
+        if (dx * dx + dz * dz > this.waypointThreshold * this.waypointThreshold) break;
+        this.pathIndex++;
+      }
+      if (this.pathIndex < this.path.length) {
+        this.steeringPoint.x = this.path[this.pathIndex].x;
+        this.steeringPoint.z = this.path[this.pathIndex].z;
+        return this.steeringPoint;
+      }
+    }
+
+    this.steeringPoint.x = this.targetX;
+    this.steeringPoint.z = this.targetZ;
+    return this.steeringPoint;
+  }
+
+  // Set temporary target for interaction (overrides normal walking behavior)
+  setTemporaryTarget(x, z, callback) {
+    this.targetX = x;
+    this.targetZ = z;
+    this.planPath(); // Route around obstacles
+    this.hasTemporaryTarget = true;
+    this.onTemporaryTargetReached = callback;
+    this.clearGoalTarget();
+
+    // Walk to the meeting point
+    this.state.transition('interaction');
+  }
+
+  // Walk to a point chosen by the mind, then call back (stays in locomotion, unlike setTemporaryTarget)
+  setGoalTarget(x, z, callback) {
+    this.targetX = x;
+    this.targetZ = z;
+    this.planPath();
+    this.hasGoalTarget = true;
+    this.onGoalReached = callback;
+
+    this.state.transition('walking');
+    this.walkDuration = Infinity; // Keep walking until arrival
+  }
+
+  clearGoalTarget() {
+    this.hasGoalTarget = false;
+    this.onGoalReached = null;
+  }
+
+  // Arrived (or close enough) at the goal target
+  reachGoal() {
+    const callback = this.onGoalReached;
+    this.clearGoalTarget();
+    this.state.transition('idle');
+    if (callback) {
+      callback();
+    }
+  }
+
+  // Stay in place playing activity.animation (looped) for activity.duration seconds (Infinity: until stopActivity)
+  // activity: { name, animation, duration }. Returns true if the activity started.
+  startActivity(activity) {
+    return this.state.transition('activity', activity);
+  }
+
+  stopActivity() {
+    if (this.state.is('activity')) this.state.transition('idle');
+  }
+
+  // Clear temporary target
+  clearTemporaryTarget() {
+    this.hasTemporaryTarget = false;
+    this.onTemporaryTargetReached = null;
+    this.avoidanceEnabled = true;
+  }
+
+  async initAnimations() {
+    if (!this.gvrm || !this.gvrm.isReady) {
+      console.log('GVRM not ready for walker', this.index);
+      return;
+    }
+
+    try {
+      // Load Walking and Idle once, then start with Idle
+      await this.animations.preload(['Walking', 'Idle']);
+      this.state.start();
+
+      this.animationsLoaded = true;
+      this.log(`Walker ${this.index}: Animations loaded`);
+    } catch (error) {
+      console.error(`Failed to load animations for walker ${this.index}:`, error);
+    }
+  }
+
+  // Advance by `delta` seconds
+  update(delta) {
+    if (!this.gvrm || !this.gvrm.isReady || !this.animationsLoaded) {
+      return;
+    }
+
+    this.velocityX = 0;
+    this.velocityZ = 0;
+    this.targetChangeCooldown = Math.max(0, this.targetChangeCooldown - delta);
+
+    // Skip normal behavior when playing special animation
+    if (this.isPlayingSpecial) {
+      this.walkTimer += delta;
+      if (this.walkTimer >= this.specialDuration) {
+        this.state.transition('idle');
+      }
+      return;
+    }
+
+    const character = this.gvrm.character.currentVrm.scene;
+
+    // Toggle between walking and stopping (durations are reset on entering each state).
+    // When a stop ends, the mind may pick a goal or an activity instead of wandering on.
+    this.walkTimer += delta;
+    if (this.state.is('walking') && this.walkTimer >= this.walkDuration) {
+      this.state.transition('idle');
+    } else if (this.state.is('idle') && this.walkTimer >= this.stopDuration) {
+      if (!this.mind || !this.mind.decide(this)) {
+        this.state.transition('walking');
+      }
+    } else if (this.state.is('activity') && this.walkTimer >= this.activityDuration) {
+      this.state.transition('idle');
+    }
+
+    // Calculate distance and direction to target
+    if (this.isWalking) {
+      const tx = this.targetX - character.position.x;
+      const tz = this.targetZ - character.position.z;
+      const distanceToTarget = Math.sqrt(tx * tx + tz * tz);
+
+      // Head for the next waypoint (the target itself without a path)
+      const steeringPoint = this.getSteeringPoint(character);
+      let dx = steeringPoint.x - character.position.x;
+      let dz = steeringPoint.z - character.position.z;
+
+      // Sidestep or yield for other avatars
+      if (this.hasAvoidance) {
+        dx = this.avoidX;
+        dz = this.avoidZ;
+        this.avoidingTime += delta;
+        if (this.avoidingTime > this.maxAvoidingTime) {
+          this.avoidingTime = 0;
+          if (this.hasTemporaryTarget) {
+            this.avoidanceEnabled = false; // Walk straight through to the meeting point
+          } else if (this.hasGoalTarget && distanceToTarget < 2) {
+            this.reachGoal(); // Someone is standing there: close enough
+            return;
+          } else if (this.hasGoalTarget) {
+            this.planPath(); // Try again from here
+          } else {
+            this.setNewTarget(); // Probably someone is standing on the target
+          }
+        }
+      } else {
+        this.avoidingTime = 0;
+      }
+
+      // Calculate direction to target (accounting for rotation0)
+      const worldRotation = Math.atan2(dx, dz);
+      this.targetRotation = worldRotation - character.rotation0.y;
+
+      // Set new target when reached
+      if (distanceToTarget < this.arrivalThreshold) {
+        if (this.hasTemporaryTarget) {
+          // Reached temporary target (for interaction): wait there for the partner
+          const callback = this.onTemporaryTargetReached;
+          this.clearTemporaryTarget();
+          this.state.transition('waiting');
+          if (callback) {
+            callback();
+          }
+        } else if (this.hasGoalTarget) {
+          this.reachGoal();
+        } else {
+          // Normal walking - set new random target
+          this.setNewTarget();
+
+          // Chance to play a special animation
+          if (this.random() < this.specialAnimationChance) {
+            this.playRandomSpecialAnimation();
+          }
+        }
+      }
+    }
+
+    // Smoothly rotate
+    let rotDiff = this.targetRotation - this.currentRotation;
+    // Normalize angle difference to -π to π range
+    while (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
+    while (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
+
+    this.currentRotation += rotDiff * (1 - Math.pow(1 - this.turnRate, delta * 60));
+
+    // Normalize currentRotation to -π to π range
+    while (this.currentRotation > Math.PI) this.currentRotation -= Math.PI * 2;
+    while (this.currentRotation < -Math.PI) this.currentRotation += Math.PI * 2;
+
+    // Check if rotation is almost complete (threshold: ~5.7 degrees)
+    const rotationThreshold = 0.1; // Radians
+    const isRotationComplete = Math.abs(rotDiff) < rotationThreshold;
+
+    // Update character orientation (always)
+    const currentQuat = _currentQuat.setFromAxisAngle(UP, this.currentRotation);
+    character.quaternion.copy(currentQuat);
+
+    // Walk movement (move only after rotation is complete)
+    if (this.isWalking && isRotationComplete) {
+      // Get forward vector (apply rotation0 compensation)
+      const forwardVector = _forward.set(0, 0, 1);
+
+      // Apply rotation0 compensation
+      const compensatedQuaternion = currentQuat.multiply(_rot0Quat.setFromAxisAngle(UP, -character.rotation0.y));
+
+      forwardVector.applyQuaternion(compensatedQuaternion);
+
+      // Calculate new position (slower while yielding)
+      const speed = this.speed * this.speedScale;
+      this.velocityX = speed * forwardVector.x;
+      this.velocityZ = speed * forwardVector.z;
+      const newX = character.position.x + this.velocityX * delta;
+      const newZ = character.position.z + this.velocityZ * delta;
+
+      // Boundary check (with safety margin)
+      const safetyMargin = 0.5;
+      if (Math.abs(newX) < this.boundary - safetyMargin && Math.abs(newZ) < this.boundary - safetyMargin) {
+        character.position.x = newX;
+        character.position.z = newZ;
+      } else {
+        // Clamp position and set new target when boundary is reached
+        character.position.x = Math.max(-this.boundary + safetyMargin, Math.min(this.boundary - safetyMargin, newX));
+        character.position.z = Math.max(-this.boundary + safetyMargin, Math.min(this.boundary - safetyMargin, newZ));
+
+        // Set new target (using flag to prevent frequent changes)
+        if (this.hasGoalTarget && this.path && this.pathIndex < this.path.length - 1) {
+          this.pathIndex++; // Waypoint inside the margin: head for the next one
+        } else if (this.hasGoalTarget) {
+          this.reachGoal(); // The goal itself is out of reach
+        } else if (this.targetChangeCooldown === 0) {
+          this.setNewTarget();
+          this.targetChangeCooldown = 1; // Suppress new target for 1 second
+        }
+      }
+    }
+  }
+
+  // Serialisable state for world snapshots. Goal callbacks and interactions are not kept:
+  // the mind pursues its goal again, interactions are resumed by their manager.
+  saveState() {
+    return {
+      state: this.state.current,
+      target: [this.targetX, this.targetZ],
+      rotation: this.currentRotation,
+      walkTimer: this.walkTimer,
+      walkDuration: this.walkDuration, // Infinity (walking to a goal) becomes null
+      goal: this.hasGoalTarget, // Walking to the mind's goal
+      stopDuration: this.stopDuration,
+      activity: this.state.is('activity')
+        ? { name: this.currentActivity, animation: this.animations.currentName, remaining: this.activityDuration - this.walkTimer }
+        : null,
+      mind: this.mind && this.mind.saveState ? this.mind.saveState() : null
+    };
+  }
+
+  // Resume from saveState() (once the animations are loaded)
+  restoreState(saved) {
+    this.currentRotation = saved.rotation;
+    this.targetRotation = saved.rotation;
+
+    if (this.mind && this.mind.restoreState && saved.mind) {
+      this.mind.restoreState(saved.mind);
+    }
+    if (this.state.is('interaction')) return; // Already taken over by a resumed interaction
+
+    this.targetX = saved.target[0];
+    this.targetZ = saved.target[1];
+    this.planPath();
+
+    if (saved.activity) {
+      this.startActivity({
+        name: saved.activity.name,
+        animation: saved.activity.animation,
+        duration: saved.activity.remaining ?? Infinity
+      });
+    } else if (saved.goal) {
+      // The goal's callback is gone: end the stop now so that the mind pursues its goal again
+      if (this.mind && this.mind.forgetGoal) this.mind.forgetGoal();
+      this.walkTimer = this.stopDuration;
+    } else if (saved.state === 'walking') {
+      this.state.transition('walking');
+      this.walkTimer = saved.walkTimer;
+      this.walkDuration = saved.walkDuration ?? this.walkDuration;
+    } else {
+      this.walkTimer = saved.walkTimer;
+      this.stopDuration = saved.stopDuration;
+    }
+  }
+
+  playRandomSpecialAnimation() {
+    if (!this.gvrm || !this.gvrm.isReady) return;
+
+    // Choose random special animation (played once, then back to idle)
+    const randomIndex = Math.floor(this.random() * specialAnimations.length);
+    const selectedAnimation = specialAnimations[randomIndex];
+
+    if (!this.state.transition('special', selectedAnimation)) {
+      this.log(`Walker ${this.index}: Cannot play animation, GVRM is loading`);
+    }
+  }
+}
@@ -0,0 +1,207 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+// Weather types. Numbers are blended during transitions:
+//   clouds       0..1, overcast sky (see updateSky)
+//   light        factor on the ambient and directional lights
+//   fog          density of the scene fog (FogExp2)
+//   visibility   factor on how far avatars can see (e.g. detection distance)
+//   rain, snow   0..1 precipitation
+//   shelter      walkers take shelter at the center house (see the 'shelter' goal in needs.js)
+export const WEATHER_TYPES = {
+  clear: { clouds: 0, light: 1, fog: 0, visibility: 1, rain: 0, snow: 0 },
+  cloudy: { clouds: 0.6, light: 0.7, fog: 0.004, visibility: 0.9, rain: 0, snow: 0 },
+  rain: { clouds: 1, light: 0.45, fog: 0.015, visibility: 0.7, rain: 1, snow: 0, shelter: true },
+  snow: { clouds: 0.8, light: 0.75, fog: 0.02, visibility: 0.6, rain: 0, snow: 1 },
+  fog: { clouds: 0.4, light: 0.6, fog: 0.08, visibility: 0.35, rain: 0, snow: 0 }
+};
+
+// Relative chances of the next weather, by the current one
+export const WEATHER_TRANSITIONS = {
+  clear: { clear: 4, cloudy: 3, fog: 1 },
+  cloudy: { clear: 3, cloudy: 2, rain: 3, snow: 1, fog: 1 },
+  rain: { cloudy: 3, rain: 1, clear: 1 },
+  snow: { cloudy: 2, snow: 1, clear: 1 },
+  fog: { clear: 2, cloudy: 2 }
+};
+
+const BLENDED = ['clouds', 'light', 'fog', 'visibility', 'rain', 'snow'];
+
+// Weather over virtual days: each day is planned as a few spells ([{ hour, type }], the first one carried over
+// from the day before), drawn from WEATHER_TRANSITIONS with the 'weather<day>' random stream, so a seed gives
+// the same weather on the same day. Changes blend over `transitionHours`.
+export class Weather {
+  // options: {
+  //   types, transitions     (default WEATHER_TYPES, WEATHER_TRANSITIONS)
+  //   start                  weather of the first day (default 'clear')
+  //   spellHours             [min, max] virtual hours of one spell (default [3, 8])
+  //   transitionHours        (default 1)
+  //   fixed                  type to keep all the time (e.g. ?weather=rain)
+  // }
+  constructor(options = {}) {
+    this.types = options.types ?? WEATHER_TYPES;
+    this.transitions = options.transitions ?? WEATHER_TRANSITIONS;
+    this.spellHours = options.spellHours ?? [3, 8];
+    this.transitionHours = options.transitionHours ?? 1;
+    this.fixed = this.types[options.fixed] ? options.fixed : null;
+
+    this.day = null; // Day the plan is for
+    this.plan = [];
+    this.previous = this.fixed ?? (this.types[options.start] ? options.start : 'clear'); // Before the current spell
+    this.current = this.previous;
+    this.state = Object.fromEntries(BLENDED.map(key => [key, this.types[this.current][key] ?? 0])); // Blended numbers
+  }
+
+  get shelter() {
+    return !!this.types[this.current].shelter;
+  }
+
+  // Spells of a day, starting with `start` at midnight
+  planDay(day, start) {
+    if (this.fixed) return [{ hour: 0, type: this.fixed }];
+
+    const random = createRandom(`weather${day}`);
+    const [min, max] = this.spellHours;
+    const plan = [{ hour: 0, type: start }];
+    let hour = min + random() * (max - min);
+    while (hour < 23) {
+      plan.push({ hour, type: this.next(plan[plan.length - 1].type, random) });
+      hour += min + random() * (max - min);
+    }
+    return plan;
+  }
+
+  next(type, random) {
+    const weights = Object.entries(this.transitions[type] ?? { clear: 1 }).filter(([name]) => this.types[name]);
+    let roll = random() * weights.reduce((sum, [, weight]) => sum + weight, 0);
+    for (const [name, weight] of weights) {
+      roll -= weight;
+      if (roll < 0) return name;
+    }
+    return weights[weights.length - 1][0];
+  }
+
+  // Follow the clock. Returns { from, to } when the weather changed, otherwise null.
+  update(day, time) {
+    if (this.day !== day) {
+      const start = this.plan.length > 0 ? this.plan[this.plan.length - 1].type : this.previous;
+      this.plan = this.planDay(day, start);
+      this.day = day;
+    }
+
+    let index = 0;
+    for (let i = 1; i < this.plan.length; i++) {
+      if (this.plan[i].hour <= time) index = i;
+    }
+    const spell = this.plan[index];
+    const previous = index > 0 ? this.plan[index - 1].type : spell.type;
+
+    const from = this.current;
+    this.current = spell.type;
+    this.previous = previous;
+
+    // Blend from the previous spell
+    const t = index > 0 ? Math.min(1, (time - spell.hour) / this.transitionHours) : 1;
+    const a = this.types[previous];
+    const b = this.types[spell.type];
+    for (const key of BLENDED) {
+      this.state[key] = THREE.MathUtils.lerp(a[key] ?? 0, b[key] ?? 0, t);
+    }
+
+    return from !== this.current ? { from, to: this.current } : null;
+  }
+
+  saveState() {
+    return { day: this.day, plan: this.plan, previous: this.previous, current: this.current };
+  }
+
+  restoreState(state) {
+    if (!state || !Array.isArray(state.plan)) return;
+    this.day = state.day;
+    this.plan = state.plan.filter(spell => this.types[spell.type]);
+    this.previous = state.previous;
+    this.current = state.current;
+  }
+}
+
+// Rain/snow particles, scene fog and light intensities following world.weather.state
+export class WeatherEffects {
+  // options: { count (particles per kind), area (half width around the origin), height }
+  constructor(world, options = {}) {
+    this.world = world;
+    this.count = options.count ?? 3000;
+    this.area = options.area ?? 20;
+    this.height = options.height ?? 20;
+
+    this.ambientIntensity = world.ambientLight.intensity;
+    this.lightIntensity = world.light.intensity;
+    this.fog = new THREE.FogExp2(0x000000, 0);
+    this.fogColor = new THREE.Color();
+    world.scene.fog = this.fog;
+
+    this.rain = this.createParticles({ color: 0xaaccff, size: 0.08, opacity: 0.6 });
+    this.snow = this.createParticles({ color: 0xffffff, size: 0.15, opacity: 0.9 });
+    this.time = 0; // Simulated seconds (snow sways with it)
+  }
+
+  createParticles({ color, size, opacity }) {
+    // Purely visual, so Math.random() (see random.js)
+    const positions = new Float32Array(this.count * 3);
+    for (let i = 0; i < this.count; i++) {
+      positions[i * 3] = (Math.random() - 0.5) * this.area * 2;
+      positions[i * 3 + 1] = Math.random() * this.height;
+      positions[i * 3 + 2] = (Math.random() - 0.5) * this.area * 2;
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    const material = new THREE.PointsMaterial({ color, size, transparent: true, opacity, depthWrite: false });
+    const points = new THREE.Points(geometry, material);
+    points.visible = false;
+    points.frustumCulled = false;
+    points.userData.opacity = opacity;
+    this.world.scene.add(points);
+    return points;
+  }
+
+  // Called every frame with the simulated seconds it advanced (0 while paused)
+  update(seconds) {
+    const state = this.world.weather.state;
+    this.time += seconds;
+
+    this.world.ambientLight.intensity = this.ambientIntensity * state.light;
+    this.world.light.intensity = this.lightIntensity * state.light;
+
+    // Fog greys towards the sky's brightness (dark at night)
+    const sun = this.world.sky.material.uniforms['sunPosition'].value;
+    const daylight = THREE.MathUtils.clamp(sun.y * 2 + 0.2, 0, 1);
+    this.fog.density = state.fog;
+    this.fog.color.setRGB(0.06, 0.07, 0.08).lerp(this.fogColor.setRGB(0.66, 0.68, 0.7), daylight);
+
+    this.fall(this.rain, state.rain, seconds, 12, 0);
+    this.fall(this.snow, state.snow, seconds, 1.2, 0.5);
+  }
+
+  // Move the first `intensity` of the particles down by `speed` m/s, swaying by `sway` m
+  fall(points, intensity, seconds, speed, sway) {
+    points.visible = intensity > 0.01;
+    if (!points.visible) return;
+
+    const visibleCount = Math.ceil(this.count * intensity);
+    points.geometry.setDrawRange(0, visibleCount);
+    points.material.opacity = points.userData.opacity * Math.min(1, intensity * 2);
+    if (seconds === 0) return;
+
+    const positions = points.geometry.attributes.position;
+    const array = positions.array;
+    for (let i = 0; i < visibleCount; i++) {
+      const y = array[i * 3 + 1] - speed * seconds;
+      array[i * 3 + 1] = y < 0 ? y + this.height : y;
+      if (sway > 0) array[i * 3] += Math.sin(this.time + i) * sway * seconds;
+    }
+    positions.needsUpdate = true;
+  }
+}
@@ -0,0 +1,792 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TrackballControls } from 'three/addons/controls/TrackballControls.js';
+import { GVRM, GVRMUtils } from 'gvrm';
+import { FPSCounter } from '../utils/fps.js';
+import { createSky, createHouses, createCenterHouse, updateSky } from './scene.js';
+import { Walker } from './walker.js';
+import { AnimationLibrary, loadingClips } from './animation.js';
+import { NavGrid, NavDebugOverlay } from './navigation.js';
+import { LocalSteering } from './steering.js';
+import { VirtualClock, SimulationClock } from './clock.js';
+import { stepWorld, updateWeather } from './simulation.js';
+import { createDialogueProvider } from './dialogue.js';
+import { SpeechBubbles, StateInspector, TimeControls, addTimelineEvent, formatTimeHM, updateAnalogClock, isEditableTarget } from './ui.js';
+import { parseTime } from './schedule.js';
+import { Weather, WeatherEffects } from './weather.js';
+import { captureSnapshot, readSnapshot, writeSnapshot, downloadSnapshot } from './snapshot.js';
+import { setSeed, random } from './random.js';
+
+export const defaultFbxFiles = [
+  '../assets/Breathing.fbx',
+  '../assets/Capoeira.fbx',
+  '../assets/Listening.fbx',
+  '../assets/Shrugging.fbx',
+  '../assets/Texting.fbx',
+  '../assets/Warrior.fbx',
+  '../assets/Around.fbx'
+];
+
+export const defaultGvrmFiles = [
+  '../assets/sample1.gvrm',
+  '../assets/sample2.gvrm',
+  '../assets/sample3.gvrm',
+  '../assets/sample4.gvrm',
+  '../assets/sample5.gvrm',
+  // '../assets/sample6.gvrm',
+  // '../assets/sample7.gvrm',
+  '../assets/sample8.gvrm'
+  // '../assets/sample9.gvrm'
+];
+
+// Generate random position avoiding center house
+export function generateRandomPosition(boundary, houseRadius) {
+  let validPosition = false;
+  let attempts = 0;
+  const maxAttempts = 50;
+  let x, z;
+
+  while (!validPosition && attempts < maxAttempts) {
+    x = (random() - 0.5) * boundary * 2;
+    z = (random() - 0.5) * boundary * 2;
+
+    // Check if position is outside house exclusion zone
+    const distanceFromCenter = Math.sqrt(x * x + z * z);
+
+    if (distanceFromCenter > houseRadius) {
+      validPosition = true;
+    }
+
+    attempts++;
+  }
+
+  // Fallback: place at boundary edge if no valid position found
+  if (!validPosition) {
+    const angle = random() * Math.PI * 2;
+    const radius = boundary * 0.8;
+    x = Math.cos(angle) * radius;
+    z = Math.sin(angle) * radius;
+  }
+
+  return { x, z };
+}
+
+// Resolves once the promise callbacks queued so far have run (a task, without setTimeout's minimum delay)
+function settle() {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => {
+      channel.port1.close();
+      resolve();
+    };
+    channel.port2.postMessage(null);
+  });
+}
+
+// Avatar world shared by all apps: renderer, cameras, controls, virtual clock,
+// avatar roster and bubble/timeline UI. App-specific logic is registered as behaviors.
+export class World {
+  // options: {
+  //   gvrmFiles, fbxFiles, defaultAvatarCount, maxAvatars,
+  //   boundary, houseRadius,   // spawn area (houseRadius = exclusion zone around the origin)
+  //   centerHouse, dayNight,   // scene features
+  //   walker,                  // Walker options, or null to disable walkers
+  //   speechDuration,          // ms
+  //   dialogue,                // JSON line sources per topic (see JsonDialogueProvider)
+  //   avatarNames,             // { 'sample1.gvrm': 'しゅり', ... } display names used as the speaker
+  //   autosave,                // Seconds between snapshots saved to localStorage (or ?autosave=), 0 = off
+  //   seed,                    // Seed of all behavioural randomness (or ?seed=), makes runs repeatable
+  //   startTime,               // Virtual hour the clock starts at (or ?time=, e.g. ?time=18:30), default 8
+  //   weather                  // Weather options (see Weather; ?weather=rain keeps one type), false for none.
+  //                            // On by default with the day/night cycle.
+  // }
+  //
+  // ?restore resumes from the snapshot saved with the S key (or autosave), ?restore=<url> from a downloaded one (D key)
+  //
+  // Time controls (panel next to the analog clock, Space to pause): setPaused(), setSpeed() and jumpTo() tell
+  // behaviors through onTimeChange.
+  //
+  // The simulation (clock, behaviors, walkers) advances in fixed steps of world.simulation, rendering once per frame.
+  // With a seed it is deterministic: promise callbacks settle between steps and no steps are taken while animation
+  // clips or preload()ed data load, so loads and callbacks land on the same step in every run and the same seed
+  // gives the same trajectories and timeline, at any frame rate.
+  constructor(options = {}) {
+    this.options = options;
+    this.gvrmFiles = options.gvrmFiles ?? defaultGvrmFiles;
+    this.fbxFiles = options.fbxFiles ?? defaultFbxFiles;
+    this.boundary = options.boundary ?? 11.25; // Same as walker
+    this.houseRadius = options.houseRadius ?? 3.5; // Exclusion zone around center house
+    this.dayNight = options.dayNight ?? true;
+    this.walkerOptions = options.walker === undefined ? {} : options.walker;
+
+    this.behaviors = [];
+
+    // UI
+    this.container = document.getElementById('threejs-container');
+    this.width = window.innerWidth;
+    this.height = window.innerHeight;
+
+    // params
+    this.params = new URL(window.location.href).searchParams;
+
+    // Seeded randomness (before anything random happens, see random.js)
+    this.seed = this.params.get('seed') ?? options.seed ?? null;
+    this.deterministic = this.seed !== null;
+    setSeed(this.seed);
+    if (this.deterministic) console.log(`Deterministic run with seed "${this.seed}"`);
+
+    // renderer
+    this.renderer = new THREE.WebGLRenderer({ antialias: true });
+    this.container.appendChild(this.renderer.domElement);
+    this.renderer.setSize(this.width, this.height);
+
+    // camera
+    this.camera = new THREE.PerspectiveCamera(65.0, this.width / this.height, 0.01, 2000.0);
+    this.camera.position.set(2.0, 6.0, 12.0);
+    this.camera.aspect = this.width / this.height;
+    this.camera.updateProjectionMatrix();
+
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+    this.controls.screenSpacePanning = true;
+    this.controls.target.set(0.0, 0.8, 0.0);
+    this.controls.minDistance = 0.1;
+    this.controls.maxDistance = 50;
+    this.controls.enableDamping = true;
+    this.controls.enableZoom = false;
+    this.controls.enablePan = false;
+    this.controls.update();
+
+    this.controls2 = new TrackballControls(this.camera, this.renderer.domElement);
+    this.controls2.noRotate = true;
+    this.controls2.target.set(0.0, 0.4, 0.0);
+    this.controls2.noPan = false;
+    this.controls2.noZoom = false;
+    this.controls2.zoomSpeed = 0.25;
+    this.controls2.useDummyMouseWheel = true;
+    this.controls2.update();
+
+    // scene
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x000000);
+
+    // Ambient light (constant illumination)
+    this.ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+    this.scene.add(this.ambientLight);
+
+    // Directional light
+    this.light = new THREE.DirectionalLight(0xffffff, Math.PI);
+    this.light.position.set(10.0, 10.0, 10.0);
+    this.scene.add(this.light);
+
+    this.gridHelper = new THREE.GridHelper(300, 60, 0x808080, 0x808080); // Dark scene grid
+    this.scene.add(this.gridHelper);
+    this.axesHelper = new THREE.AxesHelper(0.5);
+    this.scene.add(this.axesHelper);
+    this.sky = createSky(this.scene);
+    this.houses = createHouses(this.scene);
+
+    // Add center house
+    this.centerHouse = (options.centerHouse ?? true) ? createCenterHouse(this.scene) : null;
+
+    // Navigation grid built from registered obstacles (walkers route around them)
+    this.navGrid = new NavGrid({ boundary: this.boundary });
+    this.navDebug = new NavDebugOverlay(this.scene, this.navGrid);
+    this.navDebug.visible = this.params.has('navdebug');
+    for (const house of this.houses) {
+      this.registerObstacle(house);
+    }
+    if (this.centerHouse) {
+      this.registerObstacle(this.centerHouse);
+    }
+
+    // Walkers sidestep and yield for each other
+    this.steering = new LocalSteering({ navGrid: this.navGrid });
+
+    // Time system
+    const startTime = this.params.has('time') ? parseTime(this.params.get('time')) : (options.startTime ?? 8);
+    this.clock = new VirtualClock(startTime >= 0 && startTime < 24 ? startTime : 8);
+    this.simulation = new SimulationClock();
+    this.timeControls = new TimeControls(this);
+
+    // Weather (seeded like everything else, so it comes after setSeed)
+    const weatherOptions = options.weather ?? this.dayNight;
+    this.weather = null;
+    this.weatherEffects = null;
+    if (weatherOptions) {
+      this.weather = new Weather({
+        ...(typeof weatherOptions === 'object' ? weatherOptions : {}),
+        ...(this.params.has('weather') ? { fixed: this.params.get('weather') } : {})
+      });
+      this.weather.update(this.clock.day, this.virtualTime);
+      this.weatherEffects = new WeatherEffects(this);
+    }
+
+    // Without a day/night cycle the sky stays dark (night)
+    updateSky(this.sky, this.dayNight ? this.virtualTime : 0, this.weather ? this.weather.state : null);
+
+    // Limit avatar count to not exceed gvrmFiles length
+    const requestedN = parseInt(this.params.get('n')) || (options.defaultAvatarCount ?? 6);
+    this.N = Math.min(requestedN, options.maxAvatars ?? this.gvrmFiles.length);
+
+    // Track current animation state for each model
+    this.modelAnimations = [];
+
+    this.gvrms = [];
+    this.fileNames = []; // .gvrm file name per avatar (same order as gvrms)
+    this.animations = []; // AnimationLibrary per avatar (same order as gvrms)
+    this.stateMachines = []; // Animation StateMachine per avatar (walker or app-specific), shown by the inspector
+    this.walkers = [];
+    this.loadCount = 0;
+    this.totalLoadCount = this.N;
+    window.gvrms = this.gvrms;
+
+    this.allModelsReady = false;
+    this.loading = 0; // Pending preload()s
+
+    this.loadDisplay = document.getElementById('loaddisplay');
+
+    // Speech bubble system
+    this.speechBubbles = new SpeechBubbles(this, options.speechDuration ?? 3000);
+    this.stateInspector = new StateInspector(this);
+    this.stateInspector.visible = this.params.has('inspector');
+
+    // Speech/diary text (JSON lines, or a local language model with ?llm=)
+    this.dialogue = createDialogueProvider(this.params, options.dialogue ?? {});
+    this.preload(this.dialogue.preload());
+    this.avatarNames = options.avatarNames ?? {};
+    this.timeline = []; // Recent timeline entries ('08:15 ...'), context for the dialogue provider
+    this.timelineContext = 10;
+
+    this.showSpeechBubble = this.showSpeechBubble.bind(this);
+    this.addTimelineEvent = this.addTimelineEvent.bind(this);
+
+    // Make showSpeechBubble accessible globally for interactions
+    window.showSpeechBubble = this.showSpeechBubble;
+
+    this.fpsc = new FPSCounter();
+
+    // Snapshots (see snapshot.js)
+    this.snapshot = null; // Snapshot being restored, until all avatars are ready
+    this.autosave = parseFloat(this.params.get('autosave')) || (options.autosave ?? 0);
+    window.saveWorld = () => this.saveWorld();
+    window.downloadWorld = () => this.downloadWorld();
+
+    this.animate = this.animate.bind(this);
+    this.addEventListeners();
+  }
+
+  get virtualTime() {
+    return this.clock.time;
+  }
+
+  // Seconds simulated by the current step. Speeds and durations are per second (or virtual hour),
+  // so they hold at any frame rate; clock.delta is the same step in virtual hours.
+  get delta() {
+    return this.simulation.step;
+  }
+
+  get paused() {
+    return this.simulation.paused;
+  }
+
+  get speed() {
+    return this.simulation.speed;
+  }
+
+  // Pause or resume the whole simulation (clock, behaviors, walkers and animation clips)
+  setPaused(paused) {
+    if (paused === this.simulation.paused) return;
+    this.simulation.paused = paused;
+    this.simulation.lastTime = null; // Don't count the pause as elapsed time
+    this.emit('onTimeChange', { paused });
+  }
+
+  togglePause() {
+    this.setPaused(!this.paused);
+  }
+
+  // Simulated seconds per real second (1 = 24 virtual hours per real minute)
+  setSpeed(speed) {
+    if (!(speed > 0) || speed === this.simulation.speed) return;
+    this.simulation.speed = speed;
+    this.emit('onTimeChange', { speed });
+  }
+
+  // Skip forward to a virtual hour (into the next day when it is earlier than now)
+  jumpTo(hour) {
+    const from = this.virtualTime;
+    const nextDay = this.clock.jumpTo(hour);
+    this.emit('onTimeChange', { jump: { from, to: this.virtualTime, nextDay } });
+    if (nextDay) {
+      this.emit('onNewDay');
+    }
+    this.updateWeather();
+  }
+
+  // Weather follows the clock; behaviors hear about changes through onWeatherChange
+  updateWeather() {
+    updateWeather(this);
+  }
+
+  // Register an object that walkers must route around
+  registerObstacle(object3D, padding) {
+    return this.navGrid.addObstacle(object3D, padding);
+  }
+
+  // Register a behavior plugin
+  use(behavior) {
+    this.behaviors.push(behavior);
+    return this;
+  }
+
+  // Data the simulation depends on (JSON files, stored history), loaded by behaviors and providers.
+  // Seeded runs take no steps while any of it is loading, so when a load finishes doesn't change the run.
+  // Returns the promise.
+  preload(promise) {
+    this.loading++;
+    const done = () => {
+      this.loading--;
+    };
+    promise.then(done, done);
+    return promise;
+  }
+
+  emit(hook, ...args) {
+    for (const behavior of this.behaviors) {
+      if (behavior[hook]) {
+        behavior[hook](this, ...args);
+      }
+    }
+  }
+
+  start() {
+    if (this.params.has('restore')) {
+      readSnapshot(this.params.get('restore')).then(snapshot => this.begin(snapshot));
+    } else {
+      this.begin(null);
+    }
+  }
+
+  begin(snapshot) {
+    if (snapshot) {
+      this.applySnapshot(snapshot);
+    }
+
+    this.emit('setup');
+    this.loadAllModels();
+    this.animate();
+
+    if (this.autosave > 0) {
+      setInterval(() => this.saveWorld(), this.autosave * 1000);
+      window.addEventListener('pagehide', () => this.saveWorld());
+    }
+  }
+
+  // Roster, clock and dialogue state come back before anything loads; avatars and behaviors as they get ready
+  applySnapshot(snapshot) {
+    this.snapshot = snapshot;
+    this.gvrmFiles = snapshot.avatars.map(avatar => avatar.file);
+    this.N = this.gvrmFiles.length;
+    this.totalLoadCount = this.N;
+
+    this.clock.time = snapshot.clock.time;
+    this.clock.day = snapshot.clock.day;
+    if (this.weather && snapshot.weather) {
+      this.weather.restoreState(snapshot.weather);
+    }
+    this.updateWeather();
+    if (this.dayNight) {
+      updateSky(this.sky, this.virtualTime, this.weather ? this.weather.state : null);
+    }
+
+    this.timeline = snapshot.timeline ?? [];
+    if (snapshot.dialogue && this.dialogue.restoreState) {
+      this.dialogue.restoreState(snapshot.dialogue);
+    }
+    console.log(`Restoring world saved at ${snapshot.savedAt}: ${this.N} avatars, Day ${this.clock.day + 1} ${formatTimeHM(this.virtualTime)}`);
+  }
+
+  restoreAvatar(gvrm, saved) {
+    const scene = gvrm.character.currentVrm.scene;
+    scene.position.set(saved.position[0], saved.position[1], saved.position[2]);
+    scene.rotation.y = saved.rotation;
+  }
+
+  restoreBehaviors(snapshot) {
+    for (const behavior of this.behaviors) {
+      const state = snapshot.behaviors ? snapshot.behaviors[behavior.constructor.name] : undefined;
+      if (state !== undefined && behavior.restoreState) {
+        behavior.restoreState(this, state);
+      }
+    }
+  }
+
+  // Save a snapshot to localStorage (restored with ?restore). Returns true when saved.
+  saveWorld() {
+    if (!this.allModelsReady) return false;
+    return writeSnapshot(captureSnapshot(this));
+  }
+
+  downloadWorld() {
+    if (!this.allModelsReady) return;
+    const time = formatTimeHM(this.virtualTime).replace(':', '');
+    downloadSnapshot(captureSnapshot(this), `world-day${this.clock.day + 1}-${time}.json`);
+  }
+
+  showSpeechBubble(index, comment) {
+    this.speechBubbles.show(index, comment);
+  }
+
+  addTimelineEvent(virtualTime, eventText) {
+    addTimelineEvent(virtualTime, eventText);
+
+    this.timeline.push(`${formatTimeHM(virtualTime)} ${eventText}`);
+    if (this.timeline.length > this.timelineContext) {
+      this.timeline.shift();
+    }
+  }
+
+  // Display name of an avatar (avatarNames option, or the file name without extension)
+  avatarName(index) {
+    const fileName = this.fileNames[index] ?? '';
+    return this.avatarNames[fileName] ?? fileName.replace(/\.gvrm$/, '');
+  }
+
+  // Ask the dialogue provider for a line with the avatar's context
+  // (request: { topic, key, visibleObjects, ... }). Resolves to the line, or `fallback` when there is none.
+  generateLine(index, request, fallback = null) {
+    return this.dialogue.generate({
+      speaker: this.avatarName(index),
+      timeOfDay: this.virtualTime,
+      weather: this.weather ? this.weather.current : undefined,
+      timeline: this.timeline.slice(),
+      ...request
+    }).then(line => line ?? fallback).catch(error => {
+      console.error('Failed to generate line:', error);
+      return fallback;
+    });
+  }
+
+  // Generate a line and show it above the avatar. Resolves to the spoken line (or null).
+  speak(index, request, fallback = 'やっほー') {
+    return this.generateLine(index, request, fallback).then(line => {
+      if (line) this.showSpeechBubble(index, line);
+      return line;
+    });
+  }
+
+  // Default placement: random position (avoiding center house and obstacles) and rotation
+  placeAvatar(gvrm) {
+    let pos = generateRandomPosition(this.boundary, this.houseRadius);
+    if (!this.navGrid.isWalkable(pos.x, pos.z)) {
+      pos = this.navGrid.nearestWalkablePoint(pos.x, pos.z) ?? pos;
+    }
+
+    // Generate random initial rotation
+    const randomRotationY = (random() - 0.5) * Math.PI * 2; // -π to π
+
+    gvrm.character.currentVrm.scene.position.set(pos.x, 0, pos.z);
+    gvrm.character.currentVrm.scene.rotation.y = randomRotationY;
+  }
+
+  async loadAllModels() {
+    for (let i = 0; i < this.N; i++) {
+      const fileName = this.gvrmFiles[i].split('/').pop();
+      const promise = GVRM.load(this.gvrmFiles[i], this.scene, this.camera, this.renderer, fileName);
+
+      promise.then((gvrm) => {
+        const saved = this.snapshot ? this.snapshot.avatars[i] : null;
+        if (saved) {
+          this.restoreAvatar(gvrm, saved);
+        } else {
+          this.placeAvatar(gvrm);
+        }
+
+        const characterIndex = this.gvrms.length;
+        this.gvrms.push(gvrm);
+        this.fileNames.push(fileName);
+
+        // Cached animation clips (shared between avatars loaded from the same file)
+        const animations = new AnimationLibrary(gvrm, this.gvrmFiles[i]);
+        this.animations.push(animations);
+        // Set initial animation to Idle
+        this.modelAnimations.push(0);
+
+        // Create speech bubble for this character
+        this.speechBubbles.create(characterIndex);
+
+        // Create Walker
+        let walker = null;
+        if (this.walkerOptions) {
+          walker = new Walker(gvrm, i, {
+            navGrid: this.navGrid,
+            animations,
+            now: () => this.virtualTime,
+            ...this.walkerOptions
+          });
+          this.walkers.push(walker);
+          this.stateMachines[characterIndex] = walker.state;
+        }
+
+        this.emit('onAvatarLoaded', gvrm, characterIndex, fileName);
+
+        // Load Idle.fbx then initialize Walker
+        animations.play('Idle', { fade: 0 }).then(() => {
+          this.loadCount++;
+          this.updateLoadingDisplay();
+
+          // Initialize Walker animations (then resume where the snapshot left it)
+          if (walker) {
+            walker.initAnimations().then(() => {
+              if (saved && saved.walker) walker.restoreState(saved.walker);
+            });
+          } else if (saved && saved.animation && !this.stateMachines[characterIndex]) {
+            animations.play(saved.animation);
+          }
+
+          if (this.loadCount === this.totalLoadCount) {
+            this.allModelsReady = true;
+            this.emit('onReady');
+
+            if (this.snapshot) {
+              this.restoreBehaviors(this.snapshot);
+              this.snapshot = null;
+            }
+          }
+        });
+      });
+      await promise;
+    }
+  }
+
+  updateLoadingDisplay() {
+    const percentage = Math.floor((this.loadCount / this.totalLoadCount) * 100);
+    this.loadDisplay.textContent = percentage + '%';
+  }
+
+  addEventListeners() {
+    const container = this.container;
+
+    window.addEventListener('resize', (event) => {
+      this.width = window.innerWidth;
+      this.height = window.innerHeight;
+      this.renderer.setSize(this.width, this.height);
+      this.camera.aspect = this.width / this.height;
+      this.camera.updateProjectionMatrix();
+      this.renderer.render(this.scene, this.camera);
+    });
+
+    window.addEventListener('keydown', (event) => {
+      // Typing into a text field (e.g. app5's diary search) is not a hotkey
+      if (isEditableTarget(event.target)) return;
+
+      if (event.code === "KeyN") {
+        // Toggle navigation grid / path overlay
+        this.navDebug.toggle();
+      }
+
+      if (event.code === "KeyI") {
+        // Toggle animation state inspector
+        this.stateInspector.toggle();
+      }
+
+      if (event.code === "KeyS") {
+        // Save a snapshot (?restore to resume)
+        if (this.saveWorld()) console.log('World saved');
+      }
+
+      if (event.code === "KeyD") {
+        // Download a snapshot (?restore=<url> to resume)
+        this.downloadWorld();
+      }
+
+      if (event.code === "Space") {
+        // Pause/resume the simulation
+        event.preventDefault();
+        this.togglePause();
+      }
+
+      // Enable debug features only when N=1
+      if (this.N === 1 && this.gvrms.length > 0) {
+        const gvrm = this.gvrms[0];
+        if (!gvrm || !gvrm.isReady) return;
+
+        if (event.code === "KeyX") {
+          // Toggle VRM mesh visibility
+          GVRMUtils.visualizeVRM(gvrm.character, null);
+        }
+        if (event.code === "KeyZ") {
+          // Toggle bone axes visibility
+          GVRMUtils.visualizeBoneAxes(gvrm, null);
+        }
+      }
+    });
+
+    // Drag and drop implementation
+    container.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      const file = event.dataTransfer.items[0];
+      if (file && file.type === '' && event.dataTransfer.items[0].getAsFile()?.name.endsWith('.gvrm')) {
+        container.style.backgroundColor = 'rgba(100, 100, 100, 0.2)';
+      }
+    });
+
+    container.addEventListener('dragleave', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      container.style.backgroundColor = '';
+    });
+
+    container.addEventListener('drop', async (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      container.style.backgroundColor = '';
+
+      const files = event.dataTransfer.files;
+      if (files.length === 0) return;
+
+      const file = files[0];
+      if (!file.name.endsWith('.gvrm')) {
+        console.error('Not a .gvrm file');
+        return;
+      }
+
+      // Get center character (index 0)
+      const centerGVRM = this.gvrms[0];
+      if (!centerGVRM || !centerGVRM.isReady) {
+        console.error('Center character not ready');
+        return;
+      }
+
+      try {
+        // Read file as Blob
+        const blob = new Blob([file], { type: file.type });
+        const url = URL.createObjectURL(blob);
+
+        // Save current animation index
+        const currentAnimIndex = this.modelAnimations[0];
+
+        // Remove existing GVRM
+        await centerGVRM.remove(this.scene);
+
+        // Load new GVRM
+        const newGVRM = await GVRM.load(url, this.scene, this.camera, this.renderer, file.name);
+
+        // Set position (center position)
+        newGVRM.character.currentVrm.scene.position.set(0, 0, 1);
+
+        // Update gvrms array
+        this.gvrms[0] = newGVRM;
+        this.fileNames[0] = file.name;
+        this.animations[0] = new AnimationLibrary(newGVRM, file.name);
+
+        // Apply current animation
+        await this.animations[0].play(this.fbxFiles[currentAnimIndex], { fade: 0 });
+
+        // Release URL
+        URL.revokeObjectURL(url);
+
+        console.log(`Replaced center character with: ${file.name}`);
+      } catch (error) {
+        console.error('Failed to load dropped GVRM:', error);
+      }
+    });
+  }
+
+  updateRenderOrder() {
+    if (!this.allModelsReady || this.gvrms.length === 0) return;
+
+    const cameraPosition = this.camera.position.clone();
+
+    const modelDistances = this.gvrms.map((gvrm, index) => {
+      if (!gvrm || !gvrm.isReady || !gvrm.character || !gvrm.character.currentVrm) {
+        return { index, distance: Infinity };
+      }
+      const modelPosition = gvrm.character.currentVrm.scene.position.clone();
+      const distance = modelPosition.distanceTo(cameraPosition);
+      return { index, distance };
+    });
+
+    modelDistances.sort((a, b) => b.distance - a.distance);
+
+    modelDistances.forEach((model, sortedIndex) => {
+      const { index } = model;
+      const gvrm = this.gvrms[index];
+
+      if (gvrm && gvrm.isReady && gvrm.gs && gvrm.gs.viewer && gvrm.gs.viewer.viewer && gvrm.gs.viewer.viewer.splatMesh) {
+        gvrm.gs.viewer.viewer.splatMesh.renderOrder = sortedIndex;
+      }
+    });
+  }
+
+  // Take this frame's simulation steps (paced by real time, see SimulationClock.advance). Returns the number taken.
+  // With a seed, pending promise callbacks run before every step and no step is taken while clips or preloaded data
+  // load, so they land on the same step whatever the frame rate.
+  async runSteps() {
+    const steps = this.simulation.advance(performance.now());
+    for (let i = 0; i < steps; i++) {
+      if (this.deterministic) {
+        await settle();
+        if (loadingClips() > 0 || this.loading > 0) return i; // The rest of the frame's time is dropped
+      }
+      this.step();
+    }
+    return steps;
+  }
+
+  // One fixed step of the simulation (see simulation.js)
+  step() {
+    stepWorld(this);
+  }
+
+  async animate() {
+    if (!this.allModelsReady) {
+      requestAnimationFrame(this.animate);
+      return;
+    }
+
+    const steps = await this.runSteps();
+
+    if (this.dayNight) {
+      // Update sky based on time and weather
+      updateSky(this.sky, this.virtualTime, this.weather ? this.weather.state : null);
+      updateAnalogClock(this.virtualTime);
+    }
+    if (this.weatherEffects) {
+      this.weatherEffects.update(steps * this.delta);
+    }
+    this.timeControls.update();
+
+    // Update speech bubble positions
+    this.speechBubbles.update();
+
+    // Animation clips follow the simulation speed (and hold their pose while paused)
+    const timeScale = this.paused ? 0 : this.speed;
+    for (const gvrm of this.gvrms) {
+      if (gvrm && gvrm.isReady) {
+        if (gvrm.character.mixer) gvrm.character.mixer.timeScale = timeScale;
+        // Update entire GVRM (includes character.update() and updateByBones())
+        gvrm.update();
+      }
+    }
+
+    this.navDebug.update(this.walkers);
+    this.stateInspector.update();
+
+    this.updateRenderOrder();
+    this.controls.update();
+    this.controls2.update();
+    this.renderer.render(this.scene, this.camera);
+
+    this.emit('afterRender');
+
+    this.fpsc.update();
+    requestAnimationFrame(this.animate);
+  }
+}
@@ -0,0 +1,71 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualClock, SimulationClock } from '../core/clock.js';
+import { HeadlessWorld } from './harness.js';
+
+test('jumpTo moves forward, into the next day for an earlier hour', () => {
+  const clock = new VirtualClock(8);
+
+  assert.equal(clock.jumpTo(18.5), false);
+  assert.equal(clock.time, 18.5);
+  assert.equal(clock.day, 0);
+
+  assert.equal(clock.jumpTo(6), true);
+  assert.equal(clock.time, 6);
+  assert.equal(clock.day, 1);
+
+  assert.equal(clock.jumpTo(30), false); // 6:00, already there
+  assert.equal(clock.day, 1);
+});
+
+test('the simulation takes no steps while paused and scales them with the speed', () => {
+  const simulation = new SimulationClock(1 / 60, 4);
+  simulation.advance(0);
+  assert.equal(simulation.advance(1000 / 60), 1);
+
+  simulation.speed = 4;
+  assert.equal(simulation.advance(2000 / 60), 4);
+
+  simulation.speed = 0.5;
+  const steps = [1, 2, 3, 4].map(i => simulation.advance((2 + i) * 1000 / 60));
+  assert.deepEqual(steps, [0, 1, 0, 1]);
+
+  simulation.paused = true;
+  assert.equal(simulation.advance(10000), 0);
+  assert.equal(simulation.frame, 0); // advance() only counts, tick() steps
+});
+
+test('a long frame is capped in proportion to the speed', () => {
+  const simulation = new SimulationClock(1 / 60, 4);
+  simulation.speed = 8;
+  assert.equal(simulation.stepsFor(10), 32);
+  assert.equal(simulation.accumulator, 0);
+});
+
+test('walkers cover the same ground per simulated second at any speed', async () => {
+  const walk = async (speed) => {
+    const world = new HeadlessWorld({ seed: 'speed', avatars: 2, walker: { specialAnimationChance: 0 } });
+    await world.load();
+    world.simulation.speed = speed;
+    // One second of real time in frames of 1/60 s
+    for (let frame = 0; frame < 60; frame++) {
+      await world.run(world.simulation.stepsFor(1 / 60));
+    }
+    return { frame: world.simulation.frame, positions: [world.position(0), world.position(1)] };
+  };
+
+  const normal = await walk(1);
+  const fast = await walk(2);
+  assert.equal(normal.frame, 60);
+  assert.equal(fast.frame, 120);
+
+  // Twice the steps: the normal run taken on for the same number of steps ends up in the same place
+  const world = new HeadlessWorld({ seed: 'speed', avatars: 2, walker: { specialAnimationChance: 0 } });
+  await world.load();
+  await world.run(120);
+  assert.deepEqual([world.position(0), world.position(1)], fast.positions);
+});
@@ -0,0 +1,84 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { HttpDialogueProvider, JsonDialogueProvider } from '../core/dialogue.js';
+import { createMockDialogueServer } from '../tools/mockDialogueServer.mjs';
+
+const gags = ['ふとんがふっとんだ', 'アルミ缶の上にあるミカン', '電話に出んわ'];
+
+// HttpDialogueProvider against the mock server (options: { delay, status }), falling back to the JSON lines.
+// Resolves to { provider, fallback, requests () => number of completions asked for, close }
+async function createProvider(serverOptions = {}, providerOptions = {}) {
+  const server = createMockDialogueServer(serverOptions);
+  let requests = 0;
+  server.on('request', (request) => {
+    if (request.method === 'POST') requests++;
+  });
+  server.listen(0);
+  await once(server, 'listening');
+
+  const fallback = new JsonDialogueProvider({ gag: { data: gags, unique: true } });
+  const provider = new HttpDialogueProvider({
+    endpoint: `http://localhost:${server.address().port}/v1/chat/completions`,
+    fallback,
+    ...providerOptions
+  });
+  const close = () => {
+    server.closeAllConnections();
+    server.close();
+  };
+  return { provider, fallback, requests: () => requests, close };
+}
+
+test('the endpoint\'s reply is used', async (t) => {
+  const { provider, requests, close } = await createProvider();
+  t.after(close);
+
+  assert.equal(await provider.generate({ topic: 'detection', key: '木' }), '（モック）木！');
+  assert.equal(requests(), 1);
+});
+
+test('a reply later than the timeout falls back to the JSON lines', async (t) => {
+  const { provider, close } = await createProvider({ delay: 300 }, { timeout: 50 });
+  t.after(close);
+  t.mock.method(console, 'warn', () => {});
+
+  assert.ok(gags.includes(await provider.generate({ topic: 'gag' })));
+});
+
+test('an HTTP error falls back to the JSON lines', async (t) => {
+  const { provider, requests, close } = await createProvider({ status: 500 });
+  t.after(close);
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  assert.ok(gags.includes(await provider.generate({ topic: 'gag' })));
+  assert.equal(requests(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /HTTP 500/);
+});
+
+test('the endpoint is skipped for retryAfter after a failure', async (t) => {
+  const { provider, requests, close } = await createProvider({ status: 503 }, { retryAfter: 200 });
+  t.after(close);
+  t.mock.method(console, 'warn', () => {});
+
+  await provider.generate({ topic: 'gag' });
+  assert.ok(gags.includes(await provider.generate({ topic: 'gag' })));
+  assert.equal(requests(), 1); // Skipped
+
+  await new Promise(resolve => setTimeout(resolve, 250));
+  await provider.generate({ topic: 'gag' });
+  assert.equal(requests(), 2); // Tried again
+});
+
+test('style examples don\'t use up unique fallback lines', async (t) => {
+  const { provider, fallback, close } = await createProvider();
+  t.after(close);
+
+  assert.equal(await provider.generate({ topic: 'gag' }), '（モック）こんにちは！');
+  assert.equal(await provider.generate({ topic: 'gag' }), '（モック）こんにちは！');
+  assert.deepEqual(fallback.saveState(), { used: {} }); // All the gags are still there for when the endpoint is away
+});
@@ -0,0 +1,276 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Headless simulation for behavior tests: walkers, behaviors and the virtual clock stepped under Node,
+// without a browser, WebGL or .gvrm files. Avatars are StubGVRMs whose FBX "loads" are empty clips,
+// so the real AnimationLibrary, StateMachine and Walker run unchanged.
+//
+//   const world = new HeadlessWorld({ seed: 'test', avatars: [{ x: 0, z: 0 }] });
+//   await world.load();
+//   await world.run(120);                     // Steps of 1/60 s, the same as World.step()
+//   world.position(0); world.events;          // Trajectories and what happened
+import * as THREE from 'three';
+import seedrandom from 'seedrandom';
+import { AnimationLibrary, animationName } from '../core/animation.js';
+import { VirtualClock, SimulationClock } from '../core/clock.js';
+import { stepWorld } from '../core/simulation.js';
+import { LocalSteering } from '../core/steering.js';
+import { Walker } from '../core/walker.js';
+import { formatTimeHM } from '../core/ui.js';
+import { setSeed } from '../core/random.js';
+
+// The apps load seedrandom with a <script> tag
+if (!Math.seedrandom) Math.seedrandom = seedrandom;
+
+// Seconds of the stub clips (one-shot special animations end after their clip), 2 for the others
+export const clipDurations = {
+  Idle: 1,
+  Walking: 1
+};
+
+let stubCount = 0;
+
+// Stand-in for a loaded GVRM: an Object3D with rotation0, a real AnimationMixer and changeFBX()
+export class StubGVRM {
+  constructor(fileName = 'stub.gvrm') {
+    this.fileName = fileName;
+    this.skeletonKey = `${fileName}#${stubCount++}`; // Clips are not shared between harness runs
+    this.isReady = true;
+
+    const scene = new THREE.Object3D();
+    scene.rotation0 = new THREE.Euler(); // Facing correction of the VRM (none here)
+    this.character = {
+      currentVrm: { scene },
+      mixer: new THREE.AnimationMixer(scene),
+      action: null,
+      previousAction: null,
+      isLoading: () => false
+    };
+    this.fbxLoads = []; // Paths passed to changeFBX
+    this.failingClips = new Set(); // Clip names whose load rejects (a missing or broken FBX)
+  }
+
+  get scene() {
+    return this.character.currentVrm.scene;
+  }
+
+  async changeFBX(path) {
+    this.fbxLoads.push(path);
+    const name = animationName(path);
+    await Promise.resolve(); // Loads finish later, like the real fetch
+    if (this.failingClips.has(name)) throw new Error(`Failed to load ${path}`);
+    const clip = new THREE.AnimationClip(name, clipDurations[name] ?? 2, []);
+    const action = this.character.mixer.clipAction(clip);
+    action.play();
+    this.character.action = action;
+  }
+
+  update() {
+    this.character.mixer.update(1 / 60);
+  }
+}
+
+// Lets promise callbacks (clip loads, interaction steps) run, like the browser does between two frames
+export function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// The part of World the behaviors use, plus an event log
+export class HeadlessWorld {
+  // options: {
+  //   seed                 default 'headless' (null: Math.random)
+  //   startTime            virtual hours (default 8)
+  //   avatars              [{ file, x, z, rotation }] (or a count, placed on a line along x)
+  //   walker               Walker options, or null for avatars without walkers (their log is silent unless given)
+  //   navGrid              NavGrid walkers route through (default none: straight lines)
+  //   steering             false to let walkers walk through each other
+  //   fbxFiles             world.fbxFiles (default a few clips of assets/)
+  // }
+  constructor(options = {}) {
+    setSeed(options.seed === undefined ? 'headless' : options.seed);
+    this.seed = options.seed ?? null;
+    this.deterministic = true;
+
+    this.clock = new VirtualClock(options.startTime ?? 8);
+    this.simulation = new SimulationClock();
+    this.navGrid = options.navGrid ?? null;
+    this.steering = options.steering === false ? null : new LocalSteering({ navGrid: this.navGrid });
+    this.walkerOptions = options.walker === undefined ? {} : options.walker;
+    this.avatarOptions = typeof options.avatars === 'number'
+      ? Array.from({ length: options.avatars }, (_, i) => ({ x: i * 2 - options.avatars + 1, z: 0 }))
+      : options.avatars ?? [];
+
+    this.fbxFiles = options.fbxFiles ?? ['../assets/Breathing.fbx', '../assets/Capoeira.fbx', '../assets/Warrior.fbx'];
+    this.params = new URLSearchParams();
+    this.centerHouse = null;
+    this.weather = null; // A Weather to follow the clock, as in World
+    this.loading = 0; // Pending preload()s
+    this.behaviors = [];
+    this.gvrms = [];
+    this.fileNames = [];
+    this.animations = [];
+    this.stateMachines = [];
+    this.walkers = [];
+    this.timeline = [];
+    this.speaking = new Map(); // index -> simulation frame the speech bubble hides at
+    this.speechBubbles = { isShowing: (index) => (this.speaking.get(index) ?? 0) > this.simulation.frame };
+
+    // [{ type: 'timeline' | 'speech' | 'transition', frame, time, ... }]
+    this.events = [];
+
+    this.showSpeechBubble = this.showSpeechBubble.bind(this);
+    this.addTimelineEvent = this.addTimelineEvent.bind(this);
+  }
+
+  get virtualTime() {
+    return this.clock.time;
+  }
+
+  get delta() {
+    return this.simulation.step;
+  }
+
+  get N() {
+    return this.gvrms.length;
+  }
+
+  // Like World.preload: steps wait until the data is loaded
+  preload(promise) {
+    this.loading++;
+    const done = () => {
+      this.loading--;
+    };
+    promise.then(done, done);
+    return promise;
+  }
+
+  use(behavior) {
+    this.behaviors.push(behavior);
+    return this;
+  }
+
+  emit(hook, ...args) {
+    for (const behavior of this.behaviors) {
+      if (behavior[hook]) {
+        behavior[hook](this, ...args);
+      }
+    }
+  }
+
+  record(type, details) {
+    this.events.push({ type, frame: this.simulation.frame, time: this.virtualTime, ...details });
+  }
+
+  // setup, every avatar (onAvatarLoaded), then onReady, like World.begin()
+  async load() {
+    this.emit('setup');
+    for (const avatar of this.avatarOptions) {
+      await this.addAvatar(avatar);
+    }
+    this.emit('onReady');
+  }
+
+  async addAvatar({ file = 'stub.gvrm', x = 0, z = 0, rotation = 0 } = {}) {
+    const gvrm = new StubGVRM(file);
+    gvrm.scene.position.set(x, 0, z);
+    gvrm.scene.rotation.y = rotation;
+
+    const index = this.gvrms.length;
+    this.gvrms.push(gvrm);
+    this.fileNames.push(file);
+    const animations = new AnimationLibrary(gvrm, gvrm.skeletonKey);
+    this.animations.push(animations);
+
+    let walker = null;
+    if (this.walkerOptions) {
+      walker = new Walker(gvrm, index, {
+        navGrid: this.navGrid,
+        animations,
+        now: () => this.virtualTime,
+        log: () => {},
+        ...this.walkerOptions
+      });
+      this.walkers.push(walker);
+      this.stateMachines[index] = walker.state;
+      walker.state.addListener((from, to) => this.record('transition', { index, from, to }));
+    }
+
+    this.emit('onAvatarLoaded', gvrm, index, file);
+
+    await animations.play('Idle', { fade: 0 });
+    if (walker) await walker.initAnimations();
+    return index;
+  }
+
+  showSpeechBubble(index, text) {
+    this.speaking.set(index, this.simulation.frame + 180);
+    this.record('speech', { index, text });
+  }
+
+  addTimelineEvent(virtualTime, text) {
+    this.timeline.push(`${formatTimeHM(virtualTime)} ${text}`);
+    this.record('timeline', { text });
+  }
+
+  avatarName(index) {
+    return (this.fileNames[index] ?? '').replace(/\.gvrm$/, '');
+  }
+
+  // No dialogue provider: speech falls back to the given line
+  generateLine(index, request, fallback = null) {
+    return Promise.resolve(fallback);
+  }
+
+  speak(index, request, fallback = 'やっほー') {
+    return this.generateLine(index, request, fallback).then(line => {
+      if (line) this.showSpeechBubble(index, line);
+      return line;
+    });
+  }
+
+  // One fixed step, the same as World.step() (plus the per-frame gvrm.update())
+  step() {
+    stepWorld(this);
+    this.gvrms.forEach(gvrm => gvrm.update());
+  }
+
+  // Resolves once nothing is preloading (the seeded World takes no steps until then)
+  async loaded() {
+    while (this.loading > 0) await settle();
+  }
+
+  // Take `steps` steps, letting promises settle after each; onStep(world, step) is called after every one
+  async run(steps, onStep = null) {
+    for (let i = 0; i < steps; i++) {
+      await this.loaded();
+      this.step();
+      if (onStep) onStep(this, i);
+      await settle();
+    }
+  }
+
+  // Step until predicate(world) holds. Resolves to the number of steps taken, rejects after maxSteps.
+  async runUntil(predicate, maxSteps = 3600) {
+    for (let i = 0; i < maxSteps; i++) {
+      if (predicate(this)) return i;
+      await this.loaded();
+      this.step();
+      await settle();
+    }
+    if (predicate(this)) return maxSteps;
+    throw new Error(`Condition not reached within ${maxSteps} steps`);
+  }
+
+  position(index) {
+    const position = this.gvrms[index].scene.position;
+    return { x: position.x, z: position.z };
+  }
+
+  // Positions of all avatars, one entry per step, while running `steps` steps
+  async trace(steps) {
+    const trajectory = [];
+    await this.run(steps, () => trajectory.push(this.gvrms.map((gvrm, index) => this.position(index))));
+    return trajectory;
+  }
+}
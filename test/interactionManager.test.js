@@ -0,0 +1,162 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessWorld } from './harness.js';
+import { InteractionManager } from '../app2/interactionManager.js';
+import { Interaction } from '../app2/interaction.js';
+
+const definitions = [
+  {
+    name: 'Greeting',
+    duration: 2.5, // 1 virtual hour
+    timeline: [
+      { role: 'first', say: 'こんにちは！' },
+      { at: 1, role: 'second', say: 'やっほー！' }
+    ]
+  }
+];
+
+// Runs an InteractionManager like app2's InteractionBehavior does
+async function createWorld(options = {}, managerOptions = {}) {
+  const world = new HeadlessWorld({ avatars: 4, walker: { specialAnimationChance: 0 }, ...options });
+  await world.load();
+
+  const manager = new InteractionManager(world.gvrms, world.walkers, {
+    timeOfDay: world.virtualTime,
+    showSpeechBubble: world.showSpeechBubble,
+    addTimelineEvent: world.addTimelineEvent
+  }, { definitions, ...managerOptions });
+  await manager.ready;
+
+  world.use({ update: (world) => manager.update(world.virtualTime, world.delta) });
+  return { world, manager };
+}
+
+test('shouldStartInteraction counts the interval across midnight', async () => {
+  const { manager } = await createWorld({}, { interval: 1 });
+
+  manager.advance(23.5);
+  manager.lastStartAt = manager.elapsed;
+
+  manager.advance(0.2); // 0.7 hours later
+  assert.ok(Math.abs(manager.elapsed - 0.7) < 1e-9);
+  assert.equal(manager.shouldStartInteraction(), false);
+
+  manager.advance(0.6); // 1.1 hours later
+  assert.equal(manager.shouldStartInteraction(), true);
+});
+
+test('shouldStartInteraction keeps counting over several days', async () => {
+  const { manager } = await createWorld({}, { interval: 30 });
+
+  manager.advance(20);
+  manager.lastStartAt = manager.elapsed;
+  for (const time of [4, 12, 20, 1]) manager.advance(time); // 29 hours
+  assert.equal(manager.shouldStartInteraction(), false);
+
+  manager.advance(2.5);
+  assert.equal(manager.shouldStartInteraction(), true);
+});
+
+test('shouldStartInteraction needs room and two free avatars', async () => {
+  const { manager } = await createWorld({ avatars: 3 }, { interval: 0, maxConcurrent: 1 });
+  manager.advance(8);
+  assert.equal(manager.shouldStartInteraction(), true);
+
+  manager.activeInteractions.push({ indices: [0, 1], isActive: true });
+  assert.equal(manager.shouldStartInteraction(), false); // maxConcurrent
+
+  manager.maxConcurrent = 2;
+  assert.equal(manager.shouldStartInteraction(), false); // Only avatar 2 is free
+});
+
+test('interactions go on starting after midnight', async () => {
+  const { world } = await createWorld({ startTime: 22.5 }, { interval: 1, maxConcurrent: 2, cooldown: 0 });
+
+  await world.run(60 * 10); // 4 virtual hours, over midnight
+
+  const starts = world.events.filter(event => event.type === 'timeline' && event.text.startsWith('Greeting'));
+  assert.ok(starts.length >= 3, `only ${starts.length} interactions started`);
+  assert.ok(starts.some(event => event.time < 2), 'nothing started after midnight');
+
+  // One hour (or more) between starts, also across the wrap-around
+  for (let i = 1; i < starts.length; i++) {
+    const hours = (starts[i].time - starts[i - 1].time + 24) % 24;
+    assert.ok(hours >= 1 - 1e-9, `${starts[i - 1].time} -> ${starts[i].time}`);
+  }
+
+  assert.ok(world.events.some(event => event.type === 'speech' && event.text === 'やっほー！'));
+});
+
+test('an interaction ended while the avatars gather finishes starting', async () => {
+  const world = new HeadlessWorld({ avatars: [{ x: -4, z: 0 }, { x: 4, z: 0 }], walker: { specialAnimationChance: 0 } });
+  await world.load();
+
+  const participants = [0, 1].map(index => ({ index, gvrm: world.gvrms[index], walker: world.walkers[index] }));
+  const interaction = new Interaction(participants, { showSpeechBubble: world.showSpeechBubble });
+  world.use({ update: (world) => interaction.update(world.delta) });
+
+  let started = false;
+  interaction.start().then(() => { started = true; });
+  await world.run(10);
+  assert.equal(interaction.isGathered, false); // Still on the way
+
+  interaction.end();
+  await world.run(10);
+  assert.equal(started, true);
+  assert.equal(interaction.isGathered, false);
+  assert.ok(world.walkers.every(walker => walker.group === null));
+});
+
+// Seeded run with interactions.json answered after `delay` ms
+async function runWithFetchDelay(delay) {
+  const fetch = globalThis.fetch;
+  globalThis.fetch = () => new Promise(resolve => setTimeout(() => resolve({ json: async () => definitions }), delay));
+  try {
+    const world = new HeadlessWorld({ seed: 'x', avatars: 4, walker: { specialAnimationChance: 0 } });
+    await world.load();
+    const manager = new InteractionManager(world.gvrms, world.walkers, {
+      timeOfDay: world.virtualTime,
+      showSpeechBubble: world.showSpeechBubble,
+      addTimelineEvent: world.addTimelineEvent
+    }, { definitions: './interactions.json', interval: 0.5, cooldown: 0 });
+    world.preload(manager.ready); // Like app2's InteractionBehavior
+    world.use({ update: (world) => manager.update(world.virtualTime, world.delta) });
+
+    await world.run(60 * 8);
+    return { timeline: world.timeline, positions: world.gvrms.map((gvrm, index) => world.position(index)) };
+  } finally {
+    globalThis.fetch = fetch;
+  }
+}
+
+test('when interactions.json arrives doesn\'t change a seeded run', async () => {
+  const first = await runWithFetchDelay(0);
+  assert.ok(first.timeline.length >= 2, `only ${first.timeline.length} interactions started`);
+  assert.deepEqual(await runWithFetchDelay(30), first);
+  assert.deepEqual(await runWithFetchDelay(120), first);
+});
+
+test('conditions of later actions see the time they happen at', async () => {
+  const { world } = await createWorld({ startTime: 8 }, {
+    interval: 0,
+    maxConcurrent: 1,
+    definitions: [{
+      name: 'Chat',
+      duration: 7.5, // 3 virtual hours, so it ends after 10:00
+      timeline: [
+        { role: 'first', say: 'おはよう', when: { time: [6, 10] } },
+        { at: 'end', role: 'first', say: 'またね', when: { time: [10, 12] } },
+        { at: 'end', role: 'first', say: 'まだ朝だね', when: { time: [6, 10] } }
+      ]
+    }]
+  });
+
+  await world.runUntil(() => world.events.some(event => event.type === 'speech' && event.text === 'またね'), 60 * 10);
+  const speech = world.events.filter(event => event.type === 'speech').map(event => event.text);
+  assert.equal(speech[0], 'おはよう');
+  assert.ok(!speech.includes('まだ朝だね'));
+});
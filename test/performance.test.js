@@ -0,0 +1,55 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessWorld } from './harness.js';
+import { PerformanceBehavior, SPEECH_DURATION } from '../app4/performance.js';
+
+// app4's performance with avatars that have no walkers, transitions logged per avatar
+async function createWorld(avatars) {
+  const world = new HeadlessWorld({ avatars, walker: null });
+  world.use(new PerformanceBehavior());
+  await world.load();
+  world.stateMachines.forEach((state, index) => state.addListener((from, to) => world.record('transition', { index, from, to })));
+  return world;
+}
+
+function transitions(world, index) {
+  return world.events.filter(event => event.type === 'transition' && event.index === index);
+}
+
+test('performers take turns walking on stage, performing, falling off and watching again', async () => {
+  const world = await createWorld(3);
+  assert.ok(world.stateMachines.every(state => state.is('watching')));
+  assert.deepEqual(world.position(2), { x: 5, z: 5 }); // Audience row
+
+  await world.runUntil(() => world.stateMachines[1].is('stage'), 60 * 30);
+
+  assert.deepEqual(transitions(world, 0).map(event => event.to), ['walking_to_center', 'performing', 'falling', 'watching']);
+  assert.deepEqual(transitions(world, 1).map(event => event.to), ['walking_to_center']);
+  assert.deepEqual(transitions(world, 2), []);
+
+  // Timed in simulated seconds: on stage after 2, 10 m at 3 m/s, the gag, then the next one 1 second after the fall
+  const [walking, performing, falling, watching] = transitions(world, 0).map(event => event.frame / 60);
+  assert.ok(Math.abs(walking - 2) < 0.05, `on stage at ${walking}`);
+  assert.ok(Math.abs(performing - walking - 10 / 3) < 0.1, `walked for ${performing - walking}`);
+  assert.ok(Math.abs(falling - performing - SPEECH_DURATION / 1000) < 0.05, `performed for ${falling - performing}`);
+  assert.ok(watching > falling);
+  assert.ok(Math.abs(transitions(world, 1)[0].frame / 60 - watching - 1) < 0.05);
+
+  // The gag, and back in the audience row
+  assert.ok(world.events.some(event => event.type === 'speech' && event.index === 0));
+  assert.deepEqual(world.position(0), { x: -5, z: 5 });
+  assert.equal(world.gvrms[0].scene.position.y, 0);
+});
+
+test('the last performer hands over to the first', async () => {
+  const world = await createWorld(2);
+
+  await world.runUntil(() => transitions(world, 0).length > 4, 60 * 60);
+
+  assert.deepEqual(transitions(world, 1).map(event => event.to), ['walking_to_center', 'performing', 'falling', 'watching']);
+  assert.ok(world.stateMachines[0].is('walking_to_center'));
+});
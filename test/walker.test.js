@@ -0,0 +1,124 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessWorld } from './harness.js';
+
+// Walk a single avatar towards (x, z) without stopping
+function walkTowards(walker, x, z) {
+  walker.targetX = x;
+  walker.targetZ = z;
+  walker.planPath();
+  walker.state.transition('walking');
+  walker.walkDuration = Infinity;
+}
+
+test('walkers are clamped inside the boundary and pick a new target there', async () => {
+  const world = new HeadlessWorld({ avatars: [{ x: 9, z: 0 }] });
+  await world.load();
+  const walker = world.walkers[0];
+  const limit = walker.boundary - 0.5; // Safety margin
+
+  walkTowards(walker, 30, 0);
+  let clampedAt = null;
+  await world.run(300, () => {
+    const { x, z } = world.position(0);
+    assert.ok(Math.abs(x) <= limit + 1e-9 && Math.abs(z) <= limit + 1e-9, `(${x}, ${z}) is outside the boundary`);
+    if (clampedAt === null && walker.targetX !== 30) clampedAt = { x, cooldown: walker.targetChangeCooldown };
+  });
+
+  assert.ok(clampedAt, 'no new target was picked at the boundary');
+  assert.ok(clampedAt.x >= limit - walker.speed * world.delta, 'the new target was picked before reaching the boundary');
+  assert.equal(clampedAt.cooldown, 1);
+  const range = walker.boundary * walker.targetRange;
+  assert.ok(Math.abs(walker.targetX) <= range && Math.abs(walker.targetZ) <= range);
+});
+
+test('a goal target beyond the boundary counts as reached', async () => {
+  const world = new HeadlessWorld({ avatars: [{ x: 0, z: 9 }] });
+  await world.load();
+  const walker = world.walkers[0];
+
+  let reached = 0;
+  walker.setGoalTarget(0, 30, () => { reached++; });
+  await world.runUntil(() => reached > 0, 600);
+
+  assert.equal(walker.hasGoalTarget, false);
+  assert.ok(walker.state.is('idle'));
+  assert.ok(Math.abs(world.position(0).z - (walker.boundary - 0.5)) < 1e-9);
+});
+
+test('the temporary target callback runs once on arrival, leaving the walker waiting', async () => {
+  const world = new HeadlessWorld({ avatars: [{ x: -2, z: -1 }] });
+  await world.load();
+  const walker = world.walkers[0];
+
+  const arrivals = [];
+  walker.setTemporaryTarget(1.5, 2, () => arrivals.push(world.position(0)));
+  assert.ok(walker.state.is('approach'));
+
+  const steps = await world.runUntil(() => arrivals.length > 0, 1200);
+  await world.run(120);
+
+  assert.equal(arrivals.length, 1);
+  assert.ok(Math.hypot(arrivals[0].x - 1.5, arrivals[0].z - 2) < walker.arrivalThreshold);
+  assert.ok(steps * world.delta >= Math.hypot(3.5, 3) / walker.speed, 'arrived faster than walking speed');
+  assert.equal(walker.state.current, 'waiting');
+  assert.equal(walker.hasTemporaryTarget, false);
+  assert.deepEqual(world.position(0), arrivals[0], 'moved on while waiting');
+  assert.ok(world.events.some(event => event.type === 'transition' && event.to === 'waiting'));
+});
+
+test('a temporary target inside another avatar is still reached', async () => {
+  const world = new HeadlessWorld({ avatars: [{ x: -3, z: 0 }, { x: 0, z: 0 }], walker: { specialAnimationChance: 0 } });
+  await world.load();
+  const [walker, bystander] = world.walkers;
+  bystander.update = () => {}; // Stands still on the meeting point
+
+  let arrived = false;
+  walker.setTemporaryTarget(0, 0, () => { arrived = true; });
+  await world.runUntil(() => arrived, 1200);
+
+  assert.equal(walker.state.current, 'waiting');
+});
+
+test('the same seed gives the same trajectories', async () => {
+  const trajectory = async (seed) => {
+    const world = new HeadlessWorld({ seed, avatars: 4, walker: { specialAnimationChance: 0.3 } });
+    await world.load();
+    return { positions: await world.trace(900), events: world.events.map(event => `${event.frame} ${event.index} ${event.to}`) };
+  };
+
+  const first = await trajectory('a');
+  assert.deepEqual(await trajectory('a'), first);
+  assert.notDeepEqual((await trajectory('b')).positions, first.positions);
+});
+
+test('a special animation that fails to load falls back to idle', async (t) => {
+  const error = t.mock.method(console, 'error', () => {});
+  const world = new HeadlessWorld({ avatars: [{ x: 0, z: 0 }], walker: { specialAnimationChance: 0 } });
+  await world.load();
+  const walker = world.walkers[0];
+  world.gvrms[0].failingClips.add('Flying');
+
+  assert.ok(walker.state.transition('special', { name: 'Flying', path: '../assets/Flying.fbx' }));
+  await world.runUntil(() => !walker.state.is('special'), 60);
+  assert.ok(walker.state.is('locomotion'));
+  assert.equal(error.mock.callCount(), 1); // The failed load is still reported
+
+  // And moves on from there
+  await world.runUntil(() => walker.state.is('walking'), 600);
+});
+
+test('a special animation superseded while loading falls back to idle', async () => {
+  const world = new HeadlessWorld({ avatars: [{ x: 0, z: 0 }], walker: { specialAnimationChance: 0 } });
+  await world.load();
+  const walker = world.walkers[0];
+
+  assert.ok(walker.state.transition('special', { name: 'Pointing', path: '../assets/Pointing.fbx' }));
+  world.animations[0].play('Idle'); // Someone else plays a clip on the same library
+  await world.runUntil(() => !walker.state.is('special'), 60);
+  assert.ok(walker.state.is('locomotion'));
+});
@@ -0,0 +1,97 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessWorld } from './harness.js';
+import { Weather } from '../core/weather.js';
+import { NeedsBehavior, shelterGoals } from '../core/needs.js';
+import { setSeed } from '../core/random.js';
+
+// Plans of the first `days` days
+function plans(seed, days) {
+  setSeed(seed);
+  const weather = new Weather();
+  const result = [];
+  for (let day = 0; day < days; day++) {
+    weather.update(day, 0);
+    result.push(weather.plan.map(spell => `${spell.hour.toFixed(3)} ${spell.type}`));
+  }
+  return result;
+}
+
+test('the same seed gives the same weather, each day carrying on from the one before', () => {
+  const first = plans('weather', 5);
+  assert.deepEqual(plans('weather', 5), first);
+  assert.notDeepEqual(plans('other', 5), first);
+
+  assert.equal(first[0][0], '0.000 clear');
+  for (let day = 1; day < first.length; day++) {
+    const last = first[day - 1][first[day - 1].length - 1].split(' ')[1];
+    assert.equal(first[day][0].split(' ')[1], last);
+  }
+});
+
+test('changes are reported once and blend over the transition', () => {
+  setSeed('blend');
+  const weather = new Weather({ transitionHours: 1 });
+  weather.update(0, 0);
+  weather.plan = [{ hour: 0, type: 'clear' }, { hour: 10, type: 'rain' }];
+
+  assert.equal(weather.update(0, 9.9), null);
+  assert.deepEqual(weather.update(0, 10.5), { from: 'clear', to: 'rain' });
+  assert.equal(weather.current, 'rain');
+  assert.equal(weather.shelter, true);
+  assert.ok(Math.abs(weather.state.rain - 0.5) < 1e-9);
+  assert.ok(Math.abs(weather.state.light - (1 + 0.45) / 2) < 1e-9);
+
+  assert.equal(weather.update(0, 12), null);
+  assert.equal(weather.state.rain, 1);
+});
+
+test('walkers take shelter at the center house in the rain', async () => {
+  const world = new HeadlessWorld({ avatars: 3, walker: { specialAnimationChance: 0 } });
+  world.centerHouse = { position: { x: 0, z: -10 } };
+  world.weather = new Weather({ fixed: 'rain' });
+  world.use(new NeedsBehavior({ needs: {}, goals: shelterGoals }));
+  await world.load();
+
+  await world.runUntil(() => world.walkers.every(walker => walker.currentActivity === 'shelter'), 3600);
+
+  for (let i = 0; i < world.walkers.length; i++) {
+    const { x, z } = world.position(i);
+    assert.ok(Math.hypot(x, z - -4.5) < 3, `walker ${i} sheltered at (${x}, ${z})`);
+  }
+
+  // Back to wandering when it clears up
+  world.weather = new Weather({ fixed: 'clear' });
+  await world.run(2);
+  assert.ok(world.walkers.every(walker => walker.currentActivity !== 'shelter'));
+});
+
+test('a walker restored from a snapshot on its way to shelter takes shelter', async () => {
+  const createWorld = async () => {
+    const world = new HeadlessWorld({ avatars: 1, walker: { specialAnimationChance: 0 } });
+    world.centerHouse = { position: { x: 0, z: -10 } };
+    world.weather = new Weather({ fixed: 'rain' });
+    world.use(new NeedsBehavior({ needs: {}, goals: shelterGoals }));
+    await world.load();
+    return world;
+  };
+
+  const world = await createWorld();
+  const walker = world.walkers[0];
+  await world.runUntil(() => walker.hasGoalTarget, 600);
+  await world.run(30); // On the way
+  const saved = JSON.parse(JSON.stringify(walker.saveState()));
+  const position = world.position(0);
+
+  const restored = await createWorld();
+  const other = restored.walkers[0];
+  restored.gvrms[0].scene.position.set(position.x, 0, position.z);
+  other.restoreState(saved);
+
+  await restored.runUntil(() => other.hasGoalTarget, 2); // Right away, not after a walk and a stop
+  await restored.runUntil(() => other.currentActivity === 'shelter', 1800);
+});
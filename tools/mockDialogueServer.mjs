@@ -0,0 +1,96 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Minimal OpenAI-compatible chat completions server for trying out and testing HttpDialogueProvider
+// without a language model. No dependencies:
+//
+//   node tools/mockDialogueServer.mjs [--port 8080] [--delay ms] [--status code]
+//
+// then open e.g. app5/?llm=http://localhost:8080/v1/chat/completions
+// --delay answers late (to test timeouts), --status answers with an HTTP error (to test the fallback).
+// The reply echoes the subject and the first visible object from the prompt, so it is easy to spot.
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+export function mockReply(messages) {
+  const prompt = (messages ?? []).map(message => message.content).join('\n');
+  const subject = (prompt.match(/^Subject: (.*)$/m) ?? [])[1];
+  const seen = (prompt.match(/^You can see: ([^,\n]*)/m) ?? [])[1];
+  if (/diary entry/.test(prompt)) return '（モック）今日の日記です。';
+  return `（モック）${subject ?? seen ?? 'こんにちは'}！`;
+}
+
+// Returns the (not yet listening) server; options: { delay, status }
+export function createMockDialogueServer(options = {}) {
+  const delay = options.delay ?? 0;
+  const status = options.status ?? 200;
+
+  return http.createServer((request, response) => {
+    // The apps are served from another origin
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    if (request.method !== 'POST' || !request.url.endsWith('/chat/completions')) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+
+    let body = '';
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      setTimeout(() => {
+        if (status !== 200) {
+          response.writeHead(status, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify({ error: { message: 'mock error' } }));
+          return;
+        }
+
+        let payload = {};
+        try {
+          payload = JSON.parse(body);
+        } catch (error) {
+          response.writeHead(400);
+          response.end();
+          return;
+        }
+
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({
+          id: 'mock',
+          object: 'chat.completion',
+          model: payload.model ?? 'mock',
+          choices: [{
+            index: 0,
+            message: { role: 'assistant', content: mockReply(payload.messages) },
+            finish_reason: 'stop'
+          }]
+        }));
+      }, delay);
+    });
+  });
+}
+
+function argument(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] !== undefined ? Number(process.argv[index + 1]) : fallback;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = argument('port', 8080);
+  const server = createMockDialogueServer({ delay: argument('delay', 0), status: argument('status', 200) });
+  server.listen(port, () => {
+    console.log(`Mock dialogue server: http://localhost:${port}/v1/chat/completions`);
+  });
+}